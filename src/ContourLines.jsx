@@ -0,0 +1,61 @@
+// src/ContourLines.jsx
+import React, { useMemo } from "react";
+import { Line, Text } from "@react-three/drei";
+import { getContourLabelPlacement, formatContourLevel } from "./contours";
+
+const LINE_LIFT = 0.02; // Above the terrain surface so lines stay visible
+const MINOR_COLOR = "#4e342e";
+const MAJOR_COLOR = "#1b0000";
+
+// Polylines -> flat list of segment end points for a segments Line
+const toSegmentPoints = (contours) => {
+    const points = [];
+    contours.forEach(({ points: line }) => {
+        for (let i = 1; i < line.length; i++) {
+            points.push([line[i - 1][0], line[i - 1][2] + LINE_LIFT, line[i - 1][1]]);
+            points.push([line[i][0], line[i][2] + LINE_LIFT, line[i][1]]);
+        }
+    });
+    return points;
+};
+
+// --- Contour overlay: thin minor lines, thicker labeled major lines ---
+export const ContourLines = ({ contours, interval, cellSize }) => {
+    const minorPoints = useMemo(() => toSegmentPoints(contours.filter((c) => !c.major)), [contours]);
+    const majorPoints = useMemo(() => toSegmentPoints(contours.filter((c) => c.major)), [contours]);
+    const labels = useMemo(
+        () => contours
+            .filter((c) => c.major)
+            .map((c) => ({ level: c.level, placement: getContourLabelPlacement(c.points, cellSize * 4) }))
+            .filter((label) => label.placement),
+        [contours, cellSize]
+    );
+    const fontSize = Math.min(0.35, cellSize * 0.4);
+
+    return (
+        <group name="contours">
+            {minorPoints.length > 0 && (
+                <Line points={minorPoints} segments color={MINOR_COLOR} lineWidth={1} transparent opacity={0.7} />
+            )}
+            {majorPoints.length > 0 && (
+                <Line points={majorPoints} segments color={MAJOR_COLOR} lineWidth={2.5} />
+            )}
+            {labels.map(({ level, placement }, i) => (
+                <Text
+                    key={`${level}-${i}`}
+                    position={[placement.position[0], placement.position[2] + LINE_LIFT * 2, placement.position[1]]}
+                    // Lie flat, turned along the line (Y rotation is applied before laying it down)
+                    rotation={[-Math.PI / 2, 0, -placement.angle]}
+                    fontSize={fontSize}
+                    color="#ffffff"
+                    outlineWidth={fontSize * 0.12}
+                    outlineColor="#1b0000"
+                    anchorX="center"
+                    anchorY="middle"
+                >
+                    {formatContourLevel(level, interval)}
+                </Text>
+            ))}
+        </group>
+    );
+};
@@ -1,8 +1,8 @@
-import { OrthographicCamera, PerspectiveCamera, Plane, OrbitControls } from "@react-three/drei";
+import { OrthographicCamera, PerspectiveCamera, Plane, OrbitControls, Line } from "@react-three/drei";
 import { useThree, useFrame } from "@react-three/fiber";
-import React, { useRef, useState, useCallback, useEffect } from "react";
+import React, { useRef, useState, useCallback, useEffect, useMemo } from "react";
 import * as THREE from "three";
-import { getWorldYBase, DRAG_PLANE_OFFSET, HEIGHT_MODIFIER, CELL_SIZE } from "./PlanEditor";
+import { getWorldYBase, DRAG_PLANE_OFFSET, HEIGHT_MODIFIER, gridToWorldCenter } from "./PlanEditor";
 import { SceneWithLogic } from "./SceneWithLogic";
 
 // --- Experience Component (Handles R3F Context and Interactions based on Mode) ---
@@ -11,10 +11,27 @@ export function Experience({
     selectedObjectToAdd, // NEW: Pass the selected configuration to add
     selectedObjectId, // Read-only, selection managed by PlanEditor via onSelectObject
     globalAge, brushSize, // Props for rendering/API
-    sceneLogicRef, onSelectObject, onInteractionEnd, getInitialObjectId, showCoordinates, paintColor, sunAzimuth, sunElevation, terrainPaintMode, absolutePaintHeight, currentMonth, isOrthographic, showObjectNames,
+    sceneLogicRef, onSelectObject, onInteractionEnd, getInitialObjectId, showCoordinates, paintMaterial, sunAzimuth, sunElevation, terrainPaintMode, absolutePaintHeight, brushStrength = 1, currentMonth, isOrthographic, showObjectNames,
     onObjectPropertyUpdate,
     isShiftPressed,
-    onHoverUpdate
+    onHoverUpdate,
+    onAutoSave,
+    terrainOverlay,
+    onEarthworkChange,
+    onWaterFlowChange,
+    onWaterBodiesChange,
+    showDesignChecks,
+    onDesignChecksChange,
+    onGroundHeightChange, // Receives the terrain height sampler whenever the terrain changes
+    contourSettings,
+    paintTool = "brush", // brush | fill | rectangle | polygon
+    fillColorTolerance = 0,
+    fillHeightTolerance = Infinity,
+    onRegionCellClick, // Grid clicks in 'region' mode
+    onPondCellClick, // Grid clicks with the 'pond' terrain tool
+    regionOutline, // { x0, z0, x1, z1 } cells to outline, or null
+    onPathPointClick, // Terrain clicks in 'path', 'fence' and 'hedge' modes, with the world point
+    pathPoints = [] // [[worldX, worldZ], ...] of the polyline being drawn
 }) {
     const { raycaster, pointer, camera, gl } = useThree();
     const orbitControlsRef = useRef();
@@ -43,6 +60,23 @@ export function Experience({
     };
 
     const [paintDirection, setPaintDirection] = useState(1);
+    const flattenHeightRef = useRef(0); // Height sampled at the start of a flatten stroke
+    const [rampStart, setRampStart] = useState(null); // { gridX, gridZ, position } after the first ramp click
+    const rampStartRef = useRef(null);
+    const setRampStartWithRef = (val) => {
+        rampStartRef.current = val;
+        setRampStart(val);
+    };
+    // Corner / outline cells of a rectangle or polygon fill in progress: [{ gridX, gridZ, position }]
+    const [paintShapePoints, setPaintShapePoints] = useState([]);
+    const paintShapePointsRef = useRef([]);
+    const setPaintShapePointsWithRef = (val) => {
+        paintShapePointsRef.current = val;
+        setPaintShapePoints(val);
+    };
+    // Flatten pulls towards the sampled height, every other brush uses the absolute height input
+    const getBrushTargetHeight = () =>
+        terrainPaintMode === "flatten" ? flattenHeightRef.current : absolutePaintHeight;
     const [localHoveredPoint, setLocalHoveredPoint] = useState(null);
     const showCoordsDuringDrag = useRef(false);
     const suppressShiftCoords = useRef(false);
@@ -102,6 +136,12 @@ export function Experience({
         }
     }, [isOrthographic, camera]);
 
+    // A half-placed ramp or fill shape is dropped when switching tools
+    useEffect(() => {
+        setRampStartWithRef(null);
+        setPaintShapePointsWithRef([]);
+    }, [currentMode, terrainPaintMode, paintTool]);
+
     useEffect(() => {
         if (!isShiftPressed) {
             suppressShiftCoords.current = false;
@@ -125,6 +165,8 @@ export function Experience({
                     clickedObject.worldX,
                     clickedObject.worldZ
                 ) ?? 0;
+                // The whole drag (move and/or rotate) becomes one undo step
+                sceneLogicRef.current?.beginHistoryGroup("Move object");
                 // Set potential drag info
                 setDraggingInfoWithRef({
                     id: objectId,
@@ -178,35 +220,91 @@ export function Experience({
                 };
                 sceneLogicRef.current.addObject(newObjectData);
                 // onInteractionEnd(); // Keep the object selection for further placing (do not reset mode/selection after adding)
+            } else if (currentMode === "terrain" && terrainPaintMode === "ramp") {
+                // Ramp: first click picks the start cell, second click builds the slope
+                event.stopPropagation();
+                const start = rampStartRef.current;
+                if (!start) {
+                    const { gridWidth, gridHeight, cellSize } = sceneLogicRef.current.getGridDimensions();
+                    const [worldX, , worldZ] = gridToWorldCenter(gridX, gridZ, 0, gridWidth, gridHeight, cellSize);
+                    const height = sceneLogicRef.current.getCellHeight(gridX, gridZ) ?? 0;
+                    setRampStartWithRef({ gridX, gridZ, position: [worldX, height, worldZ] });
+                } else {
+                    sceneLogicRef.current.applyTerrainRamp(
+                        start.gridX,
+                        start.gridZ,
+                        gridX,
+                        gridZ,
+                        brushSize // Ramp width in cells
+                    );
+                    setRampStartWithRef(null);
+                }
+            } else if (currentMode === "terrain" && terrainPaintMode === "pond") {
+                event.stopPropagation();
+                onPondCellClick?.(gridX, gridZ);
             } else if (currentMode === "terrain") {
                 event.stopPropagation();
                 setIsPaintingTerrainWithRef(true);
                 const dir = event.shiftKey ? -1 : 1;
                 setPaintDirection(dir);
+                flattenHeightRef.current =
+                    sceneLogicRef.current.getCellHeight(gridX, gridZ) ?? absolutePaintHeight;
+                sceneLogicRef.current.beginHistoryGroup("Terrain brush"); // One undo step per stroke
 
                 // Call applyTerrainBrush with mode and target height
                 sceneLogicRef.current.applyTerrainBrush(
                     gridX,
                     gridZ,
-                    HEIGHT_MODIFIER * dir, // deltaHeight (used in relative mode)
+                    HEIGHT_MODIFIER * dir, // deltaHeight (used in relative and noise modes)
                     terrainPaintMode,
-                    absolutePaintHeight // Pass mode and target
+                    getBrushTargetHeight(), // Pass mode and target
+                    brushStrength
                 );
                 event.target?.setPointerCapture(event.pointerId);
                 if (orbitControlsRef.current)
                     orbitControlsRef.current.enabled = false;
                 console.log("Paint Start");
+            } else if (currentMode === "region") {
+                event.stopPropagation();
+                onRegionCellClick?.(gridX, gridZ);
+            } else if (currentMode === "path" || currentMode === "fence" || currentMode === "hedge") {
+                event.stopPropagation();
+                onPathPointClick?.(event.point.x, event.point.z);
             } else if (currentMode === "select") {
                 // Click on grid in select mode deselects any selected object
                 onSelectObject(null);
+            } else if (currentMode === "paint-color" && paintTool === "fill") {
+                event.stopPropagation();
+                sceneLogicRef.current.floodFillMaterial(gridX, gridZ, paintMaterial, {
+                    colorTolerance: fillColorTolerance,
+                    heightTolerance: fillHeightTolerance,
+                });
+            } else if (currentMode === "paint-color" && (paintTool === "rectangle" || paintTool === "polygon")) {
+                // Rectangle: two corner clicks. Polygon: click the outline, then the first cell again to fill.
+                event.stopPropagation();
+                const points = paintShapePointsRef.current;
+                const first = points[0];
+                if (paintTool === "rectangle" && first) {
+                    sceneLogicRef.current.fillMaterialRectangle(first.gridX, first.gridZ, gridX, gridZ, paintMaterial);
+                    setPaintShapePointsWithRef([]);
+                } else if (paintTool === "polygon" && points.length >= 3 &&
+                    first.gridX === gridX && first.gridZ === gridZ) {
+                    sceneLogicRef.current.fillMaterialPolygon(
+                        points.map((p) => [p.gridX, p.gridZ]), paintMaterial);
+                    setPaintShapePointsWithRef([]);
+                } else {
+                    const last = points[points.length - 1];
+                    if (last && last.gridX === gridX && last.gridZ === gridZ) return; // Same cell twice
+                    const { gridWidth, gridHeight, cellSize } = sceneLogicRef.current.getGridDimensions();
+                    const [worldX, , worldZ] = gridToWorldCenter(gridX, gridZ, 0, gridWidth, gridHeight, cellSize);
+                    const height = sceneLogicRef.current.getCellHeight(gridX, gridZ) ?? 0;
+                    setPaintShapePointsWithRef([...points, { gridX, gridZ, position: [worldX, height, worldZ] }]);
+                }
             } else if (currentMode === "paint-color") {
                 event.stopPropagation();
                 setIsPaintingColorWithRef(true);
-                sceneLogicRef.current?.updateCellColor(
-                    gridX,
-                    gridZ,
-                    paintColor
-                ); // Paint the clicked cell
+                sceneLogicRef.current.beginHistoryGroup("Paint material"); // One undo step per stroke
+                sceneLogicRef.current.paintMaterialBrush(gridX, gridZ, paintMaterial); // Paint around the clicked cell
                 event.target?.setPointerCapture(event.pointerId);
                 if (orbitControlsRef.current)
                     orbitControlsRef.current.enabled = false;
@@ -224,12 +322,45 @@ export function Experience({
             pointer,
             camera,
             gl,
-            paintColor,
+            paintMaterial,
+            paintTool,
+            fillColorTolerance,
+            fillHeightTolerance,
+            onRegionCellClick,
+            onPondCellClick,
+            onPathPointClick,
             terrainPaintMode,
             absolutePaintHeight,
+            brushStrength,
         ]
     ); // Added currentMode
 
+    // Outline of the selected region, just above its highest cell
+    const regionOutlinePoints = useMemo(() => {
+        if (!regionOutline || !sceneLogicRef.current) return null;
+        const { gridWidth, gridHeight, cellSize } = sceneLogicRef.current.getGridDimensions();
+        const minX = Math.min(regionOutline.x0, regionOutline.x1);
+        const maxX = Math.max(regionOutline.x0, regionOutline.x1);
+        const minZ = Math.min(regionOutline.z0, regionOutline.z1);
+        const maxZ = Math.max(regionOutline.z0, regionOutline.z1);
+        let top = 0;
+        for (let z = minZ; z <= maxZ; z++) {
+            for (let x = minX; x <= maxX; x++) top = Math.max(top, sceneLogicRef.current.getCellHeight(x, z) ?? 0);
+        }
+        const left = (minX - gridWidth / 2) * cellSize;
+        const right = (maxX + 1 - gridWidth / 2) * cellSize;
+        const near = (minZ - gridHeight / 2) * cellSize;
+        const far = (maxZ + 1 - gridHeight / 2) * cellSize;
+        const y = top + 0.05;
+        return [[left, y, near], [right, y, near], [right, y, far], [left, y, far], [left, y, near]];
+    }, [regionOutline, sceneLogicRef]);
+
+    // Polyline being drawn, just above the terrain
+    const pathDraftPoints = useMemo(() => {
+        if (pathPoints.length === 0 || !sceneLogicRef.current) return null;
+        return pathPoints.map(([x, z]) => [x, sceneLogicRef.current.getGroundHeightAtWorld(x, z) + 0.05, z]);
+    }, [pathPoints, sceneLogicRef]);
+
     const handlePointerMove = useCallback(
         (event) => {
             if (!sceneLogicRef.current) return;
@@ -280,7 +411,7 @@ export function Experience({
                 }
             } else if (isPaintingTerrainRef.current) {
                 // Painting is happening (implicitly, currentMode must be 'terrain')
-                const { gridWidth, gridHeight } = sceneLogicRef.current.getGridDimensions();
+                const { gridWidth, gridHeight, cellSize } = sceneLogicRef.current.getGridDimensions();
                 const groundPlane = new THREE.Plane(
                     new THREE.Vector3(0, 1, 0),
                     0
@@ -288,10 +419,10 @@ export function Experience({
                 const intersectionPoint = new THREE.Vector3();
                 if (raycaster.ray.intersectPlane(groundPlane, intersectionPoint)) {
                     const gridX = Math.floor(
-                        intersectionPoint.x / CELL_SIZE + gridWidth / 2
+                        intersectionPoint.x / cellSize + gridWidth / 2
                     );
                     const gridZ = Math.floor(
-                        intersectionPoint.z / CELL_SIZE + gridHeight / 2
+                        intersectionPoint.z / cellSize + gridHeight / 2
                     );
                     if (gridX >= 0 &&
                         gridX < gridWidth &&
@@ -301,15 +432,16 @@ export function Experience({
                         sceneLogicRef.current.applyTerrainBrush(
                             gridX,
                             gridZ,
-                            HEIGHT_MODIFIER * dir, // deltaHeight (used in relative mode)
+                            HEIGHT_MODIFIER * dir, // deltaHeight (used in relative and noise modes)
                             terrainPaintMode,
-                            absolutePaintHeight // Pass mode and target
+                            getBrushTargetHeight(), // Pass mode and target
+                            brushStrength
                         );
                     }
                 }
             } else if (isPaintingColorRef.current) {
                 // Painting color
-                const { gridWidth, gridHeight } = sceneLogicRef.current.getGridDimensions();
+                const { gridWidth, gridHeight, cellSize } = sceneLogicRef.current.getGridDimensions();
                 const groundPlane = new THREE.Plane(
                     new THREE.Vector3(0, 1, 0),
                     0
@@ -317,21 +449,21 @@ export function Experience({
                 const intersectionPoint = new THREE.Vector3();
                 if (raycaster.ray.intersectPlane(groundPlane, intersectionPoint)) {
                     const gridX = Math.floor(
-                        intersectionPoint.x / CELL_SIZE + gridWidth / 2
+                        intersectionPoint.x / cellSize + gridWidth / 2
                     );
                     const gridZ = Math.floor(
-                        intersectionPoint.z / CELL_SIZE + gridHeight / 2
+                        intersectionPoint.z / cellSize + gridHeight / 2
                     );
                     if (gridX >= 0 &&
                         gridX < gridWidth &&
                         gridZ >= 0 &&
                         gridZ < gridHeight) {
-                        sceneLogicRef.current.updateCellColor(
+                        sceneLogicRef.current.paintMaterialBrush(
                             gridX,
                             gridZ,
-                            paintColor
+                            paintMaterial
                         );
-                    } // Paint cell under pointer
+                    } // Paint around the cell under pointer
                 }
             }
 
@@ -371,9 +503,10 @@ export function Experience({
             raycaster,
             camera,
             sceneLogicRef,
-            paintColor,
+            paintMaterial,
             terrainPaintMode,
             absolutePaintHeight,
+            brushStrength,
             onObjectPropertyUpdate,
             isShiftPressed,
             onHoverUpdate,
@@ -390,6 +523,7 @@ export function Experience({
                 console.log("Pointer Up - Drag End");
                 gl.domElement.releasePointerCapture?.(pointerId);
                 setDraggingInfoWithRef(null);
+                sceneLogicRef.current?.endHistoryGroup();
                 if (orbitControlsRef.current)
                     orbitControlsRef.current.enabled = true;
                 
@@ -401,18 +535,20 @@ export function Experience({
             } else if (isPaintingTerrainRef.current) {
                 console.log("Pointer Up - Paint End");
                 setIsPaintingTerrainWithRef(false);
+                sceneLogicRef.current?.endHistoryGroup();
                 if (orbitControlsRef.current)
                     orbitControlsRef.current.enabled = true;
                 gl.domElement.releasePointerCapture?.(pointerId);
             } else if (isPaintingColorRef.current) {
                 console.log("Pointer Up - Color Paint End");
                 setIsPaintingColorWithRef(false);
+                sceneLogicRef.current?.endHistoryGroup();
                 if (orbitControlsRef.current)
                     orbitControlsRef.current.enabled = true;
                 gl.domElement.releasePointerCapture?.(pointerId);
             }
         },
-        [gl, onHoverUpdate]
+        [gl, onHoverUpdate, sceneLogicRef]
     );
 
     // Effect to add/remove global listeners
@@ -467,12 +603,21 @@ export function Experience({
                 onGridPointerDown={handleGridPointerDown}
                 showCoordinates={showCoordinates}
                 onInteractionEnd={onInteractionEnd}
+                onAutoSave={onAutoSave}
                 sunAzimuth={sunAzimuth}
                 sunElevation={sunElevation} // Pass down for Add/Resize
                 terrainPaintMode={terrainPaintMode}
                 absolutePaintHeight={absolutePaintHeight}
                 currentMonth={currentMonth}
-                showObjectNames={showObjectNames} />
+                showObjectNames={showObjectNames}
+                terrainOverlay={terrainOverlay}
+                onEarthworkChange={onEarthworkChange}
+                onWaterFlowChange={onWaterFlowChange}
+                onWaterBodiesChange={onWaterBodiesChange}
+                showDesignChecks={showDesignChecks}
+                onDesignChecksChange={onDesignChecksChange}
+                onGroundHeightChange={onGroundHeightChange}
+                contourSettings={contourSettings} />
             {draggingInfo && (
                 <Plane
                     ref={dragPlaneRef}
@@ -489,6 +634,44 @@ export function Experience({
                 maxPolarAngle={isOrthographic ? 0.01 : Math.PI / 2.1}
                 makeDefault />
 
+            {/* Ramp start marker (waiting for the end point click) */}
+            {rampStart && (
+                <mesh position={[rampStart.position[0], rampStart.position[1] + 0.3, rampStart.position[2]]} rotation={[Math.PI, 0, 0]}>
+                    <coneGeometry args={[0.2, 0.6, 12]} />
+                    <meshBasicMaterial color="#ffcc00" />
+                </mesh>
+            )}
+
+            {/* Rectangle / polygon fill outline so far */}
+            {paintShapePoints.map(({ gridX, gridZ, position }, i) => (
+                <mesh key={`${gridX}-${gridZ}-${i}`} position={[position[0], position[1] + 0.3, position[2]]} rotation={[Math.PI, 0, 0]}>
+                    <coneGeometry args={[i === 0 ? 0.2 : 0.14, 0.6, 12]} />
+                    <meshBasicMaterial color={i === 0 ? "#ffcc00" : "#ffffff"} />
+                </mesh>
+            ))}
+            {paintTool === "polygon" && paintShapePoints.length >= 2 && (
+                <Line
+                    points={paintShapePoints.map(({ position }) => [position[0], position[1] + 0.05, position[2]])}
+                    color="#ffcc00"
+                    lineWidth={2}
+                />
+            )}
+
+            {/* Polyline being drawn (path, fence run or hedge row): points and centerline */}
+            {pathDraftPoints?.map(([x, y, z], i) => (
+                <mesh key={i} position={[x, y + 0.25, z]} rotation={[Math.PI, 0, 0]}>
+                    <coneGeometry args={[i === pathDraftPoints.length - 1 ? 0.2 : 0.14, 0.6, 12]} />
+                    <meshBasicMaterial color={i === pathDraftPoints.length - 1 ? "#ffcc00" : "#ffffff"} />
+                </mesh>
+            ))}
+            {pathDraftPoints?.length >= 2 && (
+                <Line points={pathDraftPoints} color="#ffcc00" lineWidth={2} />
+            )}
+
+            {regionOutlinePoints && (
+                <Line points={regionOutlinePoints} color="#00e5ff" lineWidth={2} dashed dashSize={0.3} gapSize={0.15} />
+            )}
+
             {/* 3D Coordinate Ruler Overlay */}
             {isShiftPressed && localHoveredPoint && (
                 <group>
@@ -0,0 +1,176 @@
+// src/HeightmapImportDialog.jsx
+import React, { useState, useMemo } from "react";
+import { getGridSizeForImage, heightmapToHeightData } from "./heightmapImport";
+import { MIN_TERRAIN_HEIGHT, INITIAL_MAX_HEIGHT } from "./PlanEditor";
+
+const inputStyle = {
+    width: "60px",
+    background: "#222",
+    color: "#eee",
+    border: "1px solid #555",
+    borderRadius: "4px",
+    padding: "3px 5px",
+    marginLeft: "6px",
+};
+
+const labelStyle = { display: "flex", alignItems: "center", gap: "6px", cursor: "pointer" };
+
+// --- Heightmap Import Dialog (maps a decoded grayscale image onto heightData) ---
+export function HeightmapImportDialog({ image, fileName, currentGridSize, minGridDim, maxGridDim, onImport, onClose }) {
+    const [minHeight, setMinHeight] = useState(MIN_TERRAIN_HEIGHT);
+    const [maxHeight, setMaxHeight] = useState(INITIAL_MAX_HEIGHT);
+    const [sizeMode, setSizeMode] = useState("resample"); // 'resample' (keep grid) or 'resize' (grid follows image)
+    const [deriveMaterials, setDeriveMaterials] = useState(true);
+
+    const imageGridSize = useMemo(
+        () => getGridSizeForImage(image, minGridDim, maxGridDim),
+        [image, minGridDim, maxGridDim]
+    );
+    const targetSize = sizeMode === "resize"
+        ? imageGridSize
+        : { width: currentGridSize.w, height: currentGridSize.h };
+    const rangeValid = !isNaN(minHeight) && !isNaN(maxHeight) && maxHeight > minHeight;
+
+    const handleImport = () => {
+        if (!rangeValid) return;
+        const heightData = heightmapToHeightData(image, {
+            gridWidth: targetSize.width,
+            gridHeight: targetSize.height,
+            minHeight,
+            maxHeight,
+        });
+        onImport(heightData, { deriveMaterials, maxHeight });
+    };
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0, 0, 0, 0.6)',
+            backdropFilter: 'blur(5px)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000,
+            fontFamily: 'Inter, sans-serif'
+        }}>
+            <div style={{
+                background: 'linear-gradient(135deg, rgba(30, 30, 30, 0.9), rgba(20, 20, 20, 0.9))',
+                border: '1px solid rgba(255, 255, 255, 0.1)',
+                borderRadius: '12px',
+                padding: '24px',
+                width: '420px',
+                maxWidth: '90%',
+                boxShadow: '0 8px 32px 0 rgba(0, 0, 0, 0.37)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '14px',
+                color: '#f5f5f5',
+                fontSize: '13px',
+            }}>
+                <strong style={{ fontSize: '16px', letterSpacing: '0.5px' }}>Import Heightmap</strong>
+
+                <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
+                    <img
+                        src={image.previewUrl}
+                        alt=""
+                        style={{ width: '96px', height: '96px', objectFit: 'contain', background: '#111', borderRadius: '4px' }}
+                    />
+                    <div style={{ color: '#aaa' }}>
+                        <div style={{ color: '#f5f5f5', fontWeight: 'bold', wordBreak: 'break-all' }}>{fileName}</div>
+                        <div>{image.width} x {image.height} px</div>
+                        <div>Black = min height, white = max height</div>
+                    </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: '16px' }}>
+                    <label>
+                        Min height (m)
+                        <input
+                            type="number"
+                            step="0.1"
+                            min={MIN_TERRAIN_HEIGHT}
+                            value={minHeight}
+                            onChange={(e) => setMinHeight(parseFloat(e.target.value))}
+                            style={inputStyle}
+                        />
+                    </label>
+                    <label>
+                        Max height (m)
+                        <input
+                            type="number"
+                            step="0.1"
+                            value={maxHeight}
+                            onChange={(e) => setMaxHeight(parseFloat(e.target.value))}
+                            style={inputStyle}
+                        />
+                    </label>
+                </div>
+                {!rangeValid && <div style={{ color: '#ff6666' }}>Max height must be above min height.</div>}
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                    <label style={labelStyle}>
+                        <input
+                            type="radio"
+                            checked={sizeMode === "resample"}
+                            onChange={() => setSizeMode("resample")}
+                        />
+                        Resample to current grid ({currentGridSize.w} x {currentGridSize.h})
+                    </label>
+                    <label style={labelStyle}>
+                        <input
+                            type="radio"
+                            checked={sizeMode === "resize"}
+                            onChange={() => setSizeMode("resize")}
+                        />
+                        Resize grid to match image ({imageGridSize.width} x {imageGridSize.height})
+                    </label>
+                    <label style={labelStyle}>
+                        <input
+                            type="checkbox"
+                            checked={deriveMaterials}
+                            onChange={(e) => setDeriveMaterials(e.target.checked)}
+                        />
+                        Derive ground materials from height
+                    </label>
+                </div>
+
+                <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+                    <button
+                        onClick={handleImport}
+                        disabled={!rangeValid}
+                        style={{
+                            background: 'linear-gradient(135deg, #4CAF50, #45a049)',
+                            color: 'white',
+                            border: 'none',
+                            padding: '8px 16px',
+                            borderRadius: '6px',
+                            cursor: rangeValid ? 'pointer' : 'not-allowed',
+                            opacity: rangeValid ? 1 : 0.5,
+                            fontWeight: 'bold',
+                        }}
+                    >
+                        Import
+                    </button>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: '#333',
+                            color: '#ccc',
+                            border: 'none',
+                            padding: '8px 16px',
+                            borderRadius: '6px',
+                            cursor: 'pointer',
+                            fontWeight: 'bold',
+                        }}
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -16,6 +16,24 @@ import * as THREE from "three";
 import { ObjectComponents, objectConfigurations } from "./objects";
 import { Experience } from "./Experience";
 import { getOrchardExample, getCourtyardExample } from "./exampleProjects";
+import { ProjectBrowser } from "./ProjectBrowser";
+import { listProjects, loadProjectData, createProject, saveProjectData } from "./projectStore";
+import { createPlanSVG } from "./planExport";
+import { DEFAULT_CONTOUR_SETTINGS } from "./contours";
+import { SLOPE_CLASSES, ASPECT_CLASSES, FLAT_ASPECT } from "./slopeAnalysis";
+import { readHeightmapImage } from "./heightmapImport";
+import { HeightmapImportDialog } from "./HeightmapImportDialog";
+import { TerrainGeneratorDialog } from "./TerrainGeneratorDialog";
+import { generateTerrain } from "./terrainGenerator";
+import { RESIZE_ANCHORS, RESIZE_FILL_MODES, getGridSizeForCellSize } from "./gridResize";
+import { GROUND_MATERIALS, DEFAULT_GROUND_MATERIAL, getGroundMaterial, getInitialMaterialData } from "./groundMaterials";
+import { BUILT_IN_STAMPS, loadUserStamps, saveUserStamps, transformTerrainRegion } from "./terrainRegion";
+import { DEFAULT_POND_DEPTH } from "./waterBodies";
+import { DEFAULT_CLEARANCE_RULES } from "./designChecks";
+import { PATH_FILLS, centerPathPoints, getPathLength, getPathMaterialCount, getRowPlantCount } from "./pathLayout";
+import { FENCE_SLOPE_MODES, getFenceRunLayout } from "./fenceLayout";
+
+const FENCE_CONFIGURATIONS = objectConfigurations.filter((config) => config.type === "fence_panel");
 
 const MONTH_NAMES = [
     "Jan",
@@ -33,7 +51,7 @@ const MONTH_NAMES = [
 ];
 
 // --- Configuration ---
-export const CELL_SIZE = 1;
+export const CELL_SIZE = 1; // Default cell size in meters, projects may override it (settings.cellSize)
 export const HEIGHT_MODIFIER = 0.1; // Base height change per brush application
 export const INITIAL_MAX_HEIGHT = 1.5; // For terrain generation
 export const INITIAL_GRID_WIDTH = 20;
@@ -41,6 +59,8 @@ export const INITIAL_GRID_HEIGHT = 20;
 export const MIN_TERRAIN_HEIGHT = 0.1;
 const MIN_GRID_DIM = 5;
 const MAX_GRID_DIM = 100;
+const MIN_CELL_SIZE = 0.1;
+const MAX_CELL_SIZE = 5;
 export const COLORS = [
     "#48b5d0",
     "#bbbbbb",
@@ -50,11 +70,40 @@ export const COLORS = [
     "#FFC107",
     "#FF9800",
     "#795548",
-]; // Terrain Colors
+]; // Legacy terrain colors, only used to upgrade saves from before ground materials
 export const DRAG_PLANE_OFFSET = 0.1; // Place drag plane slightly above ground
 const DRAG_THRESHOLD = 5; // Minimum pixels pointer must move to initiate a drag
-export const LOCAL_STORAGE_KEY = "planEditorSaveData_v5"; // Key for localStorage, update if format changes significantly
+const LOCAL_STORAGE_KEY = "planEditorSaveData_v5"; // Legacy single-garden autosave, imported into project storage on first run
 const INTRO_SEEN_KEY = 'planEditorIntroSeen_v1';
+const CURRENT_PROJECT_KEY = 'planEditorCurrentProject_v1'; // Id of the last opened project
+const DEFAULT_PROJECT_NAME = "Untitled Garden";
+// Terrain brush modes (terrainPaintMode), see applyTerrainBrush / applyTerrainRamp
+const TERRAIN_BRUSHES = [
+    { mode: "relative", label: "Raise", title: "Raise terrain (Shift+Click to lower)" },
+    { mode: "absolute", label: "Set", title: "Set terrain to an absolute height" },
+    { mode: "smooth", label: "Smooth", title: "Blur heights with their neighbours" },
+    { mode: "flatten", label: "Flatten", title: "Flatten to the height where the stroke started" },
+    { mode: "noise", label: "Noise", title: "Roughen the terrain randomly" },
+    { mode: "ramp", label: "Ramp", title: "Click a start and an end cell to build a linear slope" },
+    { mode: "pond", label: "Pond", title: "Click a cell to flood it and all connected lower cells with water" },
+];
+
+// Ground material paint tools (paintTool), see the material fill functions in SceneWithLogic
+const PAINT_TOOLS = [
+    { mode: "brush", label: "Brush", title: "Paint a round brush (size below) by clicking or dragging" },
+    { mode: "fill", label: "Fill", title: "Fill connected cells with a similar material and height" },
+    { mode: "rectangle", label: "Rectangle", title: "Click two corner cells to fill the rectangle between them" },
+    { mode: "polygon", label: "Polygon", title: "Click the outline cells, then the first cell again to fill" },
+];
+
+// Analysis overlays drawn over the terrain colors (terrainOverlay)
+const TERRAIN_OVERLAYS = [
+    { value: "none", label: "None" },
+    { value: "cut-fill", label: "Cut & fill" },
+    { value: "water-flow", label: "Water flow & ponding" },
+    { value: "slope", label: "Slope %" },
+    { value: "aspect", label: "Aspect (facing)" },
+];
 
 // --- Helper Functions ---
 export const getInitialHeight = (x, z, width, height) => {
@@ -64,74 +113,68 @@ export const getInitialHeight = (x, z, width, height) => {
     const sinZ = Math.sin(z * freqZ * 2);
     return MIN_TERRAIN_HEIGHT + ((sinX + sinZ + 2) / 4) * INITIAL_MAX_HEIGHT;
 };
+// Ground colors banded by height (save version 2 upgrade); maxHeight is the height mapped to the last color
+export const getInitialColorData = (hData, maxHeight = INITIAL_MAX_HEIGHT) => {
+    const data = [];
+    const height = hData.length;
+    if (height === 0) return [];
+    const width = hData[0].length;
+
+    for (let z = 0; z < height; z++) {
+        data[z] = [];
+        for (let x = 0; x < width; x++) {
+            const h = hData[z]?.[x] ?? 0;
+            const hr = h / maxHeight;
+            const ci = Math.min(
+                COLORS.length - 1,
+                Math.max(0, Math.floor(hr * (COLORS.length - 2)) + 1)
+            );
+            data[z][x] = h <= MIN_TERRAIN_HEIGHT ? COLORS[0] : COLORS[ci];
+        }
+    }
+    return data;
+};
 // For loading old saves or placing initial grid items
 export const gridToWorldCenter = (
     gridX,
     gridZ,
     currentHeight,
     gridWidth,
-    gridHeight
+    gridHeight,
+    cellSize = CELL_SIZE
 ) => {
-    const worldX = (gridX - gridWidth / 2 + 0.5) * CELL_SIZE;
-    const worldZ = (gridZ - gridHeight / 2 + 0.5) * CELL_SIZE;
+    const worldX = (gridX - gridWidth / 2 + 0.5) * cellSize;
+    const worldZ = (gridZ - gridHeight / 2 + 0.5) * cellSize;
     const worldY = currentHeight / 2; // Center Y for grid cell box
     return [worldX, worldY, worldZ];
 };
 
+// Cell size of a project in meters
+export const getCellSize = (settings) => settings?.cellSize ?? CELL_SIZE;
+
 // Calculate base Y position for an object placed *on* the ground
 export const getWorldYBase = (groundHeight) => groundHeight;
 const lerp = THREE.MathUtils.lerp;
 
-// --- Components ---
-
-// GridCell remains here
-export const GridCell = React.memo(
-    ({ x, z, height, color, onPointerDown, gridWidth, gridHeight }) => {
-        // Calculate world position for the center of the grid cell box
-        const position = useMemo(() => {
-            const worldX = (x - gridWidth / 2 + 0.5) * CELL_SIZE;
-            const worldZ = (z - gridHeight / 2 + 0.5) * CELL_SIZE;
-            const worldY = (height <= 0 ? 0.01 : height) / 2; // Center Y based on actual height
-            return [worldX, worldY, worldZ];
-        }, [x, z, height, gridWidth, gridHeight]);
-
-        const scale = useMemo(
-            () => [CELL_SIZE, height <= 0 ? 0.01 : height, CELL_SIZE],
-            [height]
-        );
-
-        const handlePointerDown = useCallback(
-            (event) => {
-                // Allow event to bubble up to the Canvas/Experience handler
-                onPointerDown(event, x, z);
-            },
-            [x, z, onPointerDown]
-        );
-
-        return (
-            <mesh
-                position={position}
-                scale={scale}
-                onPointerDown={handlePointerDown}
-                castShadow
-                receiveShadow
-                name={`gridcell-${x}-${z}`}
-            >
-                <boxGeometry args={[1, 1, 1]} />
-                <meshStandardMaterial
-                    color={color}
-                    roughness={0.8}
-                    metalness={0.1}
-                />
-            </mesh>
-        );
-    }
-);
+// Asks before objects are removed by a grid change; `action` completes "… removes N object(s)"
+const confirmObjectRemovals = (action, removals) => {
+    if (removals.length === 0) return true;
+    const MAX_LISTED = 15;
+    const listed = removals
+        .slice(0, MAX_LISTED)
+        .map((obj) => `- ${obj.name || obj.type} (#${obj.id})`)
+        .join("\n");
+    const more = removals.length > MAX_LISTED ? `\n…and ${removals.length - MAX_LISTED} more` : "";
+    return window.confirm(
+        `${action} removes ${removals.length} object(s) outside the new grid:\n${listed}${more}\n\nContinue?`
+    );
+};
 
 // --- App Entry Point (Manages Layout, UI, Modes, File IO) ---
 export default function PlanEditor() {
     const sceneLogicRef = useRef();
     const fileInputRef = useRef(null);
+    const heightmapInputRef = useRef(null);
 
     // --- UI State and App Modes ---
     const [showIntro, setShowIntro] = useState(false);
@@ -146,23 +189,70 @@ export default function PlanEditor() {
         w: INITIAL_GRID_WIDTH,
         h: INITIAL_GRID_HEIGHT,
     });
-    const [terrainPaintMode, setTerrainPaintMode] = useState("relative"); // 'relative' or 'absolute'
+    const [cellSize, setCellSize] = useState(CELL_SIZE); // Mirrors the project's settings.cellSize
+    const [desiredCellSize, setDesiredCellSize] = useState(CELL_SIZE);
+    const [resizeAnchor, setResizeAnchor] = useState("center"); // Key of RESIZE_ANCHORS
+    const [resizeFillMode, setResizeFillMode] = useState("edge"); // One of RESIZE_FILL_MODES
+    const [resizeFlatHeight, setResizeFlatHeight] = useState(0.5); // Height of new cells in 'flat' mode
+    const [terrainPaintMode, setTerrainPaintMode] = useState("relative"); // One of TERRAIN_BRUSHES
     const [absolutePaintHeight, setAbsolutePaintHeight] = useState(1.0); // Target height for absolute mode
-    const [paintColor, setPaintColor] = useState(COLORS[1]); // Default paint color
+    const [brushStrength, setBrushStrength] = useState(0.5); // Smooth / flatten / noise strength (0-1)
+    const [paintMaterial, setPaintMaterial] = useState(DEFAULT_GROUND_MATERIAL); // Id from GROUND_MATERIALS
+    const [paintTool, setPaintTool] = useState("brush"); // One of PAINT_TOOLS
+    const [fillColorTolerance, setFillColorTolerance] = useState(0); // 0-1, 0 = same material only
+    const [fillHeightTolerance, setFillHeightTolerance] = useState(0.5); // Meters from the clicked cell
     const [showCoordinates, setShowCoordinates] = useState(true);
-    const [clipboard, setClipboard] = useState(null); // For copy-paste
+    const [clipboard, setClipboard] = useState(null); // { kind: 'object', object } or { kind: 'region', region }
+    const [regionTool, setRegionTool] = useState("select"); // 'select' (two corner clicks) or 'paste'
+    const [regionCorner, setRegionCorner] = useState(null); // { gridX, gridZ } of the first corner click
+    const [regionSelection, setRegionSelection] = useState(null); // { x0, z0, x1, z1 }
+    const [regionIncludeObjects, setRegionIncludeObjects] = useState(false);
+    const [pasteRotation, setPasteRotation] = useState(0); // Quarter turns clockwise
+    const [pasteMirror, setPasteMirror] = useState(false);
+    const [pasteHeightMode, setPasteHeightMode] = useState("replace"); // 'replace' or 'relative'
+    const [pasteMaterials, setPasteMaterials] = useState(true);
+    const [userStamps, setUserStamps] = useState(loadUserStamps); // Saved in localStorage
     const [showAddObjectList, setShowAddObjectList] = useState(false);
     const [selectedObjectToAdd, setSelectedObjectToAdd] = useState(null);
     const [isOrthographic, setIsOrthographic] = useState(false);
     const [showObjectNames, setShowObjectNames] = useState(false);
+    const [terrainOverlay, setTerrainOverlay] = useState("none"); // One of TERRAIN_OVERLAYS
+    const [showContours, setShowContours] = useState(false);
+    const [contourInterval, setContourInterval] = useState(DEFAULT_CONTOUR_SETTINGS.interval);
+    const [contourMajorEvery, setContourMajorEvery] = useState(DEFAULT_CONTOUR_SETTINGS.majorEvery);
+    const [earthwork, setEarthwork] = useState(null); // Cut/fill result reported by the scene
+    const [waterFlowSummary, setWaterFlowSummary] = useState(null); // { ponds } while the water overlay is on
+    const [groundHeightAt, setGroundHeightAt] = useState(null); // (worldX, worldZ) -> height, replaced when the terrain changes
+    const [waterBodies, setWaterBodies] = useState([]); // Pond summaries (level, area, volume) reported by the scene
+    const [pondDepth, setPondDepth] = useState(DEFAULT_POND_DEPTH); // New pond level above the clicked cell
+    const [designChecks, setDesignChecks] = useState({ issues: [], rules: [] }); // Overlap/clearance problems reported by the scene
+    const [showDesignChecks, setShowDesignChecks] = useState(true); // Outline problem objects in the scene
+    const [showClearanceRules, setShowClearanceRules] = useState(false);
+    const [pathPoints, setPathPoints] = useState([]); // [[worldX, worldZ], ...] of the path, fence run or hedge row being drawn
+    const [pathSettings, setPathSettings] = useState({ fill: "stepping_stones", width: 0.8, spacing: 0.6, stoneSize: 0.45 });
+    const [pathRedrawId, setPathRedrawId] = useState(null); // Existing path or hedge row whose points are being redrawn
+    const [hedgeSettings, setHedgeSettings] = useState({ width: 0.5, height: 0.8, color: "#3A5F0B", plantSpacing: 0.4 });
+    const [fenceSettings, setFenceSettings] = useState({
+        configName: FENCE_CONFIGURATIONS[0]?.name,
+        panelWidth: 1.8, // Longest panel; segments are split into equal panels up to this width
+        height: 1.2,
+        slopeMode: "step", // One of FENCE_SLOPE_MODES
+        posts: true,
+    });
     const [objectFilter, setObjectFilter] = useState('');
-    const [exportText, setExportText] = useState(null);
+    const [exportPopup, setExportPopup] = useState(null); // { title, text } shown in the export popup
     const [isShiftPressed, setIsShiftPressed] = useState(false);
     const [mouseScreenPos, setMouseScreenPos] = useState({ x: 0, y: 0 });
     const [hoveredCoordinate, setHoveredCoordinate] = useState(null);
     const [sunAzimuth, setSunAzimuth] = useState(45); // Default: Northeast-ish
     const [sunElevation, setSunElevation] = useState(60); // Default: Fairly high sun
     const [currentMonth, setCurrentMonth] = useState(6);
+    const [currentProject, setCurrentProject] = useState(null); // { id, name, ... } from projectStore
+    const [showProjectBrowser, setShowProjectBrowser] = useState(false);
+    const [heightmapImport, setHeightmapImport] = useState(null); // { image, fileName } while the import dialog is open
+    const [generatorSettings, setGeneratorSettings] = useState(null); // Initial settings while the generator dialog is open
+    const currentProjectRef = useRef(null); // Read by autosave, which must not wait for a re-render
+    const initialProjectRequestedRef = useRef(false);
 
     const getNextObjectId = useCallback(() =>
         Math.max(...sceneLogicRef.current?.getObjects().map(o => o.id)) + 1, []);
@@ -246,71 +336,43 @@ export default function PlanEditor() {
         const url = URL.createObjectURL(blob);
         const a = document.createElement("a");
         a.href = url;
-        a.download = `plan_data_v${saveData.version}.json`;
+        const baseName = (currentProject?.name ?? "plan_data").replace(/[^\w-]+/g, "_");
+        a.download = `${baseName}_v${saveData.version}.json`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-    }, []);
-    const onLoadClick = useCallback(() => {
-        fileInputRef.current?.click();
-    }, []);
-    const onFileSelected = useCallback((event) => {
-        const file = event.target.files[0];
-        if (!file) return;
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const jsonString = e.target.result;
-                const loadedData = JSON.parse(jsonString);
-                const newSize = sceneLogicRef.current?.load(loadedData);
-                if (newSize) {
-                    setDesiredWidth(newSize.newWidth);
-                    setDesiredHeight(newSize.newHeight);
-                    setCurrentGridSize({
-                        w: newSize.newWidth,
-                        h: newSize.newHeight,
-                    });
-                }
-                setSelectedObjectId(null);
-            } catch (error) {
-                console.error("Load Error:", error);
-                alert(`Failed to load: ${error.message}`);
-            } finally {
-                if (fileInputRef.current) fileInputRef.current.value = "";
-            }
-        };
-        reader.onerror = (e) => {
-            console.error("Read Error:", e);
-            alert("Error reading file.");
-            if (fileInputRef.current) fileInputRef.current.value = "";
-        };
-        reader.readAsText(file);
-    }, []);
-
-    const loadPredefinedExample = useCallback((loadedData) => {
+    }, [currentProject]);
+    const onExport3DClick = useCallback(async () => {
+        if (!sceneLogicRef.current) return;
         try {
-            const newSize = sceneLogicRef.current?.load(loadedData);
-            if (newSize) {
-                setDesiredWidth(newSize.newWidth);
-                setDesiredHeight(newSize.newHeight);
-                setCurrentGridSize({
-                    w: newSize.newWidth,
-                    h: newSize.newHeight,
-                });
-            }
-            setSelectedObjectId(null);
-            console.log("Loaded example project successfully");
+            const glb = await sceneLogicRef.current.exportGLB();
+            const blob = new Blob([glb], { type: "model/gltf-binary" });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement("a");
+            a.href = url;
+            const baseName = (currentProject?.name ?? "garden").replace(/[^\w-]+/g, "_");
+            a.download = `${baseName}.glb`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
         } catch (error) {
-            console.error("Failed to load example project:", error);
-            alert(`Failed to load example: ${error.message}`);
+            console.error("Failed to export 3D scene:", error);
+            alert(`Failed to export 3D scene: ${error.message}`);
         }
+    }, [currentProject]);
+    const onLoadClick = useCallback(() => {
+        fileInputRef.current?.click();
     }, []);
 
     // Handler to change the main mode
     const handleSetMode = (newMode) => {
         console.log("Setting mode to:", newMode);
         setCurrentMode(newMode);
+        setRegionCorner(null);
+        setPathPoints([]);
+        setPathRedrawId(null);
         setSelectedObjectToAdd(null); // Clear pending add object when changing main mode
         if (newMode !== "select") {
             setSelectedObjectId(null);
@@ -368,6 +430,166 @@ export default function PlanEditor() {
         setSelectedObjectToAdd(null); // Clear pending add object
     }, []);
 
+    // --- Project Storage ---
+    const setOpenProject = useCallback((project) => {
+        currentProjectRef.current = project;
+        setCurrentProject(project);
+        if (project) localStorage.setItem(CURRENT_PROJECT_KEY, project.id);
+    }, []);
+
+    const handleAutoSave = useCallback((saveData) => {
+        const project = currentProjectRef.current;
+        if (!project) return;
+        return saveProjectData(project.id, saveData)
+            .then(() => console.log(`Autosaved project "${project.name}"`))
+            .catch((error) => console.error("Failed to autosave project:", error));
+    }, []);
+
+    // Loads save data into the scene; throws before touching the scene if the data is invalid
+    const applyLoadedData = useCallback((loadedData) => {
+        const newSize = sceneLogicRef.current?.load(loadedData);
+        if (newSize) {
+            setDesiredWidth(newSize.newWidth);
+            setDesiredHeight(newSize.newHeight);
+            setCurrentGridSize({
+                w: newSize.newWidth,
+                h: newSize.newHeight,
+            });
+            setCellSize(newSize.cellSize);
+            setDesiredCellSize(newSize.cellSize);
+            const { fromVersion, changes } = newSize.migration;
+            if (changes.length > 0) {
+                console.log(`Migrated project from v${fromVersion}:`, changes);
+                alert(
+                    `Project was upgraded from save version ${fromVersion}:\n\n` +
+                        changes.join("\n")
+                );
+            }
+        }
+        setSelectedObjectId(null);
+        return newSize;
+    }, []);
+
+    const openProject = useCallback(async (project) => {
+        sceneLogicRef.current?.flushAutoSave(); // Persist pending edits of the project being closed
+        currentProjectRef.current = null;
+        const data = await loadProjectData(project.id);
+        if (data) {
+            applyLoadedData(data);
+        } else {
+            // Project was created but nothing has been autosaved into it yet
+            sceneLogicRef.current?.resetState();
+            const dims = sceneLogicRef.current?.getGridDimensions();
+            if (dims) {
+                setDesiredWidth(dims.gridWidth);
+                setDesiredHeight(dims.gridHeight);
+                setCurrentGridSize({ w: dims.gridWidth, h: dims.gridHeight });
+                setCellSize(dims.cellSize);
+                setDesiredCellSize(dims.cellSize);
+            }
+        }
+        setOpenProject(project);
+        handleInteractionEnd(); // Reset UI mode/selection
+        console.log(`Opened project "${project.name}"`);
+    }, [applyLoadedData, setOpenProject, handleInteractionEnd]);
+
+    const importAsNewProject = useCallback(async (name, loadedData) => {
+        sceneLogicRef.current?.flushAutoSave();
+        currentProjectRef.current = null;
+        applyLoadedData(loadedData);
+        const project = await createProject(name, sceneLogicRef.current.save());
+        setOpenProject(project);
+        handleInteractionEnd();
+        return project;
+    }, [applyLoadedData, setOpenProject, handleInteractionEnd]);
+
+    const handleOpenProject = useCallback((project) => {
+        openProject(project)
+            .then(() => setShowProjectBrowser(false))
+            .catch((error) => {
+                console.error("Failed to open project:", error);
+                alert(`Failed to open project: ${error.message}`);
+            });
+    }, [openProject]);
+
+    const handleNewProject = useCallback(() => {
+        sceneLogicRef.current?.flushAutoSave();
+        createProject(DEFAULT_PROJECT_NAME)
+            .then(openProject)
+            .then(() => {
+                setShowProjectBrowser(false);
+                setIsOrthographic(false);
+            })
+            .catch((error) => {
+                console.error("Failed to create project:", error);
+                alert(`Failed to create project: ${error.message}`);
+            });
+    }, [openProject]);
+
+    const handleProjectRenamed = useCallback((project) => {
+        if (project.id === currentProjectRef.current?.id) setOpenProject(project);
+    }, [setOpenProject]);
+
+    // Open the last used project on startup (or adopt the legacy localStorage garden)
+    useEffect(() => {
+        if (initialProjectRequestedRef.current) return; // StrictMode runs effects twice
+        initialProjectRequestedRef.current = true;
+        const openInitialProject = async () => {
+            const projects = await listProjects();
+            if (projects.length > 0) {
+                const lastId = localStorage.getItem(CURRENT_PROJECT_KEY);
+                await openProject(projects.find((p) => p.id === lastId) ?? projects[0]);
+                return;
+            }
+            const legacyData = localStorage.getItem(LOCAL_STORAGE_KEY);
+            if (legacyData) {
+                await importAsNewProject("My Garden", JSON.parse(legacyData));
+                localStorage.removeItem(LOCAL_STORAGE_KEY); // Frees the quota, IndexedDB has it now
+                console.log("Imported localStorage garden into project storage");
+            } else {
+                await openProject(await createProject("My Garden"));
+            }
+        };
+        openInitialProject().catch((error) => {
+            console.error("Failed to open project storage:", error);
+            alert(`Failed to open saved projects: ${error.message}`);
+        });
+    }, []);
+
+    const onFileSelected = useCallback((event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const projectName = file.name.replace(/\.json$/i, "") || DEFAULT_PROJECT_NAME;
+            Promise.resolve()
+                .then(() => importAsNewProject(projectName, JSON.parse(e.target.result)))
+                .then(() => setShowProjectBrowser(false))
+                .catch((error) => {
+                    console.error("Load Error:", error);
+                    alert(`Failed to load: ${error.message}`);
+                })
+                .finally(() => {
+                    if (fileInputRef.current) fileInputRef.current.value = "";
+                });
+        };
+        reader.onerror = (e) => {
+            console.error("Read Error:", e);
+            alert("Error reading file.");
+            if (fileInputRef.current) fileInputRef.current.value = "";
+        };
+        reader.readAsText(file);
+    }, [importAsNewProject]);
+
+    const loadPredefinedExample = useCallback((name, loadedData) => {
+        importAsNewProject(name, loadedData)
+            .then(() => console.log("Loaded example project successfully"))
+            .catch((error) => {
+                console.error("Failed to load example project:", error);
+                alert(`Failed to load example: ${error.message}`);
+            });
+    }, [importAsNewProject]);
+
     const handleResize = () => {
         const w = parseInt(desiredWidth, 10);
         const h = parseInt(desiredHeight, 10);
@@ -381,10 +603,142 @@ export default function PlanEditor() {
         ) {
             /* alert */ return;
         }
-        sceneLogicRef.current?.resizeGrid(w, h); // resizeGrid calls onInteractionEnd
+        const removals = sceneLogicRef.current?.getResizeRemovals(w, h, resizeAnchor) ?? [];
+        if (!confirmObjectRemovals(`Resizing to ${w} x ${h}`, removals)) return;
+        sceneLogicRef.current?.resizeGrid(w, h, {
+            anchor: resizeAnchor,
+            fillMode: resizeFillMode,
+            flatHeight: Math.max(MIN_TERRAIN_HEIGHT, parseFloat(resizeFlatHeight) || MIN_TERRAIN_HEIGHT),
+        }); // resizeGrid calls onInteractionEnd
         setCurrentGridSize({ w: w, h: h });
     };
 
+    // Resamples the terrain to a new cell size, keeping about the same area and all object positions
+    const handleCellSizeChange = () => {
+        const newCellSize = parseFloat(desiredCellSize);
+        if (isNaN(newCellSize) || newCellSize < MIN_CELL_SIZE || newCellSize > MAX_CELL_SIZE) {
+            alert(`Cell size must be between ${MIN_CELL_SIZE} and ${MAX_CELL_SIZE} m.`);
+            return;
+        }
+        if (newCellSize === cellSize) return;
+        const { width, height } = getGridSizeForCellSize(
+            currentGridSize.w, currentGridSize.h, cellSize, newCellSize, MIN_GRID_DIM, MAX_GRID_DIM);
+        const removals = sceneLogicRef.current?.getCellSizeRemovals(newCellSize, width, height) ?? [];
+        if (removals.length > 0 && !window.confirm(
+            `With ${newCellSize} m cells the grid is limited to ${width} x ${height} cells ` +
+            `(${(width * newCellSize).toFixed(1)} x ${(height * newCellSize).toFixed(1)} m). ` +
+            `${removals.length} object(s) outside it will be removed. Continue?`
+        )) return;
+        sceneLogicRef.current?.setCellSize(newCellSize, width, height); // setCellSize calls onInteractionEnd
+        setCellSize(newCellSize);
+        setCurrentGridSize({ w: width, h: height });
+        setDesiredWidth(width);
+        setDesiredHeight(height);
+    };
+
+    // Contours shown in the scene and drawn into plan exports; null while hidden
+    const contourSettings = useMemo(() => {
+        const interval = parseFloat(contourInterval);
+        const majorEvery = parseInt(contourMajorEvery, 10);
+        if (!showContours || !(interval > 0)) return null;
+        return { interval, majorEvery: majorEvery > 0 ? majorEvery : 0 };
+    }, [showContours, contourInterval, contourMajorEvery]);
+
+    // --- Earthwork ---
+    const handleSetEarthworkBaseline = () => {
+        if (earthwork && !window.confirm("Replace the existing earthwork baseline with the current terrain?"))
+            return;
+        sceneLogicRef.current?.setEarthworkBaseline();
+        setTerrainOverlay("cut-fill");
+    };
+
+    // --- Ponds ---
+    const handlePondCellClick = useCallback((gridX, gridZ) => {
+        const cellHeight = sceneLogicRef.current?.getCellHeight(gridX, gridZ);
+        if (cellHeight === null || cellHeight === undefined) return;
+        const level = parseFloat((cellHeight + pondDepth).toFixed(3));
+        const pond = sceneLogicRef.current.addWaterBody(gridX, gridZ, level);
+        if (!pond) alert("The water level must be above the clicked cell.");
+        else if (pond.touchesEdge)
+            alert(`${pond.name} reaches the edge of the grid; in reality the water would run off there.`);
+    }, [pondDepth]);
+
+    const handleRemoveWaterBody = (body) => {
+        if (!window.confirm(`Remove ${body.name}?`)) return;
+        sceneLogicRef.current?.removeWaterBody(body.id);
+    };
+
+    // --- Design Checks ---
+    const setClearanceRules = (rules) => sceneLogicRef.current?.setClearanceRules(rules);
+
+    const handleClearanceRuleChange = (index, changes) => {
+        setClearanceRules(designChecks.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+    };
+
+    const handleResetClearanceRules = () => {
+        if (!window.confirm("Replace the clearance rules with the defaults?")) return;
+        setClearanceRules(DEFAULT_CLEARANCE_RULES);
+    };
+
+    // Selects the first object of a reported problem so it can be moved or edited
+    const handleSelectDesignCheck = (issue) => {
+        setCurrentMode("select");
+        setSelectedObjectToAdd(null);
+        setSelectedObjectId(issue.ids[0]);
+    };
+
+    const handleClearEarthworkBaseline = () => {
+        if (!window.confirm("Remove the earthwork baseline?")) return;
+        sceneLogicRef.current?.clearEarthworkBaseline();
+        if (terrainOverlay === "cut-fill") setTerrainOverlay("none");
+    };
+
+    // --- Heightmap Import ---
+    const onHeightmapFileSelected = useCallback((event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        readHeightmapImage(file)
+            .then((image) => setHeightmapImport({ image, fileName: file.name }))
+            .catch((error) => {
+                console.error("Heightmap Read Error:", error);
+                alert(`Failed to read heightmap: ${error.message}`);
+            })
+            .finally(() => {
+                if (heightmapInputRef.current) heightmapInputRef.current.value = "";
+            });
+    }, []);
+
+    const handleHeightmapImport = useCallback((heightData, { deriveMaterials, maxHeight }) => {
+        const w = heightData[0]?.length ?? 0;
+        const h = heightData.length;
+        const removals = sceneLogicRef.current?.getReplaceTerrainRemovals(w, h) ?? [];
+        if (!confirmObjectRemovals(`Importing the heightmap as ${w} x ${h} cells`, removals)) return;
+        const materialData = deriveMaterials ? getInitialMaterialData(heightData, maxHeight) : null;
+        sceneLogicRef.current?.replaceTerrain("Import heightmap", heightData, materialData);
+        setCurrentGridSize({ w, h });
+        setDesiredWidth(w);
+        setDesiredHeight(h);
+        setHeightmapImport(null);
+    }, []);
+
+    // --- Terrain Generator ---
+    const openTerrainGenerator = useCallback(() => {
+        // Start from the settings saved with the project, so the last terrain can be reproduced
+        setGeneratorSettings(sceneLogicRef.current?.getSettings()?.terrainGenerator ?? {});
+    }, []);
+
+    const handleGenerateTerrain = useCallback((settings, width, height) => {
+        const removals = sceneLogicRef.current?.getReplaceTerrainRemovals(width, height) ?? [];
+        if (!confirmObjectRemovals(`Generating a ${width} x ${height} terrain`, removals)) return;
+        const { heightData, materialData } = generateTerrain(settings, width, height);
+        sceneLogicRef.current?.replaceTerrain(
+            "Generate terrain", heightData, materialData, { terrainGenerator: settings });
+        setCurrentGridSize({ w: width, h: height });
+        setDesiredWidth(width);
+        setDesiredHeight(height);
+        setGeneratorSettings(null);
+    }, []);
+
     const handlePropertyChange = (propName, value, type = "text") => {
         if (selectedObjectId === null || !selectedObjectProps) return;
         let parsedValue = value;
@@ -412,25 +766,204 @@ export default function PlanEditor() {
         }));
     };
 
-    const handleReset = () => {
-        if (
-            window.confirm(
-                "Are you sure you want to reset the scene? This cannot be undone."
-            )
-        ) {
-            localStorage.removeItem(LOCAL_STORAGE_KEY); // Clear saved state
-            sceneLogicRef.current?.resetState(); // Trigger reset in SceneLogic
-            handleInteractionEnd(); // Reset UI mode/selection
-        }
-        setIsOrthographic(false);
-    };
-
     const handleObjectPropertyUpdate = useCallback((objectId, propName, value) => {
         if (objectId === selectedObjectId) {
             setSelectedObjectProps(prevProps => prevProps ? { ...prevProps, [propName]: value } : null);
         }
     }, [selectedObjectId]);
 
+    // Re-read UI state derived from the scene after an undo/redo step
+    const syncAfterHistoryChange = useCallback(() => {
+        const dims = sceneLogicRef.current?.getGridDimensions();
+        if (dims) {
+            setCurrentGridSize({ w: dims.gridWidth, h: dims.gridHeight });
+            setDesiredWidth(dims.gridWidth);
+            setDesiredHeight(dims.gridHeight);
+            setCellSize(dims.cellSize);
+            setDesiredCellSize(dims.cellSize);
+        }
+        if (selectedObjectId !== null) {
+            const props = sceneLogicRef.current?.getObjectProperties(selectedObjectId);
+            if (props) setSelectedObjectProps(props);
+            else setSelectedObjectId(null); // Object no longer exists
+        }
+    }, [selectedObjectId]);
+
+    const handleUndo = useCallback(() => {
+        const label = sceneLogicRef.current?.undo();
+        if (label) {
+            console.log("Undo:", label);
+            syncAfterHistoryChange();
+        }
+    }, [syncAfterHistoryChange]);
+
+    const handleRedo = useCallback(() => {
+        const label = sceneLogicRef.current?.redo();
+        if (label) {
+            console.log("Redo:", label);
+            syncAfterHistoryChange();
+        }
+    }, [syncAfterHistoryChange]);
+
+    // --- Terrain Regions (copy/paste and stamps) ---
+    const handleCopyRegion = useCallback(() => {
+        if (!regionSelection) return;
+        const { x0, z0, x1, z1 } = regionSelection;
+        const region = sceneLogicRef.current?.copyTerrainRegion(x0, z0, x1, z1, {
+            includeObjects: regionIncludeObjects,
+        });
+        if (!region) return;
+        setClipboard({ kind: "region", region });
+        setPasteRotation(0);
+        setPasteMirror(false);
+        setRegionTool("paste");
+        console.log(`Copied ${region.width}x${region.height} region with ${region.objects.length} object(s)`);
+    }, [regionSelection, regionIncludeObjects]);
+
+    // Grid clicks in region mode: corners of the selection, or where to paste
+    const handleRegionCellClick = useCallback((gridX, gridZ) => {
+        if (regionTool === "paste") {
+            if (clipboard?.kind !== "region") return;
+            const region = transformTerrainRegion(clipboard.region, pasteRotation, pasteMirror);
+            sceneLogicRef.current?.pasteTerrainRegion(region, gridX, gridZ, {
+                heightMode: pasteHeightMode,
+                includeMaterials: pasteMaterials,
+            }, getNextObjectId());
+        } else if (!regionCorner) {
+            setRegionCorner({ gridX, gridZ });
+            setRegionSelection(null);
+        } else {
+            setRegionSelection({ x0: regionCorner.gridX, z0: regionCorner.gridZ, x1: gridX, z1: gridZ });
+            setRegionCorner(null);
+        }
+    }, [regionTool, regionCorner, clipboard, pasteRotation, pasteMirror, pasteHeightMode, pasteMaterials, getNextObjectId]);
+
+    const handleSaveStamp = useCallback(() => {
+        if (clipboard?.kind !== "region") return;
+        const name = window.prompt("Stamp name:", "My stamp");
+        if (!name) return;
+        const stamps = [...userStamps, { id: `stamp-${Date.now()}`, name, region: clipboard.region }];
+        setUserStamps(stamps);
+        saveUserStamps(stamps);
+    }, [clipboard, userStamps]);
+
+    const handleUseStamp = useCallback((stamp) => {
+        setClipboard({ kind: "region", region: stamp.region });
+        setPasteRotation(0);
+        setPasteMirror(false);
+        if (stamp.builtIn) setPasteHeightMode("relative"); // Built-in stamps are relief shapes
+        setRegionTool("paste");
+    }, []);
+
+    const handleDeleteStamp = useCallback((stamp) => {
+        if (!window.confirm(`Delete the stamp "${stamp.name}"?`)) return;
+        const stamps = userStamps.filter((s) => s.id !== stamp.id);
+        setUserStamps(stamps);
+        saveUserStamps(stamps);
+    }, [userStamps]);
+
+    // --- Paths and Hedge Rows (one object along a polyline drawn on the terrain) ---
+    const handleFinishPath = useCallback(() => {
+        const isHedge = currentMode === "hedge";
+        if (pathPoints.length < 2) {
+            alert(`A ${isHedge ? "hedge row" : "path"} needs at least two points.`);
+            return;
+        }
+        const { worldX, worldZ, points } = centerPathPoints(pathPoints);
+        let id = pathRedrawId;
+        if (id !== null) {
+            // The new points are world-aligned, so a rotation of the old object must not turn them
+            sceneLogicRef.current?.updateObjectProperties(id, { worldX, worldZ, points, rotationY: 0 },
+                isHedge ? "Redraw hedge row" : "Redraw path");
+        } else {
+            id = getNextObjectId();
+            sceneLogicRef.current?.addObject(isHedge
+                ? { id, type: "hedge_row", name: "Hedge Row", worldX, worldZ, points, ...hedgeSettings }
+                : { id, type: "garden_path", name: "Path", worldX, worldZ, points, ...pathSettings });
+        }
+        handleSetMode("select");
+        setSelectedObjectId(id);
+        setSelectedObjectProps(sceneLogicRef.current?.getObjectProperties(id) ?? null);
+    }, [currentMode, pathPoints, pathRedrawId, pathSettings, hedgeSettings, getNextObjectId]);
+
+    // --- Fence Runs (panels of one configuration along a polyline, posts at the joints) ---
+    const handleGroundHeightChange = useCallback((sampler) => setGroundHeightAt(() => sampler), []);
+
+    const fenceDraft = useMemo(() => {
+        if (currentMode !== "fence" || pathPoints.length < 2 || !groundHeightAt) return null;
+        return getFenceRunLayout(pathPoints, {
+            panelWidth: fenceSettings.panelWidth,
+            panelHeight: fenceSettings.height,
+            slopeMode: fenceSettings.slopeMode,
+            groundAt: groundHeightAt,
+        });
+    }, [currentMode, pathPoints, fenceSettings, groundHeightAt]);
+
+    const handleFinishFence = useCallback(() => {
+        const config = FENCE_CONFIGURATIONS.find((c) => c.name === fenceSettings.configName);
+        if (!config) {
+            alert("Choose a fence panel for the run.");
+            return;
+        }
+        if (!(fenceSettings.panelWidth > 0) || !(fenceSettings.height > 0)) {
+            alert(`The fence run needs a positive ${fenceSettings.panelWidth > 0 ? "height" : "max panel width"}.`);
+            return;
+        }
+        if (!fenceDraft) {
+            alert("A fence run needs at least two points.");
+            return;
+        }
+        const firstId = getNextObjectId();
+        const panels = fenceDraft.panels.map((panel, i) => ({
+            ...config.props,
+            ...panel,
+            id: firstId + i,
+            type: "fence_panel",
+            name: config.name,
+            configName: config.name,
+            height: fenceSettings.height,
+            fenceRun: firstId, // Objects of one run share this, for the run report
+        }));
+        const posts = !fenceSettings.posts ? [] : fenceDraft.posts.map((post, i) => ({
+            ...post,
+            id: firstId + panels.length + i,
+            type: "fence_post",
+            name: "Fence Post",
+            fenceRun: firstId,
+        }));
+        const scene = sceneLogicRef.current;
+        scene?.beginHistoryGroup("Add fence run");
+        [...panels, ...posts].forEach((obj) => scene?.addObject(obj));
+        scene?.endHistoryGroup();
+        handleSetMode("select");
+        setSelectedObjectId(firstId);
+    }, [fenceDraft, fenceSettings, getNextObjectId]);
+
+    // Clicking the last point again finishes the path, fence run or hedge row
+    const handleFinishPolyline = currentMode === "fence" ? handleFinishFence : handleFinishPath;
+    const handlePathPointClick = useCallback((worldX, worldZ) => {
+        const last = pathPoints[pathPoints.length - 1];
+        if (last && Math.hypot(worldX - last[0], worldZ - last[1]) < 0.15) {
+            handleFinishPolyline();
+            return;
+        }
+        setPathPoints((points) => [...points, [worldX, worldZ]]);
+    }, [pathPoints, handleFinishPolyline]);
+
+    // Redraw the points of the selected path or hedge row, keeping its other properties
+    const handleRedrawPath = () => {
+        if (selectedObjectId === null) return;
+        const id = selectedObjectId;
+        handleSetMode(selectedObjectProps?.type === "hedge_row" ? "hedge" : "path");
+        setPathRedrawId(id);
+    };
+
+    const pathDraftLength = useMemo(() => getPathLength(pathPoints), [pathPoints]);
+    const pathDraftCount = useMemo(
+        () => getPathMaterialCount({ points: pathPoints, ...pathSettings }),
+        [pathPoints, pathSettings]
+    );
+
     // --- Keyboard Shortcuts Handler ---
     const handleKeyDown = useCallback(
         (event) => {
@@ -455,12 +988,38 @@ export default function PlanEditor() {
                     setCurrentMode("select");
                 } else if (
                     currentMode === "terrain" ||
-                    currentMode === "paint-color"
+                    currentMode === "paint-color" ||
+                    currentMode === "region" ||
+                    currentMode === "path" ||
+                    currentMode === "fence" ||
+                    currentMode === "hedge"
                 ) {
                     handleSetMode("select");
                 }
             }
 
+            // --- Finish the path, fence run or hedge row being drawn ---
+            else if (
+                event.key === "Enter" &&
+                (currentMode === "path" || currentMode === "fence" || currentMode === "hedge") &&
+                !["INPUT", "TEXTAREA", "SELECT"].includes(event.target?.tagName)
+            ) {
+                event.preventDefault();
+                handleFinishPolyline();
+            }
+
+            // --- Rotate / mirror the region being pasted ---
+            else if (
+                currentMode === "region" &&
+                regionTool === "paste" &&
+                !event.ctrlKey && !event.metaKey &&
+                !["INPUT", "TEXTAREA", "SELECT"].includes(event.target?.tagName) &&
+                ["r", "m"].includes(event.key.toLowerCase())
+            ) {
+                if (event.key.toLowerCase() === "r") setPasteRotation((turns) => (turns + 1) % 4);
+                else setPasteMirror((mirror) => !mirror);
+            }
+
             // --- Delete ---
             else if (event.key === "Delete" && selectedObjectId !== null) {
                 console.log("DEL: Deleting selected");
@@ -468,7 +1027,27 @@ export default function PlanEditor() {
                 handleRemoveSelected(); // Use existing handler
             }
 
-            // --- Copy ---
+            // --- Undo / Redo ---
+            else if (
+                (event.ctrlKey || event.metaKey) &&
+                event.key.toLowerCase() === "z" &&
+                !["INPUT", "TEXTAREA"].includes(event.target?.tagName) // Keep native undo in text fields
+            ) {
+                event.preventDefault();
+                if (event.shiftKey) handleRedo();
+                else handleUndo();
+            }
+
+            // --- Copy (selected terrain region in region mode, otherwise the selected object) ---
+            else if (
+                (event.ctrlKey || event.metaKey) &&
+                event.key === "c" &&
+                currentMode === "region" &&
+                regionSelection !== null
+            ) {
+                event.preventDefault();
+                handleCopyRegion();
+            }
             else if (
                 (event.ctrlKey || event.metaKey) &&
                 event.key === "c" &&
@@ -481,26 +1060,35 @@ export default function PlanEditor() {
                     );
                 if (props) {
                     const { id, ...copyData } = props; // Copy everything except the ID
-                    setClipboard(copyData);
+                    setClipboard({ kind: "object", object: copyData });
                     console.log("Copied to clipboard:", copyData);
                 }
             }
 
-            // --- Paste ---
+            // --- Paste (a region is placed by clicking the grid) ---
+            else if (
+                (event.ctrlKey || event.metaKey) &&
+                event.key === "v" &&
+                clipboard?.kind === "region"
+            ) {
+                event.preventDefault();
+                handleSetMode("region");
+                setRegionTool("paste");
+            }
             else if (
                 (event.ctrlKey || event.metaKey) &&
                 event.key === "v" &&
-                clipboard !== null
+                clipboard?.kind === "object"
             ) {
                 event.preventDefault();
                 console.log("Pasting from clipboard:", clipboard);
                 const newId = getNextObjectId();
                 // Simple paste: offset slightly from original position
-                const pasteOffset = CELL_SIZE * 0.5;
-                const newWorldX = (clipboard.worldX ?? 0) + pasteOffset;
-                const newWorldZ = (clipboard.worldZ ?? 0) + pasteOffset;
+                const pasteOffset = cellSize * 0.5;
+                const newWorldX = (clipboard.object.worldX ?? 0) + pasteOffset;
+                const newWorldZ = (clipboard.object.worldZ ?? 0) + pasteOffset;
                 sceneLogicRef.current?.addObject({
-                    ...clipboard,
+                    ...clipboard.object,
                     id: newId,
                     worldX: newWorldX,
                     worldZ: newWorldZ,
@@ -513,7 +1101,7 @@ export default function PlanEditor() {
                 selectedObjectId !== null
             ) {
                 event.preventDefault(); // Prevent scrolling
-                const nudgeAmount = CELL_SIZE * 0.1;
+                const nudgeAmount = cellSize * 0.1;
                 const currentProps =
                     sceneLogicRef.current?.getObjectProperties(
                         selectedObjectId
@@ -542,6 +1130,13 @@ export default function PlanEditor() {
             handleRemoveSelected,
             getNextObjectId,
             selectedObjectToAdd,
+            handleUndo,
+            handleRedo,
+            cellSize,
+            regionTool,
+            regionSelection,
+            handleCopyRegion,
+            handleFinishPolyline,
         ]
     ); // Add dependencies
 
@@ -551,8 +1146,23 @@ export default function PlanEditor() {
                 return "Click object to select/edit properties. Drag selected object to move. Ctrl+drag to rotate.";
             case "terrain":
                 return "Click/Drag grid to modify height (Shift=Lower). Esc to exit.";
+            case "region":
+                return regionTool === "paste"
+                    ? "Click a cell to paste the region centered on it. R rotates, M mirrors. Esc to exit."
+                    : "Click two corner cells to select a region, then Ctrl+C to copy. Esc to exit.";
             case "paint-color":
-                return "Click/Drag grid to paint color. Esc to exit.";
+                return {
+                    brush: "Click/Drag grid to paint",
+                    fill: "Click a cell to fill its area with",
+                    rectangle: "Click two corners to fill a rectangle with",
+                    polygon: "Click outline cells, then the first cell again to fill with",
+                }[paintTool] + ` ${getGroundMaterial(paintMaterial).name.toLowerCase()}. Esc to exit.`;
+            case "path":
+                return "Click terrain to add path points. Enter or click the last point again to finish, Esc to cancel.";
+            case "fence":
+                return "Click terrain to add fence corners. Enter or click the last corner again to finish, Esc to cancel.";
+            case "hedge":
+                return "Click terrain to add hedge row points. Enter or click the last point again to finish, Esc to cancel.";
             case "place":
                 return `Click terrain to place '${
                     selectedObjectToAdd?.name || ""
@@ -560,7 +1170,7 @@ export default function PlanEditor() {
             default:
                 return "Select a mode.";
         }
-    }, [currentMode, selectedObjectToAdd]);
+    }, [currentMode, selectedObjectToAdd, paintMaterial, paintTool, regionTool]);
 
     const handleShowIntro = () => {
         setShowIntro(true);
@@ -756,6 +1366,43 @@ export default function PlanEditor() {
                         </div>
                     );
                 })}
+                {selectedObjectProps.fenceRun !== undefined && (() => {
+                    const run = (sceneLogicRef.current?.getObjects() ?? [])
+                        .filter((obj) => obj?.fenceRun === selectedObjectProps.fenceRun);
+                    const runPanels = run.filter((obj) => obj.type === "fence_panel");
+                    const runLength = runPanels.reduce((sum, panel) => sum + (panel.width ?? 0), 0);
+                    return (
+                        <div style={{ marginTop: "8px", fontSize: "11px", color: "#aaa" }}>
+                            Fence run: {runLength.toFixed(2)} m, {runPanels.length} panel(s),{" "}
+                            {run.length - runPanels.length} post(s)
+                        </div>
+                    );
+                })()}
+                {selectedObjectProps.type === "garden_path" && (() => {
+                    const { count, unit } = getPathMaterialCount(selectedObjectProps);
+                    return (
+                        <div style={{ marginTop: "8px" }}>
+                            <div style={{ fontSize: "11px", color: "#aaa" }}>
+                                {getPathLength(selectedObjectProps.points).toFixed(2)} m long, {count} {unit}
+                            </div>
+                            <button onClick={handleRedrawPath} style={getButtonStyle()}>
+                                Redraw Path
+                            </button>
+                        </div>
+                    );
+                })()}
+                {selectedObjectProps.type === "hedge_row" && (
+                    <div style={{ marginTop: "8px" }}>
+                        <div style={{ fontSize: "11px", color: "#aaa" }}>
+                            {getPathLength(selectedObjectProps.points).toFixed(2)} m long,{" "}
+                            {getRowPlantCount(selectedObjectProps.points, selectedObjectProps.plantSpacing ?? 0.4)} plants
+                            at {selectedObjectProps.plantSpacing ?? 0.4} m spacing
+                        </div>
+                        <button onClick={handleRedrawPath} style={getButtonStyle()}>
+                            Redraw Hedge Row
+                        </button>
+                    </div>
+                )}
                 <button
                     onClick={handleRemoveSelected}
                     style={{
@@ -869,7 +1516,7 @@ export default function PlanEditor() {
     };
 
     const renderExportPopup = () => {
-        if (!exportText) return null;
+        if (!exportPopup) return null;
         
         return (
             <div style={{
@@ -900,9 +1547,9 @@ export default function PlanEditor() {
                     color: '#f5f5f5'
                 }}>
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                        <strong style={{ fontSize: '16px', letterSpacing: '0.5px' }}>Exported Object List</strong>
+                        <strong style={{ fontSize: '16px', letterSpacing: '0.5px' }}>{exportPopup.title}</strong>
                         <button 
-                            onClick={() => setExportText(null)}
+                            onClick={() => setExportPopup(null)}
                             style={{
                                 background: 'transparent',
                                 border: 'none',
@@ -921,7 +1568,7 @@ export default function PlanEditor() {
                     
                     <textarea 
                         readOnly
-                        value={exportText}
+                        value={exportPopup.text}
                         style={{
                             width: '100%',
                             height: '250px',
@@ -942,7 +1589,7 @@ export default function PlanEditor() {
                     <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
                         <button
                             onClick={() => {
-                                navigator.clipboard.writeText(exportText);
+                                navigator.clipboard.writeText(exportPopup.text);
                                 alert("Copied to clipboard!");
                             }}
                             style={{
@@ -961,7 +1608,7 @@ export default function PlanEditor() {
                             Copy to Clipboard
                         </button>
                         <button
-                            onClick={() => setExportText(null)}
+                            onClick={() => setExportPopup(null)}
                             style={{
                                 background: '#333',
                                 color: '#ccc',
@@ -1028,13 +1675,58 @@ export default function PlanEditor() {
         // Show export text popup instead of triggering download
         try {
             const jsonString = JSON.stringify(exportData, null, 2);
-            setExportText(jsonString);
+            setExportPopup({ title: "Exported Object List", text: jsonString });
         } catch (error) {
             console.error("Failed to export object list:", error);
             alert("Failed to generate export file.");
         }
     }, []); // Depends only on sceneLogicRef
 
+    // Square meters, cost and permeability per ground material
+    const handleExportGroundAreas = useCallback(() => {
+        const areas = sceneLogicRef.current?.getMaterialAreas();
+        if (!areas) return;
+        const totalArea = areas.reduce((sum, entry) => sum + entry.area, 0);
+        const report = {
+            totalArea: parseFloat(totalArea.toFixed(2)),
+            totalCost: parseFloat(areas.reduce((sum, entry) => sum + entry.cost, 0).toFixed(2)),
+            // Area-weighted share of rainfall soaking in
+            averagePermeability: totalArea > 0
+                ? parseFloat((areas.reduce((sum, entry) => sum + entry.area * entry.permeability, 0) / totalArea).toFixed(2))
+                : 0,
+            materials: areas.map((entry) => ({
+                material: entry.name,
+                area: parseFloat(entry.area.toFixed(2)),
+                cells: entry.cells,
+                cost: parseFloat(entry.cost.toFixed(2)),
+                permeability: entry.permeability,
+            })),
+        };
+        setExportPopup({ title: "Ground Material Areas (m²)", text: JSON.stringify(report, null, 2) });
+    }, []);
+
+    // Printable top-down plan (ground materials, object symbols, legend, scale bar)
+    const handleExportPlanSVG = useCallback(() => {
+        const saveData = sceneLogicRef.current?.save();
+        if (!saveData) return;
+        try {
+            const projectName = currentProject?.name ?? "Garden Plan";
+            const svg = createPlanSVG({ ...saveData, title: projectName, contours: contourSettings });
+            const blob = new Blob([svg], { type: "image/svg+xml" });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement("a");
+            a.href = url;
+            a.download = `${projectName.replace(/[^\w-]+/g, "_")}_plan.svg`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error("Failed to export plan:", error);
+            alert("Failed to generate plan file.");
+        }
+    }, [currentProject, contourSettings]);
+
     // --- Effect for Global Key Listener ---
     useEffect(() => {
         console.log("Attaching keydown listener");
@@ -1108,6 +1800,20 @@ export default function PlanEditor() {
                 {/* 1. File Actions */}
                 <div style={{ marginBottom: "12px" }}>
                     <strong>Actions:</strong>
+                    <div
+                        onClick={() => setShowProjectBrowser(true)}
+                        title="Open project browser"
+                        style={{
+                            marginTop: "4px",
+                            color: "#aaa",
+                            cursor: "pointer",
+                            overflow: "hidden",
+                            textOverflow: "ellipsis",
+                            whiteSpace: "nowrap",
+                        }}
+                    >
+                        Project: <span style={{ color: "#fff" }}>{currentProject?.name ?? "…"}</span>
+                    </div>
                     <div style={{ display: "flex", gap: "6px", marginTop: "6px" }}>
                         <button
                             style={getActionButtonStyle()}
@@ -1131,7 +1837,7 @@ export default function PlanEditor() {
 
                         <button
                             style={getActionButtonStyle()}
-                            onClick={handleReset}
+                            onClick={handleNewProject}
                             title="New Project"
                             onMouseEnter={(e) => {
                                 e.currentTarget.style.background = 'rgba(255,255,255,0.08)';
@@ -1152,8 +1858,8 @@ export default function PlanEditor() {
 
                         <button
                             style={getActionButtonStyle()}
-                            onClick={onLoadClick}
-                            title="Load Project"
+                            onClick={() => setShowProjectBrowser(true)}
+                            title="Open Project"
                             onMouseEnter={(e) => {
                                 e.currentTarget.style.background = 'rgba(255,255,255,0.08)';
                                 e.currentTarget.style.color = '#fff';
@@ -1172,7 +1878,7 @@ export default function PlanEditor() {
                         <button
                             style={getActionButtonStyle()}
                             onClick={onSaveClick}
-                            title="Save Project"
+                            title="Download Project File"
                             onMouseEnter={(e) => {
                                 e.currentTarget.style.background = 'rgba(255,255,255,0.08)';
                                 e.currentTarget.style.color = '#fff';
@@ -1207,6 +1913,46 @@ export default function PlanEditor() {
                                 <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
                             </svg>
                         </button>
+
+                        <button
+                            style={getActionButtonStyle()}
+                            onClick={handleExportPlanSVG}
+                            title="Export 2D Plan (.svg)"
+                            onMouseEnter={(e) => {
+                                e.currentTarget.style.background = 'rgba(255,255,255,0.08)';
+                                e.currentTarget.style.color = '#fff';
+                            }}
+                            onMouseLeave={(e) => {
+                                e.currentTarget.style.background = 'transparent';
+                                e.currentTarget.style.color = '#aaa';
+                            }}
+                        >
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <polygon points="1 6 1 22 8 18 16 22 23 18 23 2 16 6 8 2 1 6"/>
+                                <line x1="8" y1="2" x2="8" y2="18"/>
+                                <line x1="16" y1="6" x2="16" y2="22"/>
+                            </svg>
+                        </button>
+
+                        <button
+                            style={getActionButtonStyle()}
+                            onClick={onExport3DClick}
+                            title="Export 3D (.glb)"
+                            onMouseEnter={(e) => {
+                                e.currentTarget.style.background = 'rgba(255,255,255,0.08)';
+                                e.currentTarget.style.color = '#fff';
+                            }}
+                            onMouseLeave={(e) => {
+                                e.currentTarget.style.background = 'transparent';
+                                e.currentTarget.style.color = '#aaa';
+                            }}
+                        >
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"/>
+                                <polyline points="3.27 6.96 12 12.01 20.73 6.96"/>
+                                <line x1="12" y1="22.08" x2="12" y2="12"/>
+                            </svg>
+                        </button>
                     </div>
                 </div>
 
@@ -1285,7 +2031,7 @@ export default function PlanEditor() {
                         <button
                             style={getModeButtonStyle("paint-color")}
                             onClick={() => handleSetMode("paint-color")}
-                            title="Paint Ground Color"
+                            title="Paint Ground Material"
                             onMouseEnter={(e) => {
                                 if (currentMode !== "paint-color") {
                                     e.currentTarget.style.background = 'rgba(255,255,255,0.08)';
@@ -1307,21 +2053,116 @@ export default function PlanEditor() {
                                 <circle cx="15.5" cy="14.5" r="1.5" fill="currentColor" />
                             </svg>
                         </button>
-                    </div>
-                </div>
 
-                {/* console.log("[PlanEditor] Rendering with showCoordinates:", showCoordinates) */}
+                        <button
+                            style={getModeButtonStyle("region")}
+                            onClick={() => handleSetMode("region")}
+                            title="Copy, Paste and Stamp Terrain Regions"
+                            onMouseEnter={(e) => {
+                                if (currentMode !== "region") {
+                                    e.currentTarget.style.background = 'rgba(255,255,255,0.08)';
+                                    e.currentTarget.style.color = '#fff';
+                                }
+                            }}
+                            onMouseLeave={(e) => {
+                                if (currentMode !== "region") {
+                                    e.currentTarget.style.background = 'transparent';
+                                    e.currentTarget.style.color = '#aaa';
+                                }
+                            }}
+                        >
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <rect x="3" y="3" width="12" height="12" strokeDasharray="3 2" />
+                                <rect x="9" y="9" width="12" height="12" />
+                            </svg>
+                        </button>
 
-                {/* ... Actions, Grid Resize, Brush Size (only relevant in terrain mode?), Aging Slider ... */}
-                <div
-                    style={{
-                        marginBottom: "8px",
-                        borderTop: "1px solid #555",
-                        paddingTop: "8px",
-                        display: currentMode === "terrain" ? "block" : "none",
-                    }}
-                >
-                    <strong>Terrain Brush:</strong>
+                        <button
+                            style={getModeButtonStyle("path")}
+                            onClick={() => handleSetMode("path")}
+                            title="Draw Paths (Stepping Stones, Pavers, Gravel)"
+                            onMouseEnter={(e) => {
+                                if (currentMode !== "path") {
+                                    e.currentTarget.style.background = 'rgba(255,255,255,0.08)';
+                                    e.currentTarget.style.color = '#fff';
+                                }
+                            }}
+                            onMouseLeave={(e) => {
+                                if (currentMode !== "path") {
+                                    e.currentTarget.style.background = 'transparent';
+                                    e.currentTarget.style.color = '#aaa';
+                                }
+                            }}
+                        >
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <polyline points="3 20 9 14 15 16 21 4" strokeDasharray="2 3" />
+                                <circle cx="3" cy="20" r="1.5" />
+                                <circle cx="21" cy="4" r="1.5" />
+                            </svg>
+                        </button>
+
+                        <button
+                            style={getModeButtonStyle("fence")}
+                            onClick={() => handleSetMode("fence")}
+                            title="Draw Fence Runs"
+                            onMouseEnter={(e) => {
+                                if (currentMode !== "fence") {
+                                    e.currentTarget.style.background = 'rgba(255,255,255,0.08)';
+                                    e.currentTarget.style.color = '#fff';
+                                }
+                            }}
+                            onMouseLeave={(e) => {
+                                if (currentMode !== "fence") {
+                                    e.currentTarget.style.background = 'transparent';
+                                    e.currentTarget.style.color = '#aaa';
+                                }
+                            }}
+                        >
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <path d="M4 21V6l2-2 2 2v15" />
+                                <path d="M16 21V6l2-2 2 2v15" />
+                                <line x1="8" y1="9" x2="16" y2="9" />
+                                <line x1="8" y1="16" x2="16" y2="16" />
+                            </svg>
+                        </button>
+
+                        <button
+                            style={getModeButtonStyle("hedge")}
+                            onClick={() => handleSetMode("hedge")}
+                            title="Draw Hedge Rows"
+                            onMouseEnter={(e) => {
+                                if (currentMode !== "hedge") {
+                                    e.currentTarget.style.background = 'rgba(255,255,255,0.08)';
+                                    e.currentTarget.style.color = '#fff';
+                                }
+                            }}
+                            onMouseLeave={(e) => {
+                                if (currentMode !== "hedge") {
+                                    e.currentTarget.style.background = 'transparent';
+                                    e.currentTarget.style.color = '#aaa';
+                                }
+                            }}
+                        >
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <path d="M3 20v-6a3 3 0 0 1 6 0 3 3 0 0 1 6 0v-4a3 3 0 0 1 6 0v10" />
+                                <line x1="3" y1="20" x2="21" y2="20" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                {/* console.log("[PlanEditor] Rendering with showCoordinates:", showCoordinates) */}
+
+                {/* ... Actions, Grid Resize, Brush Size (only relevant in terrain mode?), Aging Slider ... */}
+                <div
+                    style={{
+                        marginBottom: "8px",
+                        borderTop: "1px solid #555",
+                        paddingTop: "8px",
+                        display: currentMode === "terrain" ? "block" : "none",
+                    }}
+                >
+                    <strong>Terrain Brush:</strong>
                     <div>
                         <label>Size:</label> {brushSize}
                         <br />{" "}
@@ -1337,48 +2178,77 @@ export default function PlanEditor() {
                             style={{ width: "100%" }}
                         />
                     </div>
-                    <div style={{ marginTop: "5px" }}>
-                        <label
-                            style={{
-                                display: "flex",
-                                alignItems: "center",
-                                cursor: "pointer",
-                            }}
-                        >
+                    <div style={{ marginTop: "5px", display: "flex", flexWrap: "wrap" }}>
+                        {TERRAIN_BRUSHES.map(({ mode, label, title }) => (
+                            <button
+                                key={mode}
+                                onClick={() => setTerrainPaintMode(mode)}
+                                title={title}
+                                style={{
+                                    ...getButtonStyle(terrainPaintMode === mode),
+                                    display: "inline-block",
+                                    width: "calc(33% - 4px)",
+                                    textAlign: "center",
+                                }}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    {terrainPaintMode === "absolute" && (
+                        <div style={{ marginTop: "5px" }}>
+                            <label>Height:</label>
                             <input
-                                type="checkbox"
-                                checked={terrainPaintMode === "absolute"}
+                                type="number"
+                                step="0.1"
+                                value={absolutePaintHeight}
                                 onChange={(e) =>
-                                    setTerrainPaintMode(
-                                        e.target.checked
-                                            ? "absolute"
-                                            : "relative"
+                                    setAbsolutePaintHeight(
+                                        parseFloat(e.target.value) || 0
                                     )
                                 }
-                                style={{ marginRight: "5px" }}
+                                min={MIN_TERRAIN_HEIGHT}
+                                max="100"
+                                style={{ width: "50px", marginLeft: "5px" }}
                             />
-                            Set Absolute Height:
-                        </label>
-                        <input
-                            type="number"
-                            step="0.1"
-                            value={absolutePaintHeight}
-                            onChange={(e) =>
-                                setAbsolutePaintHeight(
-                                    parseFloat(e.target.value) || 0
-                                )
-                            }
-                            min={MIN_TERRAIN_HEIGHT}
-                            max="100"
-                            disabled={terrainPaintMode !== "absolute"}
-                            style={{
-                                width: "50px",
-                                marginLeft: "5px",
-                                opacity:
-                                    terrainPaintMode === "absolute" ? 1 : 0.5,
-                            }}
-                        />
-                    </div>
+                        </div>
+                    )}
+                    {["smooth", "flatten", "noise"].includes(terrainPaintMode) && (
+                        <div style={{ marginTop: "5px" }}>
+                            <label>Strength:</label> {brushStrength.toFixed(2)}
+                            <input
+                                type="range"
+                                min="0.05"
+                                max="1"
+                                step="0.05"
+                                value={brushStrength}
+                                onChange={(e) => setBrushStrength(parseFloat(e.target.value))}
+                                style={{ width: "100%" }}
+                            />
+                        </div>
+                    )}
+                    {terrainPaintMode === "pond" && (
+                        <div style={{ marginTop: "5px" }}>
+                            <label>Water depth (m):</label>
+                            <input
+                                type="number"
+                                step="0.05"
+                                min="0.01"
+                                value={pondDepth}
+                                onChange={(e) => setPondDepth(Math.max(0.01, parseFloat(e.target.value) || 0.01))}
+                                title="The water level is set this far above the clicked cell"
+                                style={{ width: "50px", marginLeft: "5px" }}
+                            />
+                            <div style={{ fontSize: "11px", color: "#aaa" }}>
+                                Click the lowest cell of a basin. Connected cells below the level fill up.
+                            </div>
+                        </div>
+                    )}
+                    {terrainPaintMode === "ramp" && (
+                        <div style={{ marginTop: "5px", fontSize: "11px", color: "#aaa" }}>
+                            Click the start cell, then the end cell. The ramp is as wide as the brush.
+                        </div>
+                    )}
                     <div
                         style={{
                             marginBottom: "8px",
@@ -1387,7 +2257,7 @@ export default function PlanEditor() {
                         }}
                     >
                         <strong>
-                            Grid ({currentGridSize.w} x {currentGridSize.h}):
+                            Grid ({currentGridSize.w} x {currentGridSize.h}, {(currentGridSize.w * cellSize).toFixed(1)} x {(currentGridSize.h * cellSize).toFixed(1)} m):
                         </strong>
                         <br />
                         <input
@@ -1414,6 +2284,180 @@ export default function PlanEditor() {
                         <button onClick={handleResize} style={getButtonStyle()}>
                             Resize
                         </button>
+                        <div style={{ display: "flex", alignItems: "center", gap: "8px", marginTop: "4px" }}>
+                            <span title="Where the existing terrain stays when the grid grows or shrinks">Anchor:</span>
+                            <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 16px)", gap: "2px" }}>
+                                {Object.keys(RESIZE_ANCHORS).map((anchor) => (
+                                    <button
+                                        key={anchor}
+                                        onClick={() => setResizeAnchor(anchor)}
+                                        title={anchor}
+                                        style={{
+                                            width: "16px",
+                                            height: "16px",
+                                            padding: 0,
+                                            border: resizeAnchor === anchor ? "2px solid #eee" : "1px solid #777",
+                                            backgroundColor: resizeAnchor === anchor ? "#888" : "#333",
+                                            cursor: "pointer",
+                                        }}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                        <div style={{ marginTop: "4px" }}>
+                            <label title="How cells added by the resize get their height">
+                                New cells:
+                                <select
+                                    value={resizeFillMode}
+                                    onChange={(e) => setResizeFillMode(e.target.value)}
+                                    style={{ marginLeft: "5px" }}
+                                >
+                                    {RESIZE_FILL_MODES.map(({ value, label }) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            {resizeFillMode === "flat" && (
+                                <input
+                                    type="number"
+                                    step="0.1"
+                                    min={MIN_TERRAIN_HEIGHT}
+                                    value={resizeFlatHeight}
+                                    onChange={(e) => setResizeFlatHeight(e.target.value)}
+                                    title="Height of new cells (m)"
+                                    style={{ width: "45px", marginLeft: "5px" }}
+                                />
+                            )}
+                        </div>
+                        <div style={{ marginTop: "4px" }}>
+                            <label title="Edge length of one grid cell. Changing it resamples the terrain over the same area.">
+                                Cell size (m):
+                                <input
+                                    type="number"
+                                    step="0.05"
+                                    min={MIN_CELL_SIZE}
+                                    max={MAX_CELL_SIZE}
+                                    value={desiredCellSize}
+                                    onChange={(e) => setDesiredCellSize(e.target.value)}
+                                    style={{ width: "45px", marginLeft: "5px", marginRight: "5px" }}
+                                />
+                            </label>
+                            <button
+                                onClick={handleCellSizeChange}
+                                style={{ ...getButtonStyle(), display: "inline-block", width: "auto" }}
+                            >
+                                Apply
+                            </button>
+                        </div>
+                    </div>
+                    <button
+                        onClick={() => heightmapInputRef.current?.click()}
+                        style={getButtonStyle()}
+                        title="Load terrain heights from a grayscale PNG/JPEG"
+                    >
+                        Import Heightmap…
+                    </button>
+                    <button
+                        onClick={openTerrainGenerator}
+                        style={getButtonStyle()}
+                        title="Generate seeded procedural terrain"
+                    >
+                        Generate Terrain…
+                    </button>
+                    <div
+                        style={{
+                            marginTop: "8px",
+                            borderTop: "1px solid #555",
+                            paddingTop: "8px",
+                        }}
+                    >
+                        <strong>Ponds:</strong>
+                        {waterBodies.length === 0 && (
+                            <div style={{ fontSize: "11px", color: "#aaa", margin: "3px 0" }}>
+                                No ponds. Use the Pond tool above to add one.
+                            </div>
+                        )}
+                        {waterBodies.map((body) => (
+                            <div key={body.id} style={{ fontSize: "11px", margin: "3px 0", lineHeight: 1.5 }}>
+                                <strong>{body.name}</strong>{" "}
+                                <label>
+                                    level
+                                    <input
+                                        type="number"
+                                        step="0.05"
+                                        value={body.level}
+                                        onChange={(e) => {
+                                            const level = parseFloat(e.target.value);
+                                            if (!isNaN(level)) sceneLogicRef.current?.updateWaterBody(body.id, { level });
+                                        }}
+                                        style={{ width: "50px", marginLeft: "3px" }}
+                                    />{" "}
+                                    m
+                                </label>
+                                <button
+                                    onClick={() => handleRemoveWaterBody(body)}
+                                    title="Remove pond"
+                                    style={{ marginLeft: "5px" }}
+                                >
+                                    ✕
+                                </button>
+                                <br />
+                                {body.area > 0 ? (
+                                    <>
+                                        {body.area.toFixed(1)} m², {body.volume.toFixed(2)} m³
+                                        ({(body.volume * 1000).toFixed(0)} l), max depth {body.maxDepth.toFixed(2)} m
+                                        {body.touchesEdge && (
+                                            <span style={{ color: "#ffb74d" }}> — reaches the grid edge</span>
+                                        )}
+                                    </>
+                                ) : (
+                                    <span style={{ color: "#ffb74d" }}>Dry: the level is below the ground at its center.</span>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                    <div
+                        style={{
+                            marginTop: "8px",
+                            borderTop: "1px solid #555",
+                            paddingTop: "8px",
+                        }}
+                    >
+                        <strong>Earthwork:</strong>
+                        {!earthwork && (
+                            <div style={{ fontSize: "11px", color: "#aaa", margin: "3px 0" }}>
+                                Set a baseline, regrade the terrain, then read the cut and fill volumes here.
+                            </div>
+                        )}
+                        {earthwork && !earthwork.compatible && (
+                            <div style={{ fontSize: "11px", color: "#ffb74d", margin: "3px 0" }}>
+                                The grid size changed since the baseline was set. Set a new baseline to compare.
+                            </div>
+                        )}
+                        {earthwork?.compatible && (
+                            <div style={{ fontSize: "11px", margin: "3px 0", lineHeight: 1.5 }}>
+                                <span style={{ color: "#ef5350" }}>Cut:</span> {earthwork.cut.toFixed(2)} m³
+                                ({earthwork.cutArea.toFixed(1)} m²)
+                                <br />
+                                <span style={{ color: "#42a5f5" }}>Fill:</span> {earthwork.fill.toFixed(2)} m³
+                                ({earthwork.fillArea.toFixed(1)} m²)
+                                <br />
+                                <strong>Net:</strong> {Math.abs(earthwork.net).toFixed(2)} m³{" "}
+                                {earthwork.net > 0 ? "to import" : earthwork.net < 0 ? "to remove" : "(balanced)"}
+                                <br />
+                                <span style={{ color: "#aaa" }}>
+                                    Baseline: {new Date(earthwork.createdAt).toLocaleString()}
+                                </span>
+                            </div>
+                        )}
+                        <button onClick={handleSetEarthworkBaseline} style={getButtonStyle()}>
+                            {earthwork ? "Reset Baseline to Current" : "Set Baseline"}
+                        </button>
+                        {earthwork && (
+                            <button onClick={handleClearEarthworkBaseline} style={getButtonStyle()}>
+                                Clear Baseline
+                            </button>
+                        )}
                     </div>
                 </div>
                 <div
@@ -1421,61 +2465,478 @@ export default function PlanEditor() {
                         marginBottom: "8px",
                         borderTop: "1px solid #555",
                         paddingTop: "8px",
-                        display:
-                            currentMode === "paint-color" ? "block" : "none",
+                        display: currentMode === "path" ? "block" : "none",
                     }}
                 >
-                    <strong>Paint Color:</strong>
-                    <div
-                        style={{
-                            display: "flex",
-                            alignItems: "center",
-                            marginBottom: "5px",
-                        }}
-                    >
+                    <strong>{pathRedrawId !== null ? "Redraw Path:" : "Path:"}</strong>
+                    {pathRedrawId === null && (
+                        <>
+                            <label style={{ display: "block", marginTop: "5px" }}>
+                                Fill:
+                                <select
+                                    value={pathSettings.fill}
+                                    onChange={(e) => setPathSettings((settings) => ({ ...settings, fill: e.target.value }))}
+                                    style={{ marginLeft: "5px" }}
+                                >
+                                    {PATH_FILLS.map((fill) => (
+                                        <option key={fill.value} value={fill.value}>{fill.label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            {[
+                                { name: "width", label: "Width", min: 0.3, max: 3, hidden: pathSettings.fill === "stepping_stones" },
+                                { name: "spacing", label: "Spacing", min: 0.3, max: 1.5, hidden: pathSettings.fill !== "stepping_stones" },
+                                { name: "stoneSize", label: pathSettings.fill === "pavers" ? "Paver size" : "Stone size", min: 0.2, max: 1, hidden: pathSettings.fill === "gravel" },
+                            ].filter((field) => !field.hidden).map((field) => (
+                                <label key={field.name} style={{ display: "block", marginTop: "3px" }}>
+                                    {field.label} (m):
+                                    <input
+                                        type="number"
+                                        step="0.05"
+                                        min={field.min}
+                                        max={field.max}
+                                        value={pathSettings[field.name]}
+                                        onChange={(e) => {
+                                            const value = parseFloat(e.target.value);
+                                            if (isNaN(value)) return;
+                                            setPathSettings((settings) => ({
+                                                ...settings,
+                                                [field.name]: Math.max(field.min, Math.min(field.max, value)),
+                                            }));
+                                        }}
+                                        style={{ width: "60px", marginLeft: "5px" }}
+                                    />
+                                </label>
+                            ))}
+                        </>
+                    )}
+                    <div style={{ fontSize: "11px", color: "#aaa", marginTop: "5px" }}>
+                        {pathPoints.length === 0
+                            ? "Click the terrain to place the first point."
+                            : `${pathPoints.length} point(s), ${pathDraftLength.toFixed(2)} m` +
+                                (pathRedrawId === null ? `, ${pathDraftCount.count} ${pathDraftCount.unit}.` : ".")}
+                    </div>
+                    <div style={{ display: "flex", marginTop: "3px" }}>
+                        <button
+                            onClick={handleFinishPath}
+                            disabled={pathPoints.length < 2}
+                            style={{ ...getButtonStyle(false, pathPoints.length < 2), width: "calc(50% - 4px)", textAlign: "center" }}
+                        >
+                            Finish (Enter)
+                        </button>
+                        <button
+                            onClick={() => setPathPoints((points) => points.slice(0, -1))}
+                            disabled={pathPoints.length === 0}
+                            style={{ ...getButtonStyle(false, pathPoints.length === 0), width: "calc(50% - 4px)", textAlign: "center" }}
+                        >
+                            Remove Last
+                        </button>
+                    </div>
+                </div>
+                <div
+                    style={{
+                        marginBottom: "8px",
+                        borderTop: "1px solid #555",
+                        paddingTop: "8px",
+                        display: currentMode === "fence" ? "block" : "none",
+                    }}
+                >
+                    <strong>Fence Run:</strong>
+                    <label style={{ display: "block", marginTop: "5px" }}>
+                        Panel:
+                        <select
+                            value={fenceSettings.configName}
+                            onChange={(e) => setFenceSettings((settings) => ({ ...settings, configName: e.target.value }))}
+                            style={{ marginLeft: "5px" }}
+                        >
+                            {FENCE_CONFIGURATIONS.map((config) => (
+                                <option key={config.name} value={config.name}>{config.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {[
+                        { name: "panelWidth", label: "Max panel width", min: 0.5, max: 4 },
+                        { name: "height", label: "Height", min: 0.3, max: 2.5 },
+                    ].map((field) => (
+                        <label key={field.name} style={{ display: "block", marginTop: "3px" }}>
+                            {field.label} (m):
+                            <input
+                                type="number"
+                                step="0.1"
+                                min={field.min}
+                                max={field.max}
+                                value={fenceSettings[field.name]}
+                                onChange={(e) => {
+                                    const value = parseFloat(e.target.value);
+                                    if (isNaN(value)) return;
+                                    setFenceSettings((settings) => ({
+                                        ...settings,
+                                        [field.name]: Math.max(field.min, Math.min(field.max, value)),
+                                    }));
+                                }}
+                                style={{ width: "60px", marginLeft: "5px" }}
+                            />
+                        </label>
+                    ))}
+                    <label style={{ display: "block", marginTop: "3px" }}>
+                        On slopes:
+                        <select
+                            value={fenceSettings.slopeMode}
+                            onChange={(e) => setFenceSettings((settings) => ({ ...settings, slopeMode: e.target.value }))}
+                            style={{ marginLeft: "5px" }}
+                        >
+                            {FENCE_SLOPE_MODES.map((mode) => (
+                                <option key={mode.value} value={mode.value}>{mode.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label style={{ display: "flex", alignItems: "center", marginTop: "3px" }}>
                         <input
-                            type="color"
-                            value={paintColor}
-                            onChange={(e) => setPaintColor(e.target.value)}
-                            style={{
-                                marginRight: "5px",
-                                height: "25px",
-                                width: "40px",
-                                padding: "0 2px",
-                                border: "1px solid #555",
-                            }}
+                            type="checkbox"
+                            checked={fenceSettings.posts}
+                            onChange={(e) => setFenceSettings((settings) => ({ ...settings, posts: e.target.checked }))}
+                            style={{ marginRight: "5px" }}
                         />
-                        <span
+                        Posts at joints
+                    </label>
+                    <div style={{ fontSize: "11px", color: "#aaa", marginTop: "5px" }}>
+                        {pathPoints.length === 0
+                            ? "Click the terrain to place the first corner."
+                            : fenceDraft
+                                ? `${fenceDraft.length.toFixed(2)} m, ${fenceDraft.panels.length} panel(s)` +
+                                    (fenceSettings.posts ? `, ${fenceDraft.posts.length} post(s).` : ".")
+                                : "Click the next corner."}
+                    </div>
+                    <div style={{ display: "flex", marginTop: "3px" }}>
+                        <button
+                            onClick={handleFinishFence}
+                            disabled={!fenceDraft}
+                            style={{ ...getButtonStyle(false, !fenceDraft), width: "calc(50% - 4px)", textAlign: "center" }}
+                        >
+                            Finish (Enter)
+                        </button>
+                        <button
+                            onClick={() => setPathPoints((points) => points.slice(0, -1))}
+                            disabled={pathPoints.length === 0}
+                            style={{ ...getButtonStyle(false, pathPoints.length === 0), width: "calc(50% - 4px)", textAlign: "center" }}
+                        >
+                            Remove Last
+                        </button>
+                    </div>
+                </div>
+                <div
+                    style={{
+                        marginBottom: "8px",
+                        borderTop: "1px solid #555",
+                        paddingTop: "8px",
+                        display: currentMode === "hedge" ? "block" : "none",
+                    }}
+                >
+                    <strong>{pathRedrawId !== null ? "Redraw Hedge Row:" : "Hedge Row:"}</strong>
+                    {pathRedrawId === null && (
+                        <>
+                            {[
+                                { name: "width", label: "Width", min: 0.2, max: 5 },
+                                { name: "height", label: "Height", min: 0.1, max: 3 },
+                                { name: "plantSpacing", label: "Plant spacing", min: 0.1, max: 2 },
+                            ].map((field) => (
+                                <label key={field.name} style={{ display: "block", marginTop: "3px" }}>
+                                    {field.label} (m):
+                                    <input
+                                        type="number"
+                                        step="0.05"
+                                        min={field.min}
+                                        max={field.max}
+                                        value={hedgeSettings[field.name]}
+                                        onChange={(e) => {
+                                            const value = parseFloat(e.target.value);
+                                            if (isNaN(value)) return;
+                                            setHedgeSettings((settings) => ({
+                                                ...settings,
+                                                [field.name]: Math.max(field.min, Math.min(field.max, value)),
+                                            }));
+                                        }}
+                                        style={{ width: "60px", marginLeft: "5px" }}
+                                    />
+                                </label>
+                            ))}
+                            <label style={{ display: "block", marginTop: "3px" }}>
+                                Color:
+                                <input
+                                    type="color"
+                                    value={hedgeSettings.color}
+                                    onChange={(e) => setHedgeSettings((settings) => ({ ...settings, color: e.target.value }))}
+                                    style={{ marginLeft: "5px", verticalAlign: "middle" }}
+                                />
+                            </label>
+                        </>
+                    )}
+                    <div style={{ fontSize: "11px", color: "#aaa", marginTop: "5px" }}>
+                        {pathPoints.length === 0
+                            ? "Click the terrain to place the first point."
+                            : `${pathPoints.length} point(s), ${pathDraftLength.toFixed(2)} m` +
+                                (pathRedrawId === null
+                                    ? `, ${getRowPlantCount(pathPoints, hedgeSettings.plantSpacing)} plants.`
+                                    : ".")}
+                    </div>
+                    <div style={{ display: "flex", marginTop: "3px" }}>
+                        <button
+                            onClick={handleFinishPath}
+                            disabled={pathPoints.length < 2}
+                            style={{ ...getButtonStyle(false, pathPoints.length < 2), width: "calc(50% - 4px)", textAlign: "center" }}
+                        >
+                            Finish (Enter)
+                        </button>
+                        <button
+                            onClick={() => setPathPoints((points) => points.slice(0, -1))}
+                            disabled={pathPoints.length === 0}
+                            style={{ ...getButtonStyle(false, pathPoints.length === 0), width: "calc(50% - 4px)", textAlign: "center" }}
+                        >
+                            Remove Last
+                        </button>
+                    </div>
+                </div>
+                <div
+                    style={{
+                        marginBottom: "8px",
+                        borderTop: "1px solid #555",
+                        paddingTop: "8px",
+                        display: currentMode === "region" ? "block" : "none",
+                    }}
+                >
+                    <strong>Terrain Region:</strong>
+                    <div style={{ marginTop: "5px", display: "flex" }}>
+                        <button
+                            onClick={() => setRegionTool("select")}
+                            style={{ ...getButtonStyle(regionTool === "select"), width: "calc(50% - 4px)", textAlign: "center" }}
+                        >
+                            Select
+                        </button>
+                        <button
+                            onClick={() => setRegionTool("paste")}
+                            disabled={clipboard?.kind !== "region"}
                             style={{
-                                display: "inline-block",
-                                width: "15px",
-                                height: "15px",
-                                backgroundColor: paintColor,
-                                border: "1px solid #fff",
+                                ...getButtonStyle(regionTool === "paste", clipboard?.kind !== "region"),
+                                width: "calc(50% - 4px)",
+                                textAlign: "center",
                             }}
-                        ></span>
+                        >
+                            Paste
+                        </button>
                     </div>
-                    <div>
-                        {COLORS.map((color) => (
+                    {regionTool === "select" && (
+                        <div style={{ marginTop: "5px" }}>
+                            <div style={{ fontSize: "11px", color: "#aaa" }}>
+                                {regionCorner
+                                    ? "Click the opposite corner cell."
+                                    : regionSelection
+                                        ? `Selected ${Math.abs(regionSelection.x1 - regionSelection.x0) + 1} x ${Math.abs(regionSelection.z1 - regionSelection.z0) + 1} cells.`
+                                        : "Click two corner cells to select a region."}
+                            </div>
+                            <label style={{ display: "flex", alignItems: "center", marginTop: "3px" }}>
+                                <input
+                                    type="checkbox"
+                                    checked={regionIncludeObjects}
+                                    onChange={(e) => setRegionIncludeObjects(e.target.checked)}
+                                    style={{ marginRight: "5px" }}
+                                />
+                                Include objects
+                            </label>
                             <button
-                                key={color}
-                                title={color}
-                                onClick={() => setPaintColor(color)}
+                                onClick={handleCopyRegion}
+                                disabled={!regionSelection}
+                                style={getButtonStyle(false, !regionSelection)}
+                            >
+                                Copy Region (Ctrl+C)
+                            </button>
+                        </div>
+                    )}
+                    {regionTool === "paste" && clipboard?.kind === "region" && (
+                        <div style={{ marginTop: "5px" }}>
+                            <div style={{ fontSize: "11px", color: "#aaa" }}>
+                                {(pasteRotation % 2 === 0 ? clipboard.region.width : clipboard.region.height)} x{" "}
+                                {(pasteRotation % 2 === 0 ? clipboard.region.height : clipboard.region.width)} cells
+                                {clipboard.region.objects.length > 0 && `, ${clipboard.region.objects.length} object(s)`}.
+                                Click a cell to paste centered on it.
+                            </div>
+                            <div style={{ display: "flex", marginTop: "3px" }}>
+                                <button
+                                    onClick={() => setPasteRotation((turns) => (turns + 1) % 4)}
+                                    title="Rotate 90° clockwise (R)"
+                                    style={{ ...getButtonStyle(), width: "calc(50% - 4px)", textAlign: "center" }}
+                                >
+                                    Rotate {pasteRotation * 90}°
+                                </button>
+                                <button
+                                    onClick={() => setPasteMirror((mirror) => !mirror)}
+                                    title="Mirror left-right (M)"
+                                    style={{ ...getButtonStyle(pasteMirror), width: "calc(50% - 4px)", textAlign: "center" }}
+                                >
+                                    Mirror
+                                </button>
+                            </div>
+                            <label style={{ display: "block", marginTop: "3px" }}>
+                                Heights:
+                                <select
+                                    value={pasteHeightMode}
+                                    onChange={(e) => setPasteHeightMode(e.target.value)}
+                                    style={{ marginLeft: "5px" }}
+                                >
+                                    <option value="replace">Replace (exact copy)</option>
+                                    <option value="relative">Add relief to terrain</option>
+                                </select>
+                            </label>
+                            <label style={{ display: "flex", alignItems: "center", marginTop: "3px" }}>
+                                <input
+                                    type="checkbox"
+                                    checked={pasteMaterials}
+                                    onChange={(e) => setPasteMaterials(e.target.checked)}
+                                    style={{ marginRight: "5px" }}
+                                />
+                                Paste ground materials
+                            </label>
+                            <button onClick={handleSaveStamp} style={getButtonStyle()}>
+                                Save as Stamp...
+                            </button>
+                        </div>
+                    )}
+                    <div style={{ marginTop: "5px" }}>
+                        <strong style={{ fontSize: "12px" }}>Stamps:</strong>
+                        {[...BUILT_IN_STAMPS, ...userStamps].map((stamp) => (
+                            <div key={stamp.id} style={{ display: "flex", alignItems: "center" }}>
+                                <button
+                                    onClick={() => handleUseStamp(stamp)}
+                                    title={`${stamp.region.width} x ${stamp.region.height} cells`}
+                                    style={{ ...getButtonStyle(clipboard?.region === stamp.region), flex: 1 }}
+                                >
+                                    {stamp.name}
+                                </button>
+                                {!stamp.builtIn && (
+                                    <button
+                                        onClick={() => handleDeleteStamp(stamp)}
+                                        title="Delete stamp"
+                                        style={{ ...getButtonStyle(), width: "auto" }}
+                                    >
+                                        ✕
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+                <div
+                    style={{
+                        marginBottom: "8px",
+                        borderTop: "1px solid #555",
+                        paddingTop: "8px",
+                        display:
+                            currentMode === "paint-color" ? "block" : "none",
+                    }}
+                >
+                    <strong>Paint Material:</strong>
+                    <div style={{ marginTop: "5px", display: "flex", flexWrap: "wrap" }}>
+                        {PAINT_TOOLS.map(({ mode, label, title }) => (
+                            <button
+                                key={mode}
+                                onClick={() => setPaintTool(mode)}
+                                title={title}
                                 style={{
-                                    width: "20px",
-                                    height: "20px",
-                                    backgroundColor: color,
-                                    border:
-                                        paintColor === color
-                                            ? "2px solid white"
-                                            : "1px solid grey",
-                                    marginRight: "3px",
-                                    padding: 0,
-                                    cursor: "pointer",
+                                    ...getButtonStyle(paintTool === mode),
+                                    display: "inline-block",
+                                    width: "calc(50% - 4px)",
+                                    textAlign: "center",
                                 }}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    {paintTool === "brush" && (
+                        <div style={{ marginTop: "5px" }}>
+                            <label>Size:</label> {brushSize}
+                            <input
+                                type="range"
+                                min="1"
+                                max="10"
+                                step="1"
+                                value={brushSize}
+                                onChange={(e) => setBrushSize(parseInt(e.target.value, 10))}
+                                style={{ width: "100%" }}
                             />
+                        </div>
+                    )}
+                    {paintTool === "fill" && (
+                        <div style={{ marginTop: "5px" }}>
+                            <label>Color tolerance:</label> {Math.round(fillColorTolerance * 100)}%
+                            <input
+                                type="range"
+                                min="0"
+                                max="1"
+                                step="0.05"
+                                value={fillColorTolerance}
+                                onChange={(e) => setFillColorTolerance(parseFloat(e.target.value))}
+                                title="0% fills only the clicked material, higher values include similar colored materials"
+                                style={{ width: "100%" }}
+                            />
+                            <label>Height tolerance (m):</label>
+                            <input
+                                type="number"
+                                step="0.1"
+                                min="0"
+                                value={fillHeightTolerance}
+                                onChange={(e) => setFillHeightTolerance(Math.max(0, parseFloat(e.target.value) || 0))}
+                                style={{ width: "50px", marginLeft: "5px" }}
+                            />
+                        </div>
+                    )}
+                    {(paintTool === "rectangle" || paintTool === "polygon") && (
+                        <div style={{ marginTop: "5px", fontSize: "11px", color: "#aaa" }}>
+                            {paintTool === "rectangle"
+                                ? "Click the first corner cell, then the opposite corner."
+                                : "Click the outline cells in order, then the first (yellow) cell again to fill."}
+                        </div>
+                    )}
+                    <div style={{ display: "flex", flexDirection: "column", gap: "3px", marginTop: "5px" }}>
+                        {GROUND_MATERIALS.map((material) => (
+                            <button
+                                key={material.id}
+                                title={`Permeability ${Math.round(material.permeability * 100)}%, about ${material.costPerM2}/m²`}
+                                onClick={() => setPaintMaterial(material.id)}
+                                style={{
+                                    display: "flex",
+                                    alignItems: "center",
+                                    gap: "6px",
+                                    background: paintMaterial === material.id ? "rgba(255,255,255,0.15)" : "transparent",
+                                    border: paintMaterial === material.id ? "1px solid white" : "1px solid #555",
+                                    borderRadius: "3px",
+                                    color: "#eee",
+                                    padding: "2px 5px",
+                                    cursor: "pointer",
+                                    fontSize: "12px",
+                                    textAlign: "left",
+                                }}
+                            >
+                                <span
+                                    style={{
+                                        display: "inline-block",
+                                        width: "15px",
+                                        height: "15px",
+                                        backgroundColor: material.color,
+                                        border: "1px solid #fff",
+                                    }}
+                                ></span>
+                                <span style={{ flex: 1 }}>{material.name}</span>
+                                <span style={{ color: "#999", fontSize: "10px" }}>
+                                    {Math.round(material.permeability * 100)}% · {material.costPerM2}/m²
+                                </span>
+                            </button>
                         ))}
                     </div>
+                    <div style={{ marginTop: "6px" }}>
+                        <button onClick={handleExportGroundAreas} style={getButtonStyle()}>
+                            Ground Area Report
+                        </button>
+                    </div>
                 </div>
                 <div
                     style={{
@@ -1564,6 +3025,214 @@ export default function PlanEditor() {
                         />{" "}
                         Names
                     </label>
+                    <label
+                        style={{
+                            display: "flex",
+                            alignItems: "center",
+                            cursor: "pointer",
+                        }}
+                    >
+                        <input
+                            type="checkbox"
+                            checked={showContours}
+                            onChange={(e) => setShowContours(e.target.checked)}
+                            style={{ marginRight: "5px" }}
+                        />
+                        Contours
+                    </label>
+                    {showContours && (
+                        <div style={{ marginLeft: "20px", fontSize: "11px" }}>
+                            <label title="Height between contour lines (m)">
+                                Every
+                                <input
+                                    type="number"
+                                    min="0.01"
+                                    step="0.05"
+                                    value={contourInterval}
+                                    onChange={(e) => setContourInterval(e.target.value)}
+                                    style={{ width: "45px", margin: "0 3px" }}
+                                />
+                                m,
+                            </label>{" "}
+                            <label title="Every n-th line is drawn bold and labeled (0 = none)">
+                                major
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="1"
+                                    value={contourMajorEvery}
+                                    onChange={(e) => setContourMajorEvery(e.target.value)}
+                                    style={{ width: "35px", margin: "0 3px" }}
+                                />
+                            </label>
+                            <div style={{ color: "#aaa" }}>Also drawn in the 2D plan export.</div>
+                        </div>
+                    )}
+                    <label
+                        style={{
+                            display: "flex",
+                            alignItems: "center",
+                            marginTop: "3px",
+                        }}
+                    >
+                        Overlay:
+                        <select
+                            value={terrainOverlay}
+                            onChange={(e) => setTerrainOverlay(e.target.value)}
+                            style={{ marginLeft: "5px" }}
+                        >
+                            {TERRAIN_OVERLAYS.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {terrainOverlay === "cut-fill" && !earthwork?.compatible && (
+                        <div style={{ fontSize: "11px", color: "#aaa" }}>
+                            Needs an earthwork baseline (Terrain mode).
+                        </div>
+                    )}
+                    {(terrainOverlay === "slope" || terrainOverlay === "aspect") && (
+                        <div style={{ fontSize: "11px", marginTop: "3px" }}>
+                            {(terrainOverlay === "slope" ? SLOPE_CLASSES : [...ASPECT_CLASSES, FLAT_ASPECT]).map(
+                                ({ label, color }) => (
+                                    <div key={label} style={{ display: "flex", alignItems: "center" }}>
+                                        <span
+                                            style={{
+                                                width: "10px",
+                                                height: "10px",
+                                                backgroundColor: color,
+                                                border: "1px solid #777",
+                                                marginRight: "5px",
+                                                flexShrink: 0,
+                                            }}
+                                        />
+                                        {label}
+                                    </div>
+                                )
+                            )}
+                            <div style={{ color: "#aaa" }}>
+                                {terrainOverlay === "slope"
+                                    ? `Rise over run at ${cellSize} m cells.`
+                                    : "Direction each slope faces; north is up in the top view."}
+                            </div>
+                        </div>
+                    )}
+                    {terrainOverlay === "water-flow" && waterFlowSummary && (
+                        <div style={{ fontSize: "11px", color: "#aaa", lineHeight: 1.5 }}>
+                            Arrows show where water runs; darker blue collects more water.
+                            <br />
+                            {waterFlowSummary.ponds.length === 0 ? (
+                                "No ponding: every cell drains off the plot."
+                            ) : (
+                                <span style={{ color: "#4dd0e1" }}>
+                                    {waterFlowSummary.ponds.length} ponding area(s):{" "}
+                                    {(waterFlowSummary.ponds.reduce((sum, p) => sum + p.cells, 0) * cellSize * cellSize).toFixed(1)} m²,{" "}
+                                    {waterFlowSummary.ponds.reduce((sum, p) => sum + p.volume, 0).toFixed(2)} m³,
+                                    up to {Math.max(...waterFlowSummary.ponds.map((p) => p.maxDepth)).toFixed(2)} m deep
+                                </span>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                {/* Design Checks */}
+                <div
+                    style={{
+                        marginBottom: "8px",
+                        borderTop: "1px solid #555",
+                        paddingTop: "8px",
+                    }}
+                >
+                    <strong>Design Checks:</strong>{" "}
+                    <span style={{ color: designChecks.issues.length > 0 ? "#ffb74d" : "#8bc34a" }}>
+                        {designChecks.issues.length === 0 ? "no problems" : `${designChecks.issues.length} problem(s)`}
+                    </span>
+                    <label
+                        style={{
+                            display: "flex",
+                            alignItems: "center",
+                            cursor: "pointer",
+                        }}
+                    >
+                        <input
+                            type="checkbox"
+                            checked={showDesignChecks}
+                            onChange={(e) => setShowDesignChecks(e.target.checked)}
+                            style={{ marginRight: "5px" }}
+                        />
+                        Highlight in scene
+                    </label>
+                    <div style={{ maxHeight: "150px", overflowY: "auto", fontSize: "11px", lineHeight: 1.5 }}>
+                        {designChecks.issues.map((issue) => (
+                            <div
+                                key={issue.key}
+                                onClick={() => handleSelectDesignCheck(issue)}
+                                title="Select the first object"
+                                style={{ cursor: "pointer", color: issue.kind === "overlap" ? "#ff6b6b" : "#ffb74d" }}
+                            >
+                                {issue.kind === "overlap"
+                                    ? `${issue.names[0]} overlaps ${issue.names[1]} by ${(-issue.gap).toFixed(2)} m`
+                                    : `${issue.names[0]} is ${Math.max(0, issue.gap).toFixed(2)} m from ${issue.names[1]} (min ${issue.required} m)`}
+                            </div>
+                        ))}
+                    </div>
+                    <div style={{ fontSize: "11px", color: "#aaa" }}>
+                        Plants are checked at full size.
+                    </div>
+                    <button
+                        onClick={() => setShowClearanceRules(!showClearanceRules)}
+                        style={getButtonStyle(showClearanceRules)}
+                    >
+                        Clearance Rules ({designChecks.rules.length})
+                    </button>
+                    {showClearanceRules && (
+                        <div style={{ fontSize: "11px" }}>
+                            {designChecks.rules.map((rule, index) => (
+                                <div key={index} style={{ display: "flex", alignItems: "center", gap: "3px", margin: "3px 0" }}>
+                                    {["typeA", "typeB"].map((field) => (
+                                        <select
+                                            key={field}
+                                            value={rule[field]}
+                                            onChange={(e) => handleClearanceRuleChange(index, { [field]: e.target.value })}
+                                            style={{ width: "80px", fontSize: "11px" }}
+                                        >
+                                            {Object.keys(ObjectComponents).map((type) => (
+                                                <option key={type} value={type}>{type.replace(/_/g, " ")}</option>
+                                            ))}
+                                        </select>
+                                    ))}
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.1"
+                                        value={rule.distance}
+                                        onChange={(e) => {
+                                            const distance = parseFloat(e.target.value);
+                                            if (!isNaN(distance) && distance >= 0) handleClearanceRuleChange(index, { distance });
+                                        }}
+                                        title="Minimum gap between the two footprints (m)"
+                                        style={{ width: "40px" }}
+                                    />
+                                    m
+                                    <button
+                                        onClick={() => setClearanceRules(designChecks.rules.filter((_, i) => i !== index))}
+                                        title="Remove rule"
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                            ))}
+                            <button
+                                onClick={() => setClearanceRules([...designChecks.rules, { typeA: "tree", typeB: "house", distance: 1 }])}
+                                style={getButtonStyle()}
+                            >
+                                Add Rule
+                            </button>
+                            <button onClick={handleResetClearanceRules} style={getButtonStyle()}>
+                                Reset to Defaults
+                            </button>
+                        </div>
+                    )}
                 </div>
 
                 {/* Sun Position Controls */}
@@ -1692,6 +3361,41 @@ export default function PlanEditor() {
 
             {renderExportPopup()}
 
+            {heightmapImport && (
+                <HeightmapImportDialog
+                    image={heightmapImport.image}
+                    fileName={heightmapImport.fileName}
+                    currentGridSize={currentGridSize}
+                    minGridDim={MIN_GRID_DIM}
+                    maxGridDim={MAX_GRID_DIM}
+                    onImport={handleHeightmapImport}
+                    onClose={() => setHeightmapImport(null)}
+                />
+            )}
+
+            {generatorSettings && (
+                <TerrainGeneratorDialog
+                    initialSettings={generatorSettings}
+                    currentGridSize={currentGridSize}
+                    minGridDim={MIN_GRID_DIM}
+                    maxGridDim={MAX_GRID_DIM}
+                    onGenerate={handleGenerateTerrain}
+                    onClose={() => setGeneratorSettings(null)}
+                />
+            )}
+
+            {showProjectBrowser && (
+                <ProjectBrowser
+                    currentProjectId={currentProject?.id}
+                    onOpen={handleOpenProject}
+                    onNew={handleNewProject}
+                    onImport={onLoadClick}
+                    onRename={handleProjectRenamed}
+                    onFlushAutoSave={() => sceneLogicRef.current?.flushAutoSave()}
+                    onClose={() => setShowProjectBrowser(false)}
+                />
+            )}
+
 
             {/* INTRO OVERLAY */}
             {showIntro && (
@@ -1716,7 +3420,7 @@ export default function PlanEditor() {
                             <div style={{ display: 'flex', gap: '10px' }}>
                                 <button 
                                     onClick={() => {
-                                        loadPredefinedExample(getOrchardExample());
+                                        loadPredefinedExample("Fruit Orchard", getOrchardExample());
                                         handleCloseIntro();
                                     }} 
                                     style={{ padding: '8px 16px', cursor: 'pointer', background: '#4CAF50', color: 'white', border: 'none', borderRadius: '4px', fontWeight: 'bold' }}
@@ -1725,7 +3429,7 @@ export default function PlanEditor() {
                                 </button>
                                 <button 
                                     onClick={() => {
-                                        loadPredefinedExample(getCourtyardExample());
+                                        loadPredefinedExample("Cozy Courtyard", getCourtyardExample());
                                         handleCloseIntro();
                                     }} 
                                     style={{ padding: '8px 16px', cursor: 'pointer', background: '#4CAF50', color: 'white', border: 'none', borderRadius: '4px', fontWeight: 'bold' }}
@@ -1770,6 +3474,13 @@ export default function PlanEditor() {
                 accept=".json,application/json"
                 style={{ display: "none" }}
             />
+            <input
+                type="file"
+                ref={heightmapInputRef}
+                onChange={onHeightmapFileSelected}
+                accept="image/png,image/jpeg"
+                style={{ display: "none" }}
+            />
 
             <div style={{ flexGrow: 1, overflow: "hidden" }}>
                 <Canvas shadows onPointerMissed={handleCanvasPointerMissed}>
@@ -1784,17 +3495,37 @@ export default function PlanEditor() {
                         onInteractionEnd={handleInteractionEnd}
                         getInitialObjectId={getNextObjectId}
                         showCoordinates={showCoordinates}
-                        paintColor={paintColor}
+                        paintMaterial={paintMaterial}
+                        paintTool={paintTool}
+                        onRegionCellClick={handleRegionCellClick}
+                        regionOutline={currentMode !== "region" ? null
+                            : regionCorner ? { x0: regionCorner.gridX, z0: regionCorner.gridZ, x1: regionCorner.gridX, z1: regionCorner.gridZ }
+                                : regionSelection}
+                        onPathPointClick={handlePathPointClick}
+                        pathPoints={pathPoints}
+                        fillColorTolerance={fillColorTolerance}
+                        fillHeightTolerance={fillHeightTolerance}
                         sunAzimuth={sunAzimuth} // Pass down sun state
                         sunElevation={sunElevation} // Pass down sun state
                         onObjectPropertyUpdate={handleObjectPropertyUpdate}
                         terrainPaintMode={terrainPaintMode}
                         absolutePaintHeight={absolutePaintHeight}
+                        brushStrength={brushStrength}
                         currentMonth={currentMonth}
                         isOrthographic={isOrthographic}
                         showObjectNames={showObjectNames}
                         isShiftPressed={isShiftPressed}
                         onHoverUpdate={setHoveredCoordinate}
+                        onAutoSave={handleAutoSave}
+                        terrainOverlay={terrainOverlay}
+                        onEarthworkChange={setEarthwork}
+                        onWaterBodiesChange={setWaterBodies}
+                        showDesignChecks={showDesignChecks}
+                        onDesignChecksChange={setDesignChecks}
+                        onPondCellClick={handlePondCellClick}
+                        onWaterFlowChange={setWaterFlowSummary}
+                        onGroundHeightChange={handleGroundHeightChange}
+                        contourSettings={contourSettings}
                     />
                 </Canvas>
             </div>
@@ -0,0 +1,193 @@
+// src/ProjectBrowser.jsx
+import React, { useState, useEffect, useCallback } from "react";
+import { listProjects, renameProject, duplicateProject, deleteProject } from "./projectStore";
+
+const smallButtonStyle = {
+    background: "#333",
+    color: "#ccc",
+    border: "1px solid #555",
+    padding: "3px 8px",
+    borderRadius: "4px",
+    cursor: "pointer",
+    fontSize: "11px",
+};
+
+const primaryButtonStyle = {
+    background: "linear-gradient(135deg, #4CAF50, #45a049)",
+    color: "white",
+    border: "none",
+    padding: "8px 16px",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontWeight: "bold",
+};
+
+const formatModified = (timestamp) => new Date(timestamp).toLocaleString();
+
+// --- Project Browser Dialog (create, open, rename, duplicate, delete gardens) ---
+export function ProjectBrowser({ currentProjectId, onOpen, onNew, onImport, onRename, onFlushAutoSave, onClose }) {
+    const [projects, setProjects] = useState(null); // null while loading
+    const [error, setError] = useState(null);
+
+    const refresh = useCallback(() => {
+        listProjects()
+            .then((list) => {
+                setProjects(list);
+                setError(null);
+            })
+            .catch((e) => {
+                console.error("Failed to list projects:", e);
+                setError(e.message || String(e));
+            });
+    }, []);
+
+    useEffect(() => {
+        refresh();
+    }, [refresh]);
+
+    const handleRename = (project) => {
+        const name = window.prompt("Project name:", project.name);
+        if (!name || name.trim() === "" || name === project.name) return;
+        renameProject(project.id, name.trim())
+            .then((updated) => {
+                onRename?.(updated);
+                refresh();
+            })
+            .catch((e) => alert(`Failed to rename project: ${e.message}`));
+    };
+
+    const handleDuplicate = async (project) => {
+        // The open project may still have edits waiting for autosave; the copy must include them
+        if (project.id === currentProjectId) await onFlushAutoSave?.();
+        duplicateProject(project.id)
+            .then(refresh)
+            .catch((e) => alert(`Failed to duplicate project: ${e.message}`));
+    };
+
+    const handleDelete = (project) => {
+        if (!window.confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+        deleteProject(project.id)
+            .then(refresh)
+            .catch((e) => alert(`Failed to delete project: ${e.message}`));
+    };
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0, 0, 0, 0.6)',
+            backdropFilter: 'blur(5px)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000,
+            fontFamily: 'Inter, sans-serif'
+        }}>
+            <div style={{
+                background: 'linear-gradient(135deg, rgba(30, 30, 30, 0.9), rgba(20, 20, 20, 0.9))',
+                border: '1px solid rgba(255, 255, 255, 0.1)',
+                borderRadius: '12px',
+                padding: '24px',
+                width: '560px',
+                maxWidth: '90%',
+                maxHeight: '80vh',
+                boxShadow: '0 8px 32px 0 rgba(0, 0, 0, 0.37)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '16px',
+                color: '#f5f5f5'
+            }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <strong style={{ fontSize: '16px', letterSpacing: '0.5px' }}>Projects</strong>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: 'transparent',
+                            border: 'none',
+                            color: '#aaa',
+                            fontSize: '20px',
+                            cursor: 'pointer',
+                            padding: '0 4px',
+                        }}
+                        onMouseEnter={(e) => e.target.style.color = '#fff'}
+                        onMouseLeave={(e) => e.target.style.color = '#aaa'}
+                    >
+                        &times;
+                    </button>
+                </div>
+
+                <div style={{ display: 'flex', gap: '10px' }}>
+                    <button onClick={onNew} style={primaryButtonStyle}>New Garden</button>
+                    <button onClick={onImport} style={{ ...primaryButtonStyle, background: '#333', color: '#ccc' }}>
+                        Import File…
+                    </button>
+                </div>
+
+                <div style={{ overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                    {error && <div style={{ color: '#ff6666' }}>Could not read projects: {error}</div>}
+                    {projects === null && !error && <div style={{ color: '#aaa' }}>Loading…</div>}
+                    {projects?.length === 0 && <div style={{ color: '#aaa' }}>No saved gardens yet.</div>}
+                    {projects?.map((project) => {
+                        const isCurrent = project.id === currentProjectId;
+                        return (
+                            <div
+                                key={project.id}
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '12px',
+                                    padding: '8px',
+                                    borderRadius: '8px',
+                                    border: isCurrent ? '1px solid #4CAF50' : '1px solid #333',
+                                    background: '#151515',
+                                }}
+                            >
+                                <div
+                                    onClick={() => onOpen(project)}
+                                    style={{
+                                        width: '64px',
+                                        height: '64px',
+                                        flexShrink: 0,
+                                        borderRadius: '4px',
+                                        background: '#282c34',
+                                        cursor: 'pointer',
+                                        overflow: 'hidden',
+                                    }}
+                                    title="Open"
+                                >
+                                    {project.thumbnail && (
+                                        <img src={project.thumbnail} alt="" width={64} height={64} style={{ display: 'block' }} />
+                                    )}
+                                </div>
+                                <div style={{ flexGrow: 1, minWidth: 0 }}>
+                                    <div style={{ fontWeight: 'bold', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                        {project.name}{isCurrent && <span style={{ color: '#4CAF50', fontWeight: 'normal' }}> (open)</span>}
+                                    </div>
+                                    <div style={{ color: '#aaa', fontSize: '11px', marginTop: '2px' }}>
+                                        Modified {formatModified(project.modifiedAt)}
+                                    </div>
+                                    <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                                        <button style={smallButtonStyle} onClick={() => onOpen(project)} disabled={isCurrent}>Open</button>
+                                        <button style={smallButtonStyle} onClick={() => handleRename(project)}>Rename</button>
+                                        <button style={smallButtonStyle} onClick={() => handleDuplicate(project)}>Duplicate</button>
+                                        <button
+                                            style={{ ...smallButtonStyle, color: isCurrent ? '#666' : '#ff8a80' }}
+                                            onClick={() => handleDelete(project)}
+                                            disabled={isCurrent}
+                                            title={isCurrent ? "The open project cannot be deleted" : "Delete"}
+                                        >
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -3,47 +3,49 @@ import React, { forwardRef, useState, useMemo, useCallback, useRef, useEffect, u
 import * as THREE from "three";
 import { ObjectComponents } from "./objects";
 import { INITIAL_GRID_WIDTH, INITIAL_GRID_HEIGHT, gridToWorldCenter,
-    LOCAL_STORAGE_KEY, getInitialHeight, INITIAL_MAX_HEIGHT, COLORS, CELL_SIZE, GridCell, getWorldYBase,
+    getInitialHeight, getCellSize, getWorldYBase,
     MIN_TERRAIN_HEIGHT } from "./PlanEditor";
+import { CURRENT_SAVE_VERSION, migrateSaveData } from "./saveMigrations";
+import { exportSceneToGLB } from "./sceneExport";
+import { TerrainMesh } from "./TerrainMesh";
+import { sampleGroundHeight, sampleGroundNormal } from "./terrainSampling";
+import { resizeTerrainData, shiftObjectsForResize, isObjectInsideGrid, resampleTerrainData } from "./gridResize";
+import { createEarthworkBaseline, computeEarthwork, getCutFillColors } from "./earthwork";
+import { computeWaterFlow, getWaterFlowColors } from "./waterFlow";
+import { WaterFlowArrows } from "./WaterFlowArrows";
+import { computeContours } from "./contours";
+import { computeSlopeAspect, getSlopeColors, getAspectColors } from "./slopeAnalysis";
+import { ContourLines } from "./ContourLines";
+import { getInitialMaterialData, getMaterialColorData, computeMaterialAreas } from "./groundMaterials";
+import { getBrushCells, getFloodFillCells, getRectangleCells, getPolygonCells } from "./groundPaint";
+import { copyTerrainRegion, pasteTerrainRegion } from "./terrainRegion";
+import { computeWaterBodies, computeWaterBody } from "./waterBodies";
+import { WaterSurfaces } from "./WaterSurface";
+import { getObjectBounds } from "./objectBounds";
+import { SelectionOutline } from "./SelectionOutline";
+import { computeDesignChecks, getClearanceRules } from "./designChecks";
+
+const MAX_HISTORY_LENGTH = 100; // Oldest undo steps are dropped beyond this
+const HISTORY_MERGE_MS = 1000; // Mergeable changes closer than this become one undo step
 
 // --- Scene Component (Manages Data State and 3D Primitives) ---
 export const SceneWithLogic = forwardRef(
     (
         {
             selectedObjectId, globalAge, brushSize, // Props
-            onObjectSelect, onObjectPointerDown, onGridPointerDown, onInteractionEnd, showCoordinates, sunAzimuth, sunElevation, terrainPaintMode, absolutePaintHeight, currentMonth, showObjectNames,
+            onObjectSelect, onObjectPointerDown, onGridPointerDown, onInteractionEnd, onAutoSave, showCoordinates, sunAzimuth, sunElevation, terrainPaintMode, absolutePaintHeight, currentMonth, showObjectNames,
+            terrainOverlay = "none", onEarthworkChange, onWaterFlowChange, contourSettings, onWaterBodiesChange,
+            showDesignChecks = false, onDesignChecksChange, onGroundHeightChange,
         },
         ref
     ) => {
-        const sanitizeObjectsArray = (arr) => {
-            if (!Array.isArray(arr)) {
-              return [];
-            }
-          
-            const filteredArr = arr.filter(
-              (obj) => obj && typeof obj === "object" && obj.id != null
-            );
-          
-            let currentId = 1;
-          
-            const resultArr = filteredArr.map((obj) => {
-              const newObj = { ...obj };
-              newObj.id = currentId;
-              currentId++;
-              return newObj;
-            });
-          
-            return resultArr;
-          };
-        const CURRENT_SAVE_VERSION = 5;
-
         const generateDefaultState = () => {
             console.log("Generating default scene state...");
             const defaultHeightData = getInitialHeightData(
                 INITIAL_GRID_WIDTH,
                 INITIAL_GRID_HEIGHT
             );
-            const defaultColorData = getInitialColorData(defaultHeightData);
+            const defaultMaterialData = getInitialMaterialData(defaultHeightData);
             const initialGridObjects = [
                 { id: 1, type: "tree", gridX: 5, gridZ: 5 }, // Base info
                 {
@@ -81,51 +83,25 @@ export const SceneWithLogic = forwardRef(
 
             return {
                 heightData: defaultHeightData,
-                colorData: defaultColorData,
+                materialData: defaultMaterialData,
                 objects: defaultObjects,
+                settings: {}, // Project-level settings (e.g. cellSize, terrainGenerator)
             };
         };
 
-        const [initialState] = useState(() => {
-            const savedData = localStorage.getItem(LOCAL_STORAGE_KEY);
-            if (savedData) {
-                try {
-                    const parsed = JSON.parse(savedData);
-                    // Basic validation - could be more thorough
-                    if (parsed &&
-                        parsed.heightData &&
-                        parsed.colorData &&
-                        parsed.objects &&
-                        parsed.version === 5) {
-                        console.log("Loaded state from localStorage");
-                        return {
-                            heightData: parsed.heightData,
-                            colorData: parsed.colorData,
-                            objects: sanitizeObjectsArray(parsed.objects),
-                        };
-                    } else {
-                        console.warn(
-                            "localStorage data invalid or old version, generating default."
-                        );
-                    }
-                } catch (e) {
-                    console.error(
-                        "Failed to parse localStorage data, generating default.",
-                        e
-                    );
-                }
-            }
-            return generateDefaultState();
-        });
+        // Projects are opened by PlanEditor (from IndexedDB) once the scene is mounted
+        const [initialState] = useState(generateDefaultState);
 
         const [heightData, setHeightData] = useState(initialState.heightData);
-        const [colorData, setColorData] = useState(initialState.colorData);
+        const [materialData, setMaterialData] = useState(initialState.materialData);
         const [objects, setObjects] = useState(initialState.objects);
+        const [settings, setSettings] = useState(initialState.settings);
         const gridHeight = useMemo(() => heightData.length, [heightData]);
         const gridWidth = useMemo(
             () => (heightData[0] ? heightData[0].length : 0),
             [heightData]
         );
+        const cellSize = getCellSize(settings);
         function getInitialHeightData(width, height) {
             const data = [];
             for (let z = 0; z < height; z++) {
@@ -136,142 +112,352 @@ export const SceneWithLogic = forwardRef(
             }
             return data;
         }
-        function getInitialColorData(hData) {
-            const data = [];
-            const height = hData.length;
-            if (height === 0) return [];
-            const width = hData[0].length;
 
-            for (let z = 0; z < height; z++) {
-                data[z] = [];
-                for (let x = 0; x < width; x++) {
-                    const h = hData[z]?.[x] ?? 0;
-                    const hr = h / INITIAL_MAX_HEIGHT;
-                    const ci = Math.min(
-                        COLORS.length - 1,
-                        Math.max(0, Math.floor(hr * (COLORS.length - 2)) + 1)
-                    );
-                    data[z][x] = h <= MIN_TERRAIN_HEIGHT ? COLORS[0] : COLORS[ci];
+        // --- Undo/Redo History ---
+        // Every mutation goes through commitChange(), which updates latestStateRef
+        // synchronously (so consecutive calls within one event see each other)
+        // and records a command holding the before/after state snapshots.
+        const latestStateRef = useRef(initialState);
+        const undoStackRef = useRef([]);
+        const redoStackRef = useRef([]);
+        const historyGroupRef = useRef(null); // Open group (drag, brush stroke) collects changes into one command
+
+        const applySnapshot = useCallback((snapshot) => {
+            latestStateRef.current = snapshot;
+            setHeightData(snapshot.heightData);
+            setMaterialData(snapshot.materialData);
+            setObjects(snapshot.objects);
+            setSettings(snapshot.settings);
+        }, []);
+
+        const createCommand = useCallback(
+            (label, before, after, mergeKey = null) => ({
+                label,
+                mergeKey,
+                before,
+                after,
+                time: Date.now(),
+                undo() {
+                    applySnapshot(this.before);
+                },
+                redo() {
+                    applySnapshot(this.after);
+                },
+            }),
+            [applySnapshot]
+        );
+
+        const pushCommand = useCallback(
+            (label, before, after, mergeKey = null) => {
+                const undoStack = undoStackRef.current;
+                const last = undoStack[undoStack.length - 1];
+                if (mergeKey &&
+                    last &&
+                    last.mergeKey === mergeKey &&
+                    Date.now() - last.time < HISTORY_MERGE_MS) {
+                    // e.g. dragging a property slider: keep extending the same command
+                    last.after = after;
+                    last.time = Date.now();
+                } else {
+                    undoStack.push(createCommand(label, before, after, mergeKey));
+                    if (undoStack.length > MAX_HISTORY_LENGTH) undoStack.shift();
                 }
-            }
-            return data;
-        }
+                redoStackRef.current = [];
+            },
+            [createCommand]
+        );
+
+        const commitChange = useCallback(
+            (label, changes, mergeKey = null) => {
+                const before = latestStateRef.current;
+                const after = { ...before, ...changes };
+                applySnapshot(after);
+                if (historyGroupRef.current) return; // Recorded as a whole in endHistoryGroup
+                pushCommand(label, before, after, mergeKey);
+            },
+            [applySnapshot, pushCommand]
+        );
+
+        const clearHistory = useCallback(() => {
+            undoStackRef.current = [];
+            redoStackRef.current = [];
+            historyGroupRef.current = null;
+        }, []);
+
+        // --- Ground Materials ---
+        // Sets the material of the given [gridX, gridZ] cells as one change
+        const paintMaterialCells = useCallback(
+            (label, cells, materialId) => {
+                const prevData = latestStateRef.current.materialData;
+                const changed = cells.filter(([x, z]) =>
+                    prevData[z]?.[x] !== undefined && prevData[z][x] !== materialId);
+                if (changed.length === 0) return 0;
+                const newData = [...prevData]; // Only painted rows are copied, see TerrainMesh
+                changed.forEach(([x, z]) => {
+                    if (newData[z] === prevData[z]) newData[z] = [...prevData[z]];
+                    newData[z][x] = materialId;
+                });
+                commitChange(label, { materialData: newData });
+                return changed.length;
+            },
+            [commitChange]
+        );
 
         // --- Terrain & Height Lookup ---
+        // Modes: 'relative' (raise/lower by deltaHeight), 'absolute' (set to targetHeight),
+        // 'flatten' (pull towards targetHeight), 'smooth' (blur with neighbours),
+        // 'noise' (roughen by up to |deltaHeight|). strength (0-1) scales flatten/smooth/noise.
         const applyTerrainBrush = useCallback(
             (
                 centerX,
                 centerZ,
                 deltaHeight,
                 mode = "relative",
-                targetHeight = 0
+                targetHeight = 0,
+                strength = 1
             ) => {
+                const prevData = latestStateRef.current.heightData;
+                const gridHeight = prevData.length;
+                const gridWidth = prevData[0]?.length ?? 0;
                 if (gridWidth === 0 || gridHeight === 0) return; // Exit if grid is empty
-                setHeightData((prevData) => {
-                    const newData = prevData.map((row) => [...row]);
-                    const radius = brushSize - 1;
-                    const radiusSq = radius * radius;
-                    const startX = Math.max(0, Math.floor(centerX - radius));
-                    const endX = Math.min(
-                        gridWidth - 1,
-                        Math.ceil(centerX + radius)
-                    );
-                    const startZ = Math.max(0, Math.floor(centerZ - radius));
-                    const endZ = Math.min(
-                        gridHeight - 1,
-                        Math.ceil(centerZ + radius)
-                    );
+                const radius = brushSize - 1;
+                const radiusSq = radius * radius;
+                const startX = Math.max(0, Math.floor(centerX - radius));
+                const endX = Math.min(
+                    gridWidth - 1,
+                    Math.ceil(centerX + radius)
+                );
+                const startZ = Math.max(0, Math.floor(centerZ - radius));
+                const endZ = Math.min(
+                    gridHeight - 1,
+                    Math.ceil(centerZ + radius)
+                );
+                // Rows outside the brush keep their identity, so TerrainMesh skips them
+                const newData = prevData.map((row, z) => (z >= startZ && z <= endZ ? [...row] : row));
 
-                    for (let z = startZ; z <= endZ; z++) {
-                        for (let x = startX; x <= endX; x++) {
-                            const distX = x - centerX;
-                            const distZ = z - centerZ;
-                            const distSq = distX * distX + distZ * distZ;
-                            if (distSq <= (radius + 0.5) * (radius + 0.5)) {
-                                let modifiedHeight;
-                                if (mode === "absolute") {
-                                    modifiedHeight = targetHeight;
-                                } else {
-                                    // Relative mode
-                                    let intensity = 0;
-                                    if (radius > 0.1) {
-                                        const dist = Math.sqrt(distSq);
-                                        const ratio = Math.min(
-                                            1.0,
-                                            dist / radius
-                                        );
-                                        intensity = Math.pow(
-                                            Math.cos(ratio * Math.PI * 0.5),
-                                            2
-                                        );
-                                    } // Squared Cosine falloff
-                                    else {
-                                        intensity = distSq < 0.1 ? 1.0 : 0.0;
-                                    }
-
-                                    const currentHeight = newData[z]?.[x] ?? 0; // Ensure currentHeight exists
-                                    modifiedHeight =
-                                        currentHeight + deltaHeight * intensity;
-                                }
+                // Average of the 3x3 neighbourhood, read from the unmodified data
+                const neighbourAverage = (x, z) => {
+                    let sum = 0;
+                    let count = 0;
+                    for (let dz = -1; dz <= 1; dz++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const h = prevData[z + dz]?.[x + dx];
+                            if (h === undefined) continue;
+                            sum += h;
+                            count++;
+                        }
+                    }
+                    return sum / count;
+                };
 
-                                newData[z][x] = Math.max(MIN_TERRAIN_HEIGHT, modifiedHeight);
+                for (let z = startZ; z <= endZ; z++) {
+                    for (let x = startX; x <= endX; x++) {
+                        const distX = x - centerX;
+                        const distZ = z - centerZ;
+                        const distSq = distX * distX + distZ * distZ;
+                        if (distSq <= (radius + 0.5) * (radius + 0.5)) {
+                            let intensity = 0;
+                            if (radius > 0.1) {
+                                const dist = Math.sqrt(distSq);
+                                const ratio = Math.min(
+                                    1.0,
+                                    dist / radius
+                                );
+                                intensity = Math.pow(
+                                    Math.cos(ratio * Math.PI * 0.5),
+                                    2
+                                );
+                            } // Squared Cosine falloff
+                            else {
+                                intensity = distSq < 0.1 ? 1.0 : 0.0;
+                            }
+
+                            const currentHeight = newData[z]?.[x] ?? 0; // Ensure currentHeight exists
+                            let modifiedHeight;
+                            if (mode === "absolute") {
+                                modifiedHeight = targetHeight;
+                            } else if (mode === "flatten") {
+                                modifiedHeight = THREE.MathUtils.lerp(
+                                    currentHeight, targetHeight, intensity * strength);
+                            } else if (mode === "smooth") {
+                                modifiedHeight = THREE.MathUtils.lerp(
+                                    currentHeight, neighbourAverage(x, z), intensity * strength);
+                            } else if (mode === "noise") {
+                                modifiedHeight = currentHeight +
+                                    (Math.random() * 2 - 1) * Math.abs(deltaHeight) * intensity * strength;
+                            } else {
+                                // Relative mode
+                                modifiedHeight =
+                                    currentHeight + deltaHeight * intensity;
                             }
+
+                            newData[z][x] = Math.max(MIN_TERRAIN_HEIGHT, modifiedHeight);
                         }
                     }
-                    return newData;
-                });
+                }
+                commitChange("Terrain brush", { heightData: newData });
             },
-            [brushSize, gridWidth, gridHeight]
+            [brushSize, commitChange]
         );
 
-        const getGroundHeightAtWorld = useCallback(
-            (worldX, worldZ) => {
-                if (!heightData || gridWidth === 0 || gridHeight === 0)
-                    return 0;
-                const fractionalGridX = worldX / CELL_SIZE + gridWidth / 2 - 0.5;
-                const fractionalGridZ = worldZ / CELL_SIZE + gridHeight / 2 - 0.5;
-                const gridX = Math.floor(fractionalGridX);
-                const gridZ = Math.floor(fractionalGridZ);
-                // Basic: Use cell height
-                if (gridX >= 0 &&
-                    gridX < gridWidth &&
-                    gridZ >= 0 &&
-                    gridZ < gridHeight) {
-                    return heightData[gridZ][gridX];
+        // Linear slope between the heights of two cells, over a strip `width` cells wide
+        const applyTerrainRamp = useCallback(
+            (startX, startZ, endX, endZ, width = 1) => {
+                const prevData = latestStateRef.current.heightData;
+                const gridHeight = prevData.length;
+                const gridWidth = prevData[0]?.length ?? 0;
+                const startHeight = prevData[startZ]?.[startX];
+                const endHeight = prevData[endZ]?.[endX];
+                if (startHeight === undefined || endHeight === undefined) return;
+
+                const dirX = endX - startX;
+                const dirZ = endZ - startZ;
+                const lengthSq = dirX * dirX + dirZ * dirZ;
+                const halfWidth = Math.max(0.5, width / 2);
+                const newData = [...prevData]; // Rows are copied when the ramp reaches them
+                for (let z = 0; z < gridHeight; z++) {
+                    for (let x = 0; x < gridWidth; x++) {
+                        // Position along the ramp (0 at start, 1 at end) and distance from its center line
+                        const t = lengthSq > 0
+                            ? ((x - startX) * dirX + (z - startZ) * dirZ) / lengthSq
+                            : 0;
+                        if (t < 0 || t > 1) continue;
+                        const closestX = startX + dirX * t;
+                        const closestZ = startZ + dirZ * t;
+                        const dist = Math.hypot(x - closestX, z - closestZ);
+                        if (dist > halfWidth) continue;
+                        if (newData[z] === prevData[z]) newData[z] = [...prevData[z]];
+                        newData[z][x] = Math.max(
+                            MIN_TERRAIN_HEIGHT,
+                            THREE.MathUtils.lerp(startHeight, endHeight, t)
+                        );
+                    }
                 }
-                // TODO: Bilinear interpolation for smoother height
-                return 0;
+                commitChange("Terrain ramp", { heightData: newData });
             },
-            [heightData, gridWidth, gridHeight]
+            [commitChange]
+        );
+
+        const getGroundHeightAtWorld = useCallback(
+            (worldX, worldZ) => sampleGroundHeight(heightData, worldX, worldZ, cellSize), // On the rendered terrain triangles
+            [heightData, cellSize]
+        );
+        const getGroundYAtWorld = useCallback(
+            (worldX, worldZ) => getWorldYBase(getGroundHeightAtWorld(worldX, worldZ)),
+            [getGroundHeightAtWorld]
+        );
+        useEffect(() => {
+            if (onGroundHeightChange) onGroundHeightChange(getGroundHeightAtWorld);
+        }, [getGroundHeightAtWorld, onGroundHeightChange]);
+
+        // --- Earthwork (cut/fill against the baseline saved in settings) ---
+        const earthwork = useMemo(
+            () => computeEarthwork(settings.earthworkBaseline, heightData, cellSize),
+            [settings.earthworkBaseline, heightData, cellSize]
+        );
+        useEffect(() => {
+            if (onEarthworkChange) onEarthworkChange(earthwork);
+        }, [earthwork, onEarthworkChange]);
+
+        // --- Ponds (settings.waterBodies), flooded up to their water level ---
+        const waterBodies = useMemo(
+            () => computeWaterBodies(heightData, cellSize, settings.waterBodies),
+            [heightData, cellSize, settings.waterBodies]
         );
+        useEffect(() => {
+            if (onWaterBodiesChange)
+                onWaterBodiesChange(waterBodies.map(({ cells, ...summary }) => summary));
+        }, [waterBodies, onWaterBodiesChange]);
+
+        // --- Design checks (overlaps and clearances between objects) ---
+        const clearanceRules = getClearanceRules(settings);
+        const designChecks = useMemo(
+            () => computeDesignChecks(objects, clearanceRules),
+            [objects, clearanceRules]
+        );
+        useEffect(() => {
+            if (onDesignChecksChange) onDesignChecksChange({ issues: designChecks, rules: clearanceRules });
+        }, [designChecks, clearanceRules, onDesignChecksChange]);
 
-        // --- Auto-Save to localStorage ---
+        // --- Surface water (only analysed while its overlay is shown) ---
+        const waterFlow = useMemo(
+            () => terrainOverlay === "water-flow" && gridWidth > 0
+                ? computeWaterFlow(heightData, cellSize)
+                : null,
+            [terrainOverlay, heightData, gridWidth, cellSize]
+        );
+        useEffect(() => {
+            if (onWaterFlowChange) onWaterFlowChange(waterFlow && { ponds: waterFlow.ponds });
+        }, [waterFlow, onWaterFlowChange]);
+
+        // --- Contour lines (contourSettings is null while they are hidden) ---
+        const contours = useMemo(
+            () => contourSettings ? computeContours(heightData, cellSize, contourSettings) : null,
+            [contourSettings, heightData, cellSize]
+        );
+
+        // Colors the terrain is drawn with: the ground material colors or an analysis overlay
+        const materialColorsRef = useRef(null); // Last { materialData, colorData }, to reuse unchanged rows
+        const materialColorData = useMemo(() => {
+            const colorData = getMaterialColorData(materialData, materialColorsRef.current);
+            materialColorsRef.current = { materialData, colorData };
+            return colorData;
+        }, [materialData]);
+        const displayColorData = useMemo(() => {
+            if (terrainOverlay === "cut-fill" && earthwork?.compatible)
+                return getCutFillColors(settings.earthworkBaseline, heightData);
+            if (terrainOverlay === "water-flow" && waterFlow)
+                return getWaterFlowColors(waterFlow);
+            if (terrainOverlay === "slope")
+                return getSlopeColors(computeSlopeAspect(heightData, cellSize));
+            if (terrainOverlay === "aspect")
+                return getAspectColors(computeSlopeAspect(heightData, cellSize));
+            return materialColorData;
+        }, [terrainOverlay, earthwork, waterFlow, settings.earthworkBaseline, heightData, materialColorData, cellSize]);
+        // Material textures are only drawn under the plain ground colors
+        const showMaterialTextures = displayColorData === materialColorData;
+
+        // --- Auto-Save (persisted by PlanEditor into the open project) ---
         const saveTimeoutRef = useRef(null);
+        const pendingSaveRef = useRef(null); // Save data waiting for the debounce timer
+        const loadedStateRef = useRef(initialState); // Freshly loaded state needs no saving
+        // Resolves once the pending save (if any) has been written
+        const flushAutoSave = useCallback(() => {
+            if (saveTimeoutRef.current) clearTimeout(saveTimeoutRef.current);
+            saveTimeoutRef.current = null;
+            const saveData = pendingSaveRef.current;
+            pendingSaveRef.current = null;
+            return Promise.resolve(saveData && onAutoSave ? onAutoSave(saveData) : undefined);
+        }, [onAutoSave]);
+
         useEffect(() => {
+            const loaded = loadedStateRef.current;
+            if (loaded &&
+                loaded.heightData === heightData &&
+                loaded.materialData === materialData &&
+                loaded.objects === objects &&
+                loaded.settings === settings)
+                return;
+            loadedStateRef.current = null;
             // Debounce saving
             if (saveTimeoutRef.current) {
                 clearTimeout(saveTimeoutRef.current);
             }
-            saveTimeoutRef.current = setTimeout(() => {
-                try {
-                    const saveData = {
-                        version: CURRENT_SAVE_VERSION,
-                        heightData,
-                        colorData,
-                        objects,
-                    };
-                    localStorage.setItem(
-                        LOCAL_STORAGE_KEY,
-                        JSON.stringify(saveData)
-                    );
-                    console.log("Autosaved state to localStorage");
-                } catch (e) {
-                    console.error("Failed to save state to localStorage:", e);
-                }
-            }, 1000); // Save 1 second after the last change
+            pendingSaveRef.current = {
+                version: CURRENT_SAVE_VERSION,
+                heightData,
+                materialData,
+                objects,
+                settings,
+            };
+            saveTimeoutRef.current = setTimeout(flushAutoSave, 1000); // Save 1 second after the last change
+        }, [heightData, materialData, objects, settings, flushAutoSave]); // Trigger effect when state changes
+
+        useEffect(() => () => clearTimeout(saveTimeoutRef.current), []); // Cleanup timeout on unmount
 
-            return () => clearTimeout(saveTimeoutRef.current); // Cleanup timeout on unmount
-        }, [heightData, colorData, objects]); // Trigger effect when state changes
+        // Rendered groups, read by the 3D export
+        const terrainGroupRef = useRef();
+        const objectsGroupRef = useRef();
 
 
         // --- Imperative API ---
@@ -281,21 +467,22 @@ export const SceneWithLogic = forwardRef(
                 // TODO: Cleanup null objects
                 save: () => ({
                     version: CURRENT_SAVE_VERSION,
-                    heightData,
-                    colorData,
-                    objects,
+                    ...latestStateRef.current,
+                }),
+                flushAutoSave: flushAutoSave,
+                // Resolves with the scene as binary glTF (ArrayBuffer)
+                exportGLB: () => exportSceneToGLB({
+                    terrain: terrainGroupRef.current,
+                    objects: objectsGroupRef.current,
                 }),
-                load: (loadedData) => {
-                    if (!loadedData || typeof loadedData !== "object")
-                        throw new Error("Invalid data");
-                    const version = loadedData.version ?? 1;
+                load: (rawData) => {
+                    const { data: loadedData, fromVersion, changes } =
+                        migrateSaveData(rawData);
                     if (!Array.isArray(loadedData.heightData) ||
-                        !Array.isArray(loadedData.colorData) ||
+                        !Array.isArray(loadedData.materialData) ||
                         !Array.isArray(loadedData.objects))
                         throw new Error("Invalid data format");
 
-                    setHeightData(loadedData.heightData);
-                    setColorData(loadedData.colorData);
                     const currentW = loadedData.heightData[0]?.length ?? 0;
                     const currentH = loadedData.heightData.length ?? 0;
                     const hDataForConvert = loadedData.heightData;
@@ -323,77 +510,136 @@ export const SceneWithLogic = forwardRef(
                             baseObj.name ?? baseObj.type;
                         return baseObj;
                     });
-                    setObjects(processedObjects);
-                    // Trigger autosave after load
+                    const loadedState = {
+                        heightData: loadedData.heightData,
+                        materialData: loadedData.materialData,
+                        objects: processedObjects,
+                        settings: loadedData.settings && typeof loadedData.settings === "object"
+                            ? loadedData.settings
+                            : {},
+                    };
+                    // Drop any pending autosave of the previous project
                     if (saveTimeoutRef.current)
                         clearTimeout(saveTimeoutRef.current);
-                    localStorage.setItem(
-                        LOCAL_STORAGE_KEY,
-                        JSON.stringify({
-                            version: CURRENT_SAVE_VERSION,
-                            heightData: loadedData.heightData,
-                            colorData: loadedData.colorData,
-                            objects: processedObjects,
-                        })
+                    pendingSaveRef.current = null;
+                    loadedStateRef.current = loadedState;
+                    applySnapshot(loadedState);
+                    clearHistory(); // A loaded project starts with a fresh history
+                    return {
+                        newWidth: currentW,
+                        newHeight: currentH,
+                        cellSize: getCellSize(loadedState.settings),
+                        migration: { fromVersion, changes },
+                    };
+                },
+                // Objects that would no longer fit after resizeGrid with this anchor
+                getResizeRemovals: (newWidth, newHeight, anchor = "top-left") => {
+                    const { heightData, objects, settings } = latestStateRef.current;
+                    return shiftObjectsForResize(objects, heightData[0]?.length ?? 0,
+                        heightData.length, newWidth, newHeight, anchor, getCellSize(settings)).removed;
+                },
+                // options: { anchor, fillMode: 'edge' | 'flat' | 'generator', flatHeight }.
+                // The old terrain stays at the anchor and objects move with it.
+                resizeGrid: (newWidth, newHeight, options = {}) => {
+                    const { heightData: oldHData, materialData: oldMData, objects: oldObjects, settings } =
+                        latestStateRef.current;
+                    const { anchor = "top-left" } = options;
+                    const resized = resizeTerrainData(oldHData, oldMData, newWidth, newHeight, {
+                        ...options,
+                        anchor,
+                        generatorSettings: settings?.terrainGenerator,
+                    });
+                    const { kept } = shiftObjectsForResize(oldObjects, oldHData[0]?.length ?? 0,
+                        oldHData.length, newWidth, newHeight, anchor, getCellSize(settings));
+                    commitChange("Resize grid", {
+                        heightData: resized.heightData,
+                        materialData: resized.materialData,
+                        objects: kept,
+                    });
+                    if (onInteractionEnd) onInteractionEnd(); // Notify parent
+                    return { removedObjects: oldObjects.length - kept.length };
+                },
+                // Objects that would no longer fit after replaceTerrain with a newWidth x newHeight terrain
+                getReplaceTerrainRemovals: (newWidth, newHeight) => {
+                    const { objects, settings } = latestStateRef.current;
+                    return objects.filter(
+                        (obj) => !isObjectInsideGrid(obj, newWidth, newHeight, getCellSize(settings))
                     );
-                    return { newWidth: currentW, newHeight: currentH };
-                },
-                resizeGrid: (newWidth, newHeight) => {
-                    const oldWidth = gridWidth;
-                    const oldHeight = gridHeight;
-                    const oldHData = heightData;
-                    const oldCData = colorData;
-                    const newHData = [];
-                    const newCData = [];
-                    for (let z = 0; z < newHeight; z++) {
-                        newHData[z] = [];
-                        newCData[z] = [];
-                        for (let x = 0; x < newWidth; x++) {
-                            if (x < oldWidth && z < oldHeight) {
-                                newHData[z][x] = oldHData[z][x];
-                                newCData[z][x] = oldCData[z][x];
-                            } else {
-                                const h = getInitialHeight(
-                                    x,
-                                    z,
-                                    newWidth,
-                                    newHeight
-                                );
-                                newHData[z][x] = h;
-                                const hr = h / INITIAL_MAX_HEIGHT;
-                                const ci = Math.min(
-                                    COLORS.length - 1,
-                                    Math.max(
-                                        0,
-                                        Math.floor(hr * (COLORS.length - 2)) + 1
-                                    )
-                                );
-                                newCData[z][x] =
-                                    h < 0.05 ? COLORS[0] : COLORS[ci];
-                            }
-                        }
+                },
+                // Replaces the whole terrain (e.g. an imported heightmap). The grid may
+                // change size; materials of cells that existed before are kept unless
+                // newMaterialData is given, objects outside the new grid are removed.
+                // settingsChanges are merged into the project settings in the same undo step.
+                replaceTerrain: (label, newHeightData, newMaterialData = null, settingsChanges = null) => {
+                    const { materialData: oldMData, objects: oldObjects, settings: oldSettings } =
+                        latestStateRef.current;
+                    const newHeight = newHeightData.length;
+                    const newWidth = newHeightData[0]?.length ?? 0;
+                    let materialData = newMaterialData;
+                    if (!materialData) {
+                        const derived = getInitialMaterialData(newHeightData);
+                        materialData = derived.map((row, z) =>
+                            row.map((id, x) => oldMData[z]?.[x] ?? id)
+                        );
                     }
-                    setHeightData(newHData);
-                    setColorData(newCData);
-                    const minWorldX = (-newWidth / 2) * CELL_SIZE;
-                    const maxWorldX = (newWidth / 2) * CELL_SIZE;
-                    const minWorldZ = (-newHeight / 2) * CELL_SIZE;
-                    const maxWorldZ = (newHeight / 2) * CELL_SIZE;
-                    setObjects((prev) => prev.filter(
-                        (obj) => obj.worldX >= minWorldX &&
-                            obj.worldX < maxWorldX &&
-                            obj.worldZ >= minWorldZ &&
-                            obj.worldZ < maxWorldZ
-                    )
+                    const keptObjects = oldObjects.filter(
+                        (obj) => isObjectInsideGrid(obj, newWidth, newHeight, getCellSize(oldSettings))
                     );
+                    commitChange(label, {
+                        heightData: newHeightData,
+                        materialData,
+                        objects: keptObjects,
+                        settings: settingsChanges ? { ...oldSettings, ...settingsChanges } : oldSettings,
+                    });
                     if (onInteractionEnd) onInteractionEnd(); // Notify parent
+                    return { removedObjects: oldObjects.length - keptObjects.length };
+                },
+                // Objects outside the grid after setCellSize (they keep their world positions)
+                getCellSizeRemovals: (newCellSize, newWidth, newHeight) =>
+                    latestStateRef.current.objects.filter(
+                        (obj) => !isObjectInsideGrid(obj, newWidth, newHeight, newCellSize)
+                    ),
+                // Changes the project's cell size and resamples the terrain onto a
+                // newWidth x newHeight grid; objects stay where they are in the world
+                setCellSize: (newCellSize, newWidth, newHeight) => {
+                    const { heightData: oldHData, materialData: oldMData, objects: oldObjects, settings: oldSettings } =
+                        latestStateRef.current;
+                    const resampled = resampleTerrainData(oldHData, oldMData, getCellSize(oldSettings),
+                        newCellSize, newWidth, newHeight);
+                    const keptObjects = oldObjects.filter(
+                        (obj) => isObjectInsideGrid(obj, newWidth, newHeight, newCellSize)
+                    );
+                    commitChange("Change cell size", {
+                        heightData: resampled.heightData,
+                        materialData: resampled.materialData,
+                        objects: keptObjects,
+                        settings: { ...oldSettings, cellSize: newCellSize },
+                    });
+                    if (onInteractionEnd) onInteractionEnd(); // Notify parent
+                    return { removedObjects: oldObjects.length - keptObjects.length };
+                },
+                // Snapshots the current terrain as the reference for cut/fill volumes
+                setEarthworkBaseline: () => {
+                    const { heightData: hData, settings: oldSettings } = latestStateRef.current;
+                    commitChange("Set earthwork baseline", {
+                        settings: {
+                            ...oldSettings,
+                            earthworkBaseline: createEarthworkBaseline(hData, getCellSize(oldSettings)),
+                        },
+                    });
+                },
+                clearEarthworkBaseline: () => {
+                    const { earthworkBaseline, ...rest } = latestStateRef.current.settings;
+                    if (earthworkBaseline) commitChange("Clear earthwork baseline", { settings: rest });
                 },
                 resetState: () => {
                     console.log("Resetting scene state via imperative call");
                     const defaultState = generateDefaultState(); // Regenerate defaults
-                    setHeightData(defaultState.heightData);
-                    setColorData(defaultState.colorData);
-                    setObjects(defaultState.objects);
+                    if (saveTimeoutRef.current)
+                        clearTimeout(saveTimeoutRef.current);
+                    pendingSaveRef.current = null;
+                    applySnapshot(defaultState);
+                    clearHistory();
                     // Autosave will trigger due to state change
                 },
                 addObject: (newObjectData) => {
@@ -411,92 +657,224 @@ export const SceneWithLogic = forwardRef(
                     const configName = newObjectData.configName || newObjectData.type; // Get original config name if passed
                     const name = newObjectData.name || configName;
                     const fullData = { ...defaults, ...newObjectData, name };
-                    setObjects((prev) => [...prev, fullData]);
+                    const prev = latestStateRef.current.objects;
+                    commitChange(`Add ${name}`, { objects: [...prev, fullData] });
                 },
                 removeObject: (id) => {
-                    setObjects((prev) => prev.filter((obj) => obj.id !== id));
+                    const prev = latestStateRef.current.objects;
+                    commitChange("Remove object", {
+                        objects: prev.filter((obj) => obj.id !== id),
+                    });
                 },
                 updateObjectPositionWorld: (id, newWorldX, newWorldZ) => {
-                    setObjects((prev) => prev.map((obj) => obj && obj.id === id
-                        ? {
-                            ...obj,
-                            worldX: newWorldX,
-                            worldZ: newWorldZ,
-                        }
-                        : obj
-                    )
-                    );
+                    const prev = latestStateRef.current.objects;
+                    commitChange("Move object", {
+                        objects: prev.map((obj) => obj && obj.id === id
+                            ? {
+                                ...obj,
+                                worldX: newWorldX,
+                                worldZ: newWorldZ,
+                            }
+                            : obj
+                        ),
+                    });
                 },
                 updateObjectRotationY: (id, newRotationY) => {
                     // Normalize rotation to 0-360 range
                     const normalizedRotation = ((newRotationY % 360) + 360) % 360;
-                    setObjects(prev => prev.map(obj =>
-                       obj.id === id ? { ...obj, rotationY: normalizedRotation } : obj
-                   ));
-               },
-                getObjects: () => [...objects],
+                    const prev = latestStateRef.current.objects;
+                    commitChange("Rotate object", {
+                        objects: prev.map(obj =>
+                            obj.id === id ? { ...obj, rotationY: normalizedRotation } : obj
+                        ),
+                    });
+                },
+                getObjects: () => [...latestStateRef.current.objects],
+                getSettings: () => latestStateRef.current.settings,
                 getObjectProperties: (id) => {
-                    const obj = objects.find((o) => o != null && o.id === id);
+                    const obj = latestStateRef.current.objects.find(
+                        (o) => o != null && o.id === id
+                    );
                     return obj ? { ...obj } : null;
                 },
                 updateObjectProperty: (id, propName, value) => {
-                    setObjects((prev) => prev.map((obj) => obj && obj.id === id
-                        ? { ...obj, [propName]: value }
-                        : obj
-                    )
+                    const prev = latestStateRef.current.objects;
+                    commitChange(
+                        `Change ${propName}`,
+                        {
+                            objects: prev.map((obj) => obj && obj.id === id
+                                ? { ...obj, [propName]: value }
+                                : obj
+                            ),
+                        },
+                        `property-${id}-${propName}` // Slider drags merge into one step
                     );
                 },
+                // Several properties in one undo step, e.g. a redrawn path's points and origin
+                updateObjectProperties: (id, changes, label = "Change object") => {
+                    const prev = latestStateRef.current.objects;
+                    commitChange(label, {
+                        objects: prev.map((obj) => obj && obj.id === id ? { ...obj, ...changes } : obj),
+                    });
+                },
                 getGroundHeightAtWorld: getGroundHeightAtWorld,
-                getGridDimensions: () => ({ gridWidth, gridHeight }),
+                getGridDimensions: () => {
+                    const { heightData: hData, settings } = latestStateRef.current;
+                    return {
+                        gridWidth: hData[0]?.length ?? 0,
+                        gridHeight: hData.length,
+                        cellSize: getCellSize(settings),
+                    };
+                },
                 applyTerrainBrush: applyTerrainBrush,
-                updateCellColor: (gridX, gridZ, newColor) => {
-                    if (gridX >= 0 &&
-                        gridX < gridWidth &&
-                        gridZ >= 0 &&
-                        gridZ < gridHeight) {
-                        setColorData((prevData) => {
-                            const newData = prevData.map((r) => [...r]);
-                            newData[gridZ][gridX] = newColor;
-                            return newData;
-                        });
-                    }
+                applyTerrainRamp: applyTerrainRamp,
+                getCellHeight: (gridX, gridZ) =>
+                    latestStateRef.current.heightData[gridZ]?.[gridX] ?? null,
+                // Adds a pond whose water floods the clicked cell and all connected cells below level.
+                // Returns its measurements, or null if the cell is not below the level.
+                addWaterBody: (gridX, gridZ, level) => {
+                    const { heightData: hData, settings: oldSettings } = latestStateRef.current;
+                    const size = getCellSize(oldSettings);
+                    const [worldX, , worldZ] = gridToWorldCenter(gridX, gridZ, 0, hData[0]?.length ?? 0, hData.length, size);
+                    const existing = oldSettings.waterBodies ?? [];
+                    const id = existing.reduce((max, body) => Math.max(max, body.id), 0) + 1;
+                    const body = { id, name: `Pond ${id}`, worldX, worldZ, level };
+                    const measured = computeWaterBody(hData, size, body);
+                    if (measured.cells.length === 0) return null;
+                    commitChange("Add pond", { settings: { ...oldSettings, waterBodies: [...existing, body] } });
+                    const { cells, ...summary } = measured;
+                    return { ...body, ...summary };
+                },
+                updateWaterBody: (id, changes) => {
+                    const oldSettings = latestStateRef.current.settings;
+                    commitChange(
+                        "Change pond",
+                        {
+                            settings: {
+                                ...oldSettings,
+                                waterBodies: (oldSettings.waterBodies ?? []).map((body) =>
+                                    body.id === id ? { ...body, ...changes } : body),
+                            },
+                        },
+                        `pond-${id}` // Level edits merge into one step
+                    );
+                },
+                removeWaterBody: (id) => {
+                    const oldSettings = latestStateRef.current.settings;
+                    commitChange("Remove pond", {
+                        settings: {
+                            ...oldSettings,
+                            waterBodies: (oldSettings.waterBodies ?? []).filter((body) => body.id !== id),
+                        },
+                    });
+                },
+                // Replaces the project's clearance rules, see designChecks.js
+                setClearanceRules: (rules) => {
+                    const oldSettings = latestStateRef.current.settings;
+                    commitChange(
+                        "Change clearance rules",
+                        { settings: { ...oldSettings, clearanceRules: rules } },
+                        "clearance-rules" // Typing a distance merges into one step
+                    );
                 },
+                // Region between two corner cells, see terrainRegion.js; options: { includeObjects }
+                copyTerrainRegion: (x0, z0, x1, z1, options) => {
+                    const { settings, ...state } = latestStateRef.current;
+                    return copyTerrainRegion({ ...state, cellSize: getCellSize(settings) }, x0, z0, x1, z1, options);
+                },
+                // Pastes a region centered on a cell as one undo step. options: { heightMode, includeMaterials };
+                // firstObjectId numbers the pasted objects. Returns the number of objects added.
+                pasteTerrainRegion: (region, centerX, centerZ, options, firstObjectId) => {
+                    const { objects: prevObjects, settings, ...state } = latestStateRef.current;
+                    const pasted = pasteTerrainRegion({ ...state, cellSize: getCellSize(settings) },
+                        region, centerX, centerZ, { ...options, minHeight: MIN_TERRAIN_HEIGHT });
+                    const newObjects = pasted.objects.map((obj, i) => ({ ...obj, id: firstObjectId + i }));
+                    commitChange("Paste terrain region", {
+                        heightData: pasted.heightData,
+                        materialData: pasted.materialData,
+                        objects: newObjects.length > 0 ? [...prevObjects, ...newObjects] : prevObjects,
+                    });
+                    return newObjects.length;
+                },
+                // Ground material tools; each returns the number of cells that changed
+                paintMaterialBrush: (gridX, gridZ, materialId) => {
+                    const { materialData: mData } = latestStateRef.current;
+                    return paintMaterialCells("Paint material",
+                        getBrushCells(gridX, gridZ, brushSize - 1, mData[0]?.length ?? 0, mData.length), materialId);
+                },
+                // options: { colorTolerance (0-1), heightTolerance (meters) } relative to the clicked cell
+                floodFillMaterial: (gridX, gridZ, materialId, options) => {
+                    const { materialData: mData, heightData: hData } = latestStateRef.current;
+                    return paintMaterialCells("Fill material",
+                        getFloodFillCells(mData, hData, gridX, gridZ, options), materialId);
+                },
+                fillMaterialRectangle: (x0, z0, x1, z1, materialId) => {
+                    const { materialData: mData } = latestStateRef.current;
+                    return paintMaterialCells("Fill rectangle",
+                        getRectangleCells(x0, z0, x1, z1, mData[0]?.length ?? 0, mData.length), materialId);
+                },
+                // vertices: [[gridX, gridZ], ...] of the closed outline
+                fillMaterialPolygon: (vertices, materialId) => {
+                    const { materialData: mData } = latestStateRef.current;
+                    return paintMaterialCells("Fill polygon",
+                        getPolygonCells(vertices, mData[0]?.length ?? 0, mData.length), materialId);
+                },
+                // [{ id, name, cells, area, cost, permeability }] per ground material
+                getMaterialAreas: () => {
+                    const { materialData: mData, settings } = latestStateRef.current;
+                    return computeMaterialAreas(mData, getCellSize(settings));
+                },
+                // Groups all changes until endHistoryGroup() into a single undo step
+                beginHistoryGroup: (label) => {
+                    if (historyGroupRef.current) return;
+                    historyGroupRef.current = { label, before: latestStateRef.current };
+                },
+                endHistoryGroup: () => {
+                    const group = historyGroupRef.current;
+                    historyGroupRef.current = null;
+                    if (!group || group.before === latestStateRef.current) return; // Nothing changed
+                    pushCommand(group.label, group.before, latestStateRef.current);
+                },
+                undo: () => {
+                    historyGroupRef.current = null;
+                    const command = undoStackRef.current.pop();
+                    if (!command) return null;
+                    command.undo();
+                    redoStackRef.current.push(command);
+                    return command.label;
+                },
+                redo: () => {
+                    historyGroupRef.current = null;
+                    const command = redoStackRef.current.pop();
+                    if (!command) return null;
+                    command.redo();
+                    undoStackRef.current.push(command);
+                    return command.label;
+                },
+                canUndo: () => undoStackRef.current.length > 0,
+                canRedo: () => redoStackRef.current.length > 0,
             }),
             [
                 heightData,
-                colorData,
+                materialData,
                 objects,
                 gridWidth,
                 gridHeight,
                 brushSize,
                 applyTerrainBrush,
+                applyTerrainRamp,
+                paintMaterialCells,
                 getGroundHeightAtWorld,
                 onInteractionEnd,
+                applySnapshot,
+                commitChange,
+                pushCommand,
+                clearHistory,
+                flushAutoSave,
             ]
         );
 
         // --- Render Logic ---
-        const gridCells = useMemo(() => {
-            if (gridWidth === 0 || gridHeight === 0) return [];
-            const cells = [];
-            for (let z = 0; z < gridHeight; z++) {
-                for (let x = 0; x < gridWidth; x++) {
-                    cells.push(
-                        <GridCell
-                            key={`${x}-${z}`}
-                            x={x}
-                            z={z}
-                            height={heightData[z]?.[x] ?? 0}
-                            color={colorData[z]?.[x] ?? "#ffffff"}
-                            onPointerDown={onGridPointerDown}
-                            gridWidth={gridWidth}
-                            gridHeight={gridHeight} />
-                    );
-                }
-            }
-            return cells;
-        }, [heightData, colorData, gridWidth, gridHeight, onGridPointerDown]);
-
         const renderedObjects = useMemo(() => {
             return objects.map((obj) => {
                 if (!obj) return null; // Handle potential nulls after sanitization fail? Should not happen.
@@ -511,61 +889,30 @@ export const SceneWithLogic = forwardRef(
                 );
                 const worldYBase = getWorldYBase(groundHeight);
                 const position = [obj.worldX, worldYBase, obj.worldZ];
-
-                // Calculate approximate height for name tag positioning
-                // This is rough, depends on object type. Could be improved.
-                let objectHeight = 1.0; // Default height
-                if (obj.type === "tree" || obj.type === "deciduous_tree")
-                    objectHeight =
-                        (obj.trunkHeight || 1) +
-                        (obj.maxFoliageHeight || obj.foliageDiameter || 1) *
-                        0.5;
-                else if (obj.type === "hedge") objectHeight = obj.height || 0.8;
-                else if (obj.type === "small_flower")
-                    objectHeight = obj.stemHeight || 0.15;
-                else if (obj.type === "garden_light")
-                    objectHeight = obj.postHeight || 0.6;
-
-                else
-                    objectHeight =
-                        obj.height || obj.bushHeight || obj.bodyHeight || 0.5; // Guess for others
-
-                const nameYOffset = objectHeight * 1.1 + 0.2; // Position above the object
+                // Flat items (pavers, stones, gravel) can follow the terrain; everything else stays upright
+                const groundNormal = obj.alignToSlope
+                    ? sampleGroundNormal(heightData, obj.worldX, obj.worldZ, cellSize)
+                    : null;
 
                 return (
-                    // Wrap object and potential name tag in a group if needed,
-                    // but rendering Text directly might be okay performance-wise for moderate counts
-                    <React.Fragment key={obj.id}>
+                    // Named wrapper group identifies the object in exported files
+                    <group
+                        key={obj.id}
+                        name={obj.name || obj.type}
+                        userData={{ id: obj.id, type: obj.type, name: obj.name }}
+                    >
                         <ObjectComponent
                             objectId={obj.id}
                             position={position}
-                            isSelected={obj.id === selectedObjectId}
                             onSelect={() => onObjectSelect(obj.id)}
                             onPointerDown={onObjectPointerDown}
                             globalAge={globalAge}
                             currentMonth={currentMonth}
                             {...obj} // Pass all props including name, rotationY etc.
+                            groundNormal={groundNormal}
+                            getGroundY={getGroundYAtWorld} // Objects spread over the terrain (paths) sample it
                         />
-                        {/* Conditionally render Name Tag */}
-                        {showObjectNames && (
-                            <Text
-                                position={[
-                                    position[0],
-                                    position[1] + nameYOffset,
-                                    position[2],
-                                ]} // Position above object base + offset
-                                fontSize={0.25}
-                                color="#FFF"
-                                anchorX="center"
-                                anchorY="middle"
-                                outlineWidth={0.02}
-                                outlineColor="#000"
-                            >
-                                {obj.name || obj.type}{" "}
-                                {/* Show name or fallback to type */}
-                            </Text>
-                        )}
-                    </React.Fragment>
+                    </group>
                 );
             });
         }, [
@@ -576,9 +923,79 @@ export const SceneWithLogic = forwardRef(
             onObjectSelect,
             onObjectPointerDown,
             getGroundHeightAtWorld,
-            showObjectNames,
+            getGroundYAtWorld,
+            heightData,
+            cellSize,
         ]);
 
+        // --- Name Tags (kept apart from objects so they stay out of exports) ---
+        const nameTags = useMemo(() => {
+            if (!showObjectNames) return null;
+            return objects.map((obj) => {
+                if (!obj || !ObjectComponents[obj.type]) return null;
+                const groundHeight = getGroundHeightAtWorld(
+                    obj.worldX,
+                    obj.worldZ
+                );
+                const worldYBase = getWorldYBase(groundHeight);
+
+                const nameYOffset = getObjectBounds(obj, globalAge).height + 0.3; // Position above the object
+
+                return (
+                    <Text
+                        key={obj.id}
+                        position={[
+                            obj.worldX,
+                            worldYBase + nameYOffset,
+                            obj.worldZ,
+                        ]} // Position above object base + offset
+                        fontSize={0.25}
+                        color="#FFF"
+                        anchorX="center"
+                        anchorY="middle"
+                        outlineWidth={0.02}
+                        outlineColor="#000"
+                    >
+                        {obj.name || obj.type}{" "}
+                        {/* Show name or fallback to type */}
+                    </Text>
+                );
+            });
+        }, [objects, getGroundHeightAtWorld, showObjectNames, globalAge]);
+
+        // --- Selection Outline (sized from the object's bounds, kept out of exports) ---
+        const selectionOutline = useMemo(() => {
+            const obj = objects.find((o) => o && o.id === selectedObjectId);
+            if (!obj || !ObjectComponents[obj.type]) return null;
+            const worldYBase = getWorldYBase(getGroundHeightAtWorld(obj.worldX, obj.worldZ));
+            return (
+                <SelectionOutline
+                    bounds={getObjectBounds(obj, globalAge)}
+                    position={[obj.worldX, worldYBase, obj.worldZ]}
+                    rotationY={obj.rotationY ?? 0}
+                />
+            );
+        }, [objects, selectedObjectId, getGroundHeightAtWorld, globalAge]);
+
+        // --- Design Check Highlights (red overlap, orange too close) ---
+        const designCheckHighlights = useMemo(() => {
+            if (!showDesignChecks || designChecks.length === 0) return null;
+            const kindById = new Map();
+            designChecks.forEach(({ kind, ids }) => ids.forEach((id) => {
+                if (kindById.get(id) !== "overlap") kindById.set(id, kind);
+            }));
+            return objects.filter((obj) => obj && kindById.has(obj.id)).map((obj) => (
+                <SelectionOutline
+                    key={obj.id}
+                    name="design-check-outline"
+                    color={kindById.get(obj.id) === "overlap" ? "#FF3030" : "#FFA000"}
+                    bounds={getObjectBounds(obj, 1)} // Checked at full size, see computeDesignChecks
+                    position={[obj.worldX, getWorldYBase(getGroundHeightAtWorld(obj.worldX, obj.worldZ)), obj.worldZ]}
+                    rotationY={obj.rotationY ?? 0}
+                />
+            ));
+        }, [showDesignChecks, designChecks, objects, getGroundHeightAtWorld]);
+
         // --- Coordinate Labels ---
         const coordinateLabels = useMemo(() => {
             if (!showCoordinates || gridWidth === 0 || gridHeight === 0) {
@@ -587,15 +1004,15 @@ export const SceneWithLogic = forwardRef(
 
             const labels = [];
             const labelColor = "#cccccc";
-            const labelSize = 0.5;
+            const labelSize = 0.5 * Math.min(1, cellSize); // Keep labels of small cells apart
             const labelOffset = 1; // How far outside the grid to place labels
             const groundY = 0.3; // Slightly above the base plane
 
 
             // X-axis labels (along negative Z edge)
-            const zPos = (-gridHeight / 2 - labelOffset) * CELL_SIZE;
+            const zPos = (-gridHeight / 2 - labelOffset) * cellSize;
             for (let x = 0; x < gridWidth; x++) {
-                const xPos = (x - gridWidth / 2 + 0.5) * CELL_SIZE;
+                const xPos = (x - gridWidth / 2 + 0.5) * cellSize;
                 labels.push(
                     <Text
                         key={`coord-x-${x}`}
@@ -612,9 +1029,9 @@ export const SceneWithLogic = forwardRef(
             }
 
             // Z-axis labels (along negative X edge)
-            const xPos = (-gridWidth / 2 - labelOffset) * CELL_SIZE;
+            const xPos = (-gridWidth / 2 - labelOffset) * cellSize;
             for (let z = 0; z < gridHeight; z++) {
-                const zPos = (z - gridHeight / 2 + 0.5) * CELL_SIZE;
+                const zPos = (z - gridHeight / 2 + 0.5) * cellSize;
                 labels.push(
                     <Text
                         key={`coord-z-${z}`}
@@ -630,13 +1047,13 @@ export const SceneWithLogic = forwardRef(
                 );
             }
             return labels;
-        }, [showCoordinates, gridWidth, gridHeight]); // Depend on toggle state and dimensions
+        }, [showCoordinates, gridWidth, gridHeight, cellSize]); // Depend on toggle state and dimensions
 
 
         // --- Base Scene Elements ---
         const groundPlaneSize = useMemo(
-            () => [gridWidth * CELL_SIZE + 4, gridHeight * CELL_SIZE + 4],
-            [gridWidth, gridHeight]
+            () => [gridWidth * cellSize + 4, gridHeight * cellSize + 4],
+            [gridWidth, gridHeight, cellSize]
         );
         const avgHeight = useMemo(() => {
             if (gridWidth === 0 || gridHeight === 0) return 0;
@@ -653,21 +1070,21 @@ export const SceneWithLogic = forwardRef(
 
         // --- Shadow Camera Configuration ---
         const shadowCameraProps = useMemo(() => {
-            const size = Math.max(gridWidth, gridHeight) * CELL_SIZE * 0.75; // Cover slightly more than half the max dimension
+            const size = Math.max(gridWidth, gridHeight) * cellSize * 0.75; // Cover slightly more than half the max dimension
             return {
                 near: 0.5,
-                far: Math.max(gridWidth, gridHeight) * CELL_SIZE * 2 + 50, // Ensure far plane is distant enough
+                far: Math.max(gridWidth, gridHeight) * cellSize * 2 + 50, // Ensure far plane is distant enough
                 left: -size,
                 right: size,
                 top: size,
                 bottom: -size,
             };
-        }, [gridWidth, gridHeight]); // Update if grid size changes
+        }, [gridWidth, gridHeight, cellSize]); // Update if grid size changes
 
 
         // --- Calculate Light Position based on Azimuth/Elevation ---
         const lightPosition = useMemo(() => {
-            const distance = Math.max(gridWidth, gridHeight) * 1.5; // Distance from center
+            const distance = Math.max(gridWidth, gridHeight) * cellSize * 1.5; // Distance from center
             const azimuthRad = THREE.MathUtils.degToRad(sunAzimuth);
             const elevationRad = THREE.MathUtils.degToRad(sunElevation);
 
@@ -679,7 +1096,7 @@ export const SceneWithLogic = forwardRef(
             // Offset slightly by average terrain height? Optional.
             // const offsetY = avgHeight / 2;
             return new THREE.Vector3(x, y + 10, z); // Add base height offset
-        }, [sunAzimuth, sunElevation, gridWidth, gridHeight /*, avgHeight */]);
+        }, [sunAzimuth, sunElevation, gridWidth, gridHeight, cellSize /*, avgHeight */]);
 
         return (
             <>
@@ -700,9 +1117,30 @@ export const SceneWithLogic = forwardRef(
                     target-position={[0, 0, 0]} // Ensure light targets origin
                 />
                 {/* <directionalLight position={[gridWidth * 0.5, 15 + avgHeight, gridHeight * 0.5]} intensity={1.0} castShadow shadow-mapSize-width={1024} shadow-mapSize-height={1024} /> */}
-                <group>{gridCells}</group>
-                <group>{renderedObjects}</group>
+                <group ref={terrainGroupRef} name="Terrain">
+                    <TerrainMesh
+                        heightData={heightData}
+                        colorData={displayColorData}
+                        materialData={showMaterialTextures ? materialData : null}
+                        cellSize={cellSize}
+                        onPointerDown={onGridPointerDown} />
+                    <WaterSurfaces
+                        waterBodies={waterBodies}
+                        gridWidth={gridWidth}
+                        gridHeight={gridHeight}
+                        cellSize={cellSize} />
+                </group>
+                <group ref={objectsGroupRef} name="Objects">{renderedObjects}</group>
+                {selectionOutline}
+                <group name="design-checks">{designCheckHighlights}</group>
+                <group>{nameTags}</group>
                 <group>{coordinateLabels}</group>
+                {contours && (
+                    <ContourLines contours={contours} interval={contourSettings.interval} cellSize={cellSize} />
+                )}
+                {waterFlow && (
+                    <WaterFlowArrows flow={waterFlow} heightData={heightData} cellSize={cellSize} />
+                )}
                 <mesh
                     rotation={[-Math.PI / 2, 0, 0]}
                     position={[0, -0.05, 0]}
@@ -0,0 +1,39 @@
+// src/SelectionOutline.jsx
+import React, { useMemo, useEffect } from "react";
+import * as THREE from "three";
+
+const SELECTION_COLOR = "#FF00FF";
+const PADDING = 0.03; // Meters around the object so the outline doesn't z-fight with it
+
+// Translucent box or cylinder with highlighted edges around an object's bounds (see objectBounds.js)
+export const SelectionOutline = ({ bounds, position, rotationY = 0, color = SELECTION_COLOR, name = "selection-outline" }) => {
+    const height = bounds.height + PADDING;
+    const geometry = useMemo(() => {
+        if (bounds.shape === "circle") {
+            const radius = bounds.radius + PADDING;
+            return new THREE.CylinderGeometry(radius, radius, height, 32);
+        }
+        return new THREE.BoxGeometry(bounds.length + PADDING * 2, height, bounds.width + PADDING * 2);
+    }, [bounds.shape, bounds.radius, bounds.length, bounds.width, height]);
+    // Only edges sharper than the cylinder's facets, i.e. its top and bottom rims
+    const edges = useMemo(() => new THREE.EdgesGeometry(geometry, 20), [geometry]);
+    useEffect(() => () => {
+        geometry.dispose();
+        edges.dispose();
+    }, [geometry, edges]);
+
+    return (
+        <group
+            name={name}
+            position={position}
+            rotation={[0, THREE.MathUtils.degToRad(rotationY), 0]}
+        >
+            <mesh geometry={geometry} position={[0, height / 2, 0]} raycast={() => null}>
+                <meshBasicMaterial color={color} transparent opacity={0.15} depthWrite={false} />
+            </mesh>
+            <lineSegments geometry={edges} position={[0, height / 2, 0]} raycast={() => null}>
+                <lineBasicMaterial color={color} />
+            </lineSegments>
+        </group>
+    );
+};
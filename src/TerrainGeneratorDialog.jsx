@@ -0,0 +1,214 @@
+// src/TerrainGeneratorDialog.jsx
+import React, { useState, useMemo } from "react";
+import {
+    GENERATOR_PRESETS, DEFAULT_GENERATOR_SETTINGS, createRandomSeed, generateTerrain,
+} from "./terrainGenerator";
+import { createThumbnail } from "./projectStore";
+
+const inputStyle = {
+    width: "70px",
+    background: "#222",
+    color: "#eee",
+    border: "1px solid #555",
+    borderRadius: "4px",
+    padding: "3px 5px",
+};
+
+const rowStyle = { display: "flex", alignItems: "center", justifyContent: "space-between", gap: "8px" };
+
+// --- Terrain Generator Dialog (seeded noise terrain for the current or a resized grid) ---
+export function TerrainGeneratorDialog({ initialSettings, currentGridSize, minGridDim, maxGridDim, onGenerate, onClose }) {
+    const [settings, setSettings] = useState(() => ({
+        ...DEFAULT_GENERATOR_SETTINGS,
+        seed: createRandomSeed(),
+        ...initialSettings,
+    }));
+    const [gridWidth, setGridWidth] = useState(currentGridSize.w);
+    const [gridHeight, setGridHeight] = useState(currentGridSize.h);
+
+    const update = (name, value) => setSettings((prev) => ({ ...prev, [name]: value }));
+    const updateNumber = (name) => (e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value)) update(name, value);
+    };
+
+    const width = Math.min(maxGridDim, Math.max(minGridDim, parseInt(gridWidth, 10) || minGridDim));
+    const height = Math.min(maxGridDim, Math.max(minGridDim, parseInt(gridHeight, 10) || minGridDim));
+    const valid = settings.maxHeight > settings.minHeight && String(settings.seed).trim() !== "";
+
+    const preview = useMemo(() => {
+        if (!valid) return null;
+        return createThumbnail({ ...generateTerrain(settings, width, height), objects: [] });
+    }, [settings, width, height, valid]);
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(0, 0, 0, 0.6)',
+            backdropFilter: 'blur(5px)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000,
+            fontFamily: 'Inter, sans-serif'
+        }}>
+            <div style={{
+                background: 'linear-gradient(135deg, rgba(30, 30, 30, 0.9), rgba(20, 20, 20, 0.9))',
+                border: '1px solid rgba(255, 255, 255, 0.1)',
+                borderRadius: '12px',
+                padding: '24px',
+                width: '460px',
+                maxWidth: '90%',
+                boxShadow: '0 8px 32px 0 rgba(0, 0, 0, 0.37)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '14px',
+                color: '#f5f5f5',
+                fontSize: '13px',
+            }}>
+                <strong style={{ fontSize: '16px', letterSpacing: '0.5px' }}>Generate Terrain</strong>
+
+                <div style={{ display: 'flex', gap: '16px' }}>
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', flexGrow: 1 }}>
+                        <div style={rowStyle}>
+                            <label>Seed</label>
+                            <span>
+                                <input
+                                    type="text"
+                                    value={settings.seed}
+                                    onChange={(e) => update("seed", e.target.value)}
+                                    style={{ ...inputStyle, width: '80px' }}
+                                />
+                                <button
+                                    onClick={() => update("seed", createRandomSeed())}
+                                    title="New random seed"
+                                    style={{ ...inputStyle, width: 'auto', marginLeft: '4px', cursor: 'pointer' }}
+                                >
+                                    🎲
+                                </button>
+                            </span>
+                        </div>
+                        <div style={rowStyle}>
+                            <label>Preset</label>
+                            <select
+                                value={settings.preset}
+                                onChange={(e) => update("preset", e.target.value)}
+                                style={{ ...inputStyle, width: '120px' }}
+                            >
+                                {GENERATOR_PRESETS.map((p) => (
+                                    <option key={p.value} value={p.value}>{p.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div style={rowStyle}>
+                            <label title="Cells per largest feature">Scale</label>
+                            <input type="number" min="1" max="100" step="1" value={settings.scale}
+                                onChange={updateNumber("scale")} style={inputStyle} />
+                        </div>
+                        <div style={rowStyle}>
+                            <label>Octaves</label>
+                            <input type="number" min="1" max="8" step="1" value={settings.octaves}
+                                onChange={updateNumber("octaves")} style={inputStyle} />
+                        </div>
+                        <div style={rowStyle}>
+                            <label title="How much each finer octave contributes">Persistence</label>
+                            <input type="number" min="0.05" max="1" step="0.05" value={settings.persistence}
+                                onChange={updateNumber("persistence")} style={inputStyle} />
+                        </div>
+                        <div style={rowStyle}>
+                            <label>Height range (m)</label>
+                            <span>
+                                <input type="number" step="0.1" value={settings.minHeight}
+                                    onChange={updateNumber("minHeight")} style={{ ...inputStyle, width: '45px' }} />
+                                {" – "}
+                                <input type="number" step="0.1" value={settings.maxHeight}
+                                    onChange={updateNumber("maxHeight")} style={{ ...inputStyle, width: '45px' }} />
+                            </span>
+                        </div>
+                        <div style={rowStyle}>
+                            <label title="0 = smooth">Terrace steps</label>
+                            <input type="number" min="0" max="20" step="1" value={settings.terraceSteps}
+                                onChange={updateNumber("terraceSteps")} style={inputStyle} />
+                        </div>
+                        <div style={rowStyle}>
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={settings.waterLevel !== null}
+                                    onChange={(e) => update("waterLevel", e.target.checked
+                                        ? settings.minHeight + (settings.maxHeight - settings.minHeight) * 0.25
+                                        : null)}
+                                />
+                                Water level (m)
+                            </label>
+                            <input type="number" step="0.1" value={settings.waterLevel ?? ""}
+                                disabled={settings.waterLevel === null}
+                                onChange={updateNumber("waterLevel")} style={inputStyle} />
+                        </div>
+                        <div style={rowStyle}>
+                            <label>Grid</label>
+                            <span>
+                                <input type="number" min={minGridDim} max={maxGridDim} value={gridWidth}
+                                    onChange={(e) => setGridWidth(e.target.value)} style={{ ...inputStyle, width: '45px' }} />
+                                {" x "}
+                                <input type="number" min={minGridDim} max={maxGridDim} value={gridHeight}
+                                    onChange={(e) => setGridHeight(e.target.value)} style={{ ...inputStyle, width: '45px' }} />
+                            </span>
+                        </div>
+                    </div>
+                    <div style={{
+                        width: '128px',
+                        height: '128px',
+                        flexShrink: 0,
+                        background: '#111',
+                        borderRadius: '4px',
+                        overflow: 'hidden',
+                    }}>
+                        {preview && <img src={preview} alt="Preview" width={128} height={128} style={{ display: 'block', imageRendering: 'pixelated' }} />}
+                    </div>
+                </div>
+                {!valid && <div style={{ color: '#ff6666' }}>Enter a seed and a max height above the min height.</div>}
+                <div style={{ color: '#aaa', fontSize: '11px' }}>
+                    Replaces the current terrain heights and ground colors. The seed is saved with the project.
+                </div>
+
+                <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+                    <button
+                        onClick={() => valid && onGenerate(settings, width, height)}
+                        disabled={!valid}
+                        style={{
+                            background: 'linear-gradient(135deg, #4CAF50, #45a049)',
+                            color: 'white',
+                            border: 'none',
+                            padding: '8px 16px',
+                            borderRadius: '6px',
+                            cursor: valid ? 'pointer' : 'not-allowed',
+                            opacity: valid ? 1 : 0.5,
+                            fontWeight: 'bold',
+                        }}
+                    >
+                        Generate
+                    </button>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            background: '#333',
+                            color: '#ccc',
+                            border: 'none',
+                            padding: '8px 16px',
+                            borderRadius: '6px',
+                            cursor: 'pointer',
+                            fontWeight: 'bold',
+                        }}
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,356 @@
+// src/TerrainMesh.jsx
+// Terrain rendered as a continuous heightfield, split into a few chunked BufferGeometries.
+// Vertices sit on the cell centers plus a ring on the grid border (at the edge cells' heights),
+// and each quad between them is two triangles split along the same diagonal that
+// terrainSampling.js interpolates across, so objects sampled there sit exactly on the surface.
+// Cell colors and ground materials are looked up per cell in the fragment shader from small
+// data textures, so painting stays crisp per cell on the smooth surface.
+import React, { useMemo, useRef, useEffect, useLayoutEffect, useCallback } from "react";
+import { useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { CELL_SIZE } from "./PlanEditor";
+import { createGroundTextureAtlas } from "./groundMaterials";
+
+const CHUNK_SIZE = 16; // Quads per chunk side
+
+const tempColor = new THREE.Color();
+
+// World coordinate of vertex column i (0 and cells + 1 are on the grid border, the rest on cell centers)
+const vertexCoord = (i, cells, cellSize) =>
+    (Math.min(cells, Math.max(0, i - 0.5)) - cells / 2) * cellSize;
+
+const vertexHeight = (heightData, i, j, gridWidth, gridHeight) =>
+    heightData[Math.min(gridHeight - 1, Math.max(0, j - 1))]?.[Math.min(gridWidth - 1, Math.max(0, i - 1))] ?? 0;
+
+function createChunkGeometry(width, height) {
+    const vertexCount = (width + 1) * (height + 1);
+    const indices = [];
+    for (let qz = 0; qz < height; qz++) {
+        for (let qx = 0; qx < width; qx++) {
+            const v00 = qz * (width + 1) + qx;
+            const v10 = v00 + 1;
+            const v01 = v00 + width + 1;
+            const v11 = v01 + 1;
+            indices.push(v00, v01, v10, v10, v01, v11); // Diagonal from v10 to v01, see terrainSampling.js
+        }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    geometry.setAttribute("normal", new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    geometry.setAttribute("uv", new THREE.BufferAttribute(new Float32Array(vertexCount * 2), 2));
+    geometry.setIndex(indices);
+    return geometry;
+}
+
+// Writes position, normal and uv (0-1 over the whole grid) of vertex (i, j) at `offset`
+function writeVertex(geometry, offset, i, j, heightData, gridWidth, gridHeight, cellSize) {
+    const x = vertexCoord(i, gridWidth, cellSize);
+    const z = vertexCoord(j, gridHeight, cellSize);
+    const h = vertexHeight(heightData, i, j, gridWidth, gridHeight);
+    // Normal from the neighbouring vertices, so chunks agree along their seams
+    const il = Math.max(0, i - 1);
+    const ir = Math.min(gridWidth + 1, i + 1);
+    const jl = Math.max(0, j - 1);
+    const jr = Math.min(gridHeight + 1, j + 1);
+    const dx = vertexCoord(ir, gridWidth, cellSize) - vertexCoord(il, gridWidth, cellSize);
+    const dz = vertexCoord(jr, gridHeight, cellSize) - vertexCoord(jl, gridHeight, cellSize);
+    const dhdx = dx > 0 ? (vertexHeight(heightData, ir, j, gridWidth, gridHeight) - vertexHeight(heightData, il, j, gridWidth, gridHeight)) / dx : 0;
+    const dhdz = dz > 0 ? (vertexHeight(heightData, i, jr, gridWidth, gridHeight) - vertexHeight(heightData, i, jl, gridWidth, gridHeight)) / dz : 0;
+    const length = Math.sqrt(dhdx * dhdx + 1 + dhdz * dhdz);
+    geometry.attributes.position.array.set([x, h, z], offset * 3);
+    geometry.attributes.normal.array.set([-dhdx / length, 1 / length, -dhdz / length], offset * 3);
+    geometry.attributes.uv.array.set([x / (gridWidth * cellSize) + 0.5, z / (gridHeight * cellSize) + 0.5], offset * 2);
+}
+
+// A chunk needs rewriting when a height under its vertices or their neighbours changed
+function chunkChanged(prevHeightData, heightData, qx0, qz0, width, height) {
+    if (!prevHeightData) return true;
+    if (prevHeightData === heightData) return false;
+    for (let z = qz0 - 2; z <= qz0 + height; z++) {
+        const prevRow = prevHeightData[z];
+        const row = heightData[z];
+        if (prevRow === row) continue;
+        for (let x = qx0 - 2; x <= qx0 + width; x++) {
+            if (prevRow?.[x] !== row?.[x]) return true;
+        }
+    }
+    return false;
+}
+
+const TerrainChunk = ({ qx0, qz0, width, height, heightData, gridWidth, gridHeight, cellSize, material, onPointerDown }) => {
+    const geometry = useMemo(() => createChunkGeometry(width, height), [width, height]);
+    const prevHeightRef = useRef(null); // Heights the buffers were last written from
+
+    useLayoutEffect(() => {
+        if (!chunkChanged(prevHeightRef.current, heightData, qx0, qz0, width, height)) return;
+        prevHeightRef.current = heightData;
+        for (let vz = 0; vz <= height; vz++) {
+            for (let vx = 0; vx <= width; vx++) {
+                writeVertex(geometry, vz * (width + 1) + vx, qx0 + vx, qz0 + vz, heightData, gridWidth, gridHeight, cellSize);
+            }
+        }
+        ["position", "normal", "uv"].forEach((name) => {
+            geometry.attributes[name].needsUpdate = true;
+        });
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere(); // Needed for raycasting after height changes
+    }, [geometry, heightData, qx0, qz0, width, height, gridWidth, gridHeight, cellSize]);
+
+    useEffect(() => () => geometry.dispose(), [geometry]);
+
+    return (
+        <mesh
+            geometry={geometry}
+            material={material}
+            onPointerDown={onPointerDown}
+            castShadow
+            receiveShadow
+            name={`terrain-chunk-${qx0}-${qz0}`}
+        />
+    );
+};
+
+// Border vertex indices [i, j] walked around the grid, with each side's outward normal
+const getSkirtSides = (gridWidth, gridHeight) => [
+    { normal: [0, 0, -1], points: Array.from({ length: gridWidth + 2 }, (_, i) => [gridWidth + 1 - i, 0]) },
+    { normal: [-1, 0, 0], points: Array.from({ length: gridHeight + 2 }, (_, j) => [0, j]) },
+    { normal: [0, 0, 1], points: Array.from({ length: gridWidth + 2 }, (_, i) => [i, gridHeight + 1]) },
+    { normal: [1, 0, 0], points: Array.from({ length: gridHeight + 2 }, (_, j) => [gridWidth + 1, gridHeight + 1 - j]) },
+];
+
+// The skirt only follows the border cells: the first and last row and column
+function borderChanged(prevHeightData, heightData, gridWidth, gridHeight) {
+    if (!prevHeightData) return true;
+    if (prevHeightData === heightData) return false;
+    return heightData.some((row, z) => {
+        const prevRow = prevHeightData[z];
+        if (prevRow === row) return false;
+        if (z === 0 || z === gridHeight - 1) return row.some((h, x) => prevRow?.[x] !== h);
+        return prevRow?.[0] !== row[0] || prevRow?.[gridWidth - 1] !== row[gridWidth - 1];
+    });
+}
+
+// Walls around the grid border from the surface down to 0, so the terrain reads as a solid block
+const TerrainSkirt = ({ heightData, gridWidth, gridHeight, cellSize, material }) => {
+    const sides = useMemo(() => getSkirtSides(gridWidth, gridHeight), [gridWidth, gridHeight]);
+    const geometry = useMemo(() => {
+        const positions = [];
+        const uvs = [];
+        const normals = [];
+        const indices = [];
+        sides.forEach(({ normal, points }) => {
+            points.forEach(([i, j], k) => {
+                const x = vertexCoord(i, gridWidth, cellSize);
+                const z = vertexCoord(j, gridHeight, cellSize);
+                const u = x / (gridWidth * cellSize) + 0.5;
+                const v = z / (gridHeight * cellSize) + 0.5;
+                const base = positions.length / 3;
+                positions.push(x, 0, z, x, 0, z); // Heights are written below
+                normals.push(...normal, ...normal);
+                uvs.push(u, v, u, v);
+                if (k > 0) indices.push(base - 2, base - 1, base, base, base - 1, base + 1);
+            });
+        });
+        const skirt = new THREE.BufferGeometry();
+        skirt.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+        skirt.setAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
+        skirt.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+        skirt.setIndex(indices);
+        return skirt;
+    }, [sides, gridWidth, gridHeight, cellSize]);
+    const prevHeightRef = useRef(null);
+
+    useLayoutEffect(() => {
+        if (!borderChanged(prevHeightRef.current, heightData, gridWidth, gridHeight)) return;
+        prevHeightRef.current = heightData;
+        const positions = geometry.attributes.position.array;
+        let offset = 0;
+        sides.forEach(({ points }) => points.forEach(([i, j]) => {
+            const h = vertexHeight(heightData, i, j, gridWidth, gridHeight);
+            positions[offset * 3 + 1] = h;
+            positions[offset * 3 + 4] = Math.min(0, h);
+            offset += 2;
+        }));
+        geometry.attributes.position.needsUpdate = true;
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+    }, [geometry, sides, heightData, gridWidth, gridHeight]);
+    useEffect(() => () => geometry.dispose(), [geometry]);
+
+    return <mesh geometry={geometry} material={material} raycast={() => null} castShadow receiveShadow name="terrain-skirt" />;
+};
+
+// Per-cell lookup texture (one texel per cell, no filtering)
+function createCellTexture(gridWidth, gridHeight, colorSpace) {
+    const texture = new THREE.DataTexture(
+        new Uint8Array(Math.max(1, gridWidth * gridHeight) * 4),
+        Math.max(1, gridWidth),
+        Math.max(1, gridHeight),
+        THREE.RGBAFormat,
+        THREE.UnsignedByteType
+    );
+    texture.magFilter = THREE.NearestFilter;
+    texture.minFilter = THREE.NearestFilter;
+    texture.generateMipmaps = false;
+    texture.colorSpace = colorSpace;
+    return texture;
+}
+
+// Replaces the plain map lookup with: cell color * the cell's material tile from the atlas.
+// Gradients come from the continuous grid position so tiles don't get mip seams at cell edges.
+function injectCellShading(shader, uniforms, atlas) {
+    Object.assign(shader.uniforms, uniforms);
+    shader.fragmentShader = shader.fragmentShader
+        .replace(
+            "#include <map_pars_fragment>",
+            `#include <map_pars_fragment>
+            uniform sampler2D terrainCellColors;
+            uniform sampler2D terrainCellTiles;
+            uniform vec2 terrainGridSize;
+            uniform float terrainUseTiles;`
+        )
+        .replace(
+            "#include <map_fragment>",
+            `vec2 gridPos = vMapUv * terrainGridSize;
+            vec2 cellUv = (clamp(floor(gridPos), vec2(0.0), terrainGridSize - 1.0) + 0.5) / terrainGridSize;
+            diffuseColor.rgb *= texture2D(terrainCellColors, cellUv).rgb;
+            if (terrainUseTiles > 0.5) {
+                float tile = floor(texture2D(terrainCellTiles, cellUv).r * 255.0 + 0.5);
+                vec2 scale = vec2((1.0 - 2.0 * ${atlas.tileInset.toFixed(6)}) / ${atlas.tileCount.toFixed(1)}, 1.0 - 2.0 * ${atlas.tileInset.toFixed(6)});
+                vec2 atlasUv = vec2((tile + ${atlas.tileInset.toFixed(6)}) / ${atlas.tileCount.toFixed(1)}, ${atlas.tileInset.toFixed(6)}) + fract(gridPos) * scale;
+                diffuseColor *= textureGrad(map, atlasUv, dFdx(gridPos) * scale, dFdy(gridPos) * scale);
+            }`
+        );
+}
+
+// --- TerrainMesh: the whole grid, split into CHUNK_SIZE x CHUNK_SIZE chunks ---
+// materialData (ground material ids) selects the texture per cell; without it cells are untextured.
+export const TerrainMesh = ({ heightData, colorData, materialData = null, cellSize = CELL_SIZE, onPointerDown }) => {
+    const gridHeight = heightData.length;
+    const gridWidth = heightData[0]?.length ?? 0;
+
+    const atlas = useMemo(createGroundTextureAtlas, []);
+    const colorTexture = useMemo(() => createCellTexture(gridWidth, gridHeight, THREE.SRGBColorSpace), [gridWidth, gridHeight]);
+    const tileTexture = useMemo(() => createCellTexture(gridWidth, gridHeight, THREE.NoColorSpace), [gridWidth, gridHeight]);
+    const uniforms = useMemo(() => ({
+        terrainCellColors: { value: null },
+        terrainCellTiles: { value: null },
+        terrainGridSize: { value: new THREE.Vector2(1, 1) },
+        terrainUseTiles: { value: 0 },
+    }), []);
+    const material = useMemo(() => {
+        const terrainMaterial = new THREE.MeshStandardMaterial({ map: atlas.texture, roughness: 0.8, metalness: 0.1 });
+        terrainMaterial.onBeforeCompile = (shader) => injectCellShading(shader, uniforms, atlas);
+        return terrainMaterial;
+    }, [atlas, uniforms]);
+    // glTF has no per-cell lookups: exports get the cell colors as a plain texture (see sceneExport.js)
+    const exportMaterial = useMemo(
+        () => new THREE.MeshStandardMaterial({ name: "terrain", map: colorTexture, roughness: 0.8, metalness: 0.1 }),
+        [colorTexture]
+    );
+    useEffect(() => {
+        material.userData.exportMaterial = exportMaterial;
+    }, [material, exportMaterial]);
+    useEffect(() => () => {
+        material.dispose();
+        atlas.texture.dispose();
+    }, [material, atlas]);
+    useEffect(() => () => {
+        colorTexture.dispose();
+        tileTexture.dispose();
+        exportMaterial.dispose();
+    }, [colorTexture, tileTexture, exportMaterial]);
+
+    // Only rows that are new since the last write are compared, and only changed texels rewritten;
+    // the rows between the first and last change are then uploaded on their own
+    const gl = useThree((state) => state.gl);
+    const writtenRef = useRef(null); // { colorData, materialData, colorTexture } the textures hold
+    useLayoutEffect(() => {
+        const written = writtenRef.current?.colorTexture === colorTexture ? writtenRef.current : null;
+        writtenRef.current = { colorData, materialData, colorTexture };
+        const colors = colorTexture.image.data;
+        const tiles = tileTexture.image.data;
+        let firstRow = Infinity;
+        let lastRow = -1;
+        for (let z = 0; z < gridHeight; z++) {
+            const colorRow = colorData[z];
+            const materialRow = materialData?.[z];
+            if (written && written.colorData[z] === colorRow && written.materialData?.[z] === materialRow) continue;
+            for (let x = 0; x < gridWidth; x++) {
+                const offset = (z * gridWidth + x) * 4;
+                const hex = tempColor.set(colorRow?.[x] ?? "#ffffff").getHex();
+                const tile = materialRow ? atlas.getTileIndex(materialRow[x] ?? null) : 0;
+                if (written && colors[offset] === ((hex >> 16) & 255) && colors[offset + 1] === ((hex >> 8) & 255) &&
+                    colors[offset + 2] === (hex & 255) && tiles[offset] === tile) continue;
+                colors[offset] = (hex >> 16) & 255;
+                colors[offset + 1] = (hex >> 8) & 255;
+                colors[offset + 2] = hex & 255;
+                colors[offset + 3] = 255;
+                tiles[offset] = tile;
+                firstRow = Math.min(firstRow, z);
+                lastRow = z;
+            }
+        }
+        if (!written) {
+            colorTexture.needsUpdate = true;
+            tileTexture.needsUpdate = true;
+        } else if (lastRow >= 0) {
+            const position = new THREE.Vector2(0, firstRow);
+            [colorTexture, tileTexture].forEach((texture) => {
+                const rows = new THREE.DataTexture(
+                    texture.image.data.subarray(firstRow * gridWidth * 4, (lastRow + 1) * gridWidth * 4),
+                    gridWidth,
+                    lastRow - firstRow + 1
+                );
+                gl.copyTextureToTexture(position, rows, texture);
+                rows.dispose();
+            });
+        }
+        uniforms.terrainCellColors.value = colorTexture;
+        uniforms.terrainCellTiles.value = tileTexture;
+        uniforms.terrainGridSize.value.set(Math.max(1, gridWidth), Math.max(1, gridHeight));
+        uniforms.terrainUseTiles.value = materialData ? 1 : 0;
+    }, [colorData, materialData, colorTexture, tileTexture, uniforms, atlas, gl, gridWidth, gridHeight]);
+
+    // The cell under the hit point, as the old per-cell blocks reported it
+    const handlePointerDown = useCallback(
+        (event) => {
+            const gridX = Math.min(gridWidth - 1, Math.max(0, Math.floor(event.point.x / cellSize + gridWidth / 2)));
+            const gridZ = Math.min(gridHeight - 1, Math.max(0, Math.floor(event.point.z / cellSize + gridHeight / 2)));
+            onPointerDown(event, gridX, gridZ);
+        },
+        [gridWidth, gridHeight, cellSize, onPointerDown]
+    );
+
+    if (gridWidth === 0 || gridHeight === 0) return null;
+    // Quads run between gridWidth + 2 vertex columns (border, cell centers, border)
+    const chunks = [];
+    for (let qz0 = 0; qz0 <= gridHeight; qz0 += CHUNK_SIZE) {
+        for (let qx0 = 0; qx0 <= gridWidth; qx0 += CHUNK_SIZE) {
+            chunks.push(
+                <TerrainChunk
+                    // Grid and cell size are part of the key: vertex positions depend on them
+                    key={`${qx0}-${qz0}-${gridWidth}x${gridHeight}@${cellSize}`}
+                    qx0={qx0}
+                    qz0={qz0}
+                    width={Math.min(CHUNK_SIZE, gridWidth + 1 - qx0)}
+                    height={Math.min(CHUNK_SIZE, gridHeight + 1 - qz0)}
+                    heightData={heightData}
+                    gridWidth={gridWidth}
+                    gridHeight={gridHeight}
+                    cellSize={cellSize}
+                    material={material}
+                    onPointerDown={handlePointerDown}
+                />
+            );
+        }
+    }
+    return (
+        <>
+            {chunks}
+            <TerrainSkirt
+                key={`${gridWidth}x${gridHeight}@${cellSize}`} // Vertex positions depend on these, like the chunks
+                heightData={heightData} gridWidth={gridWidth} gridHeight={gridHeight} cellSize={cellSize} material={material} />
+        </>
+    );
+};
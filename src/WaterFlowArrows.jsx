@@ -0,0 +1,81 @@
+// src/WaterFlowArrows.jsx
+import React, { useMemo, useLayoutEffect, useEffect, useRef } from "react";
+import * as THREE from "three";
+import { getFlowVector } from "./waterFlow";
+
+const ARROW_LIFT = 0.03; // Above the cell top so arrows don't z-fight with the terrain
+
+// Flat arrow pointing along +X, lying in the XZ plane, 1 unit long
+function createArrowGeometry() {
+    const shape = new THREE.Shape();
+    shape.moveTo(0.5, 0);
+    shape.lineTo(0.05, 0.25);
+    shape.lineTo(0.05, 0.08);
+    shape.lineTo(-0.5, 0.08);
+    shape.lineTo(-0.5, -0.08);
+    shape.lineTo(0.05, -0.08);
+    shape.lineTo(0.05, -0.25);
+    shape.closePath();
+    return new THREE.ShapeGeometry(shape).rotateX(-Math.PI / 2);
+}
+
+// --- One arrow per draining cell, sized by flow accumulation (ponds get none) ---
+export const WaterFlowArrows = ({ flow, heightData, cellSize }) => {
+    const meshRef = useRef();
+    const geometry = useMemo(createArrowGeometry, []);
+    const material = useMemo(
+        () => new THREE.MeshBasicMaterial({ color: "#ffffff", transparent: true, opacity: 0.85, depthWrite: false }),
+        []
+    );
+    useEffect(() => () => {
+        geometry.dispose();
+        material.dispose();
+    }, [geometry, material]);
+    const cells = useMemo(() => {
+        const list = [];
+        for (let i = 0; i < flow.width * flow.height; i++) {
+            if (flow.direction[i] >= 0 && flow.depth[i] === 0) list.push(i);
+        }
+        return list;
+    }, [flow]);
+
+    useLayoutEffect(() => {
+        const mesh = meshRef.current;
+        if (!mesh) return;
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const up = new THREE.Vector3(0, 1, 0);
+        const maxLog = Math.log(Math.max(2, ...flow.accumulation));
+        cells.forEach((i, instance) => {
+            const x = i % flow.width;
+            const z = Math.floor(i / flow.width);
+            const [dx, dz] = getFlowVector(flow.direction[i]);
+            position.set(
+                (x - flow.width / 2 + 0.5) * cellSize,
+                (heightData[z]?.[x] ?? 0) + ARROW_LIFT,
+                (z - flow.height / 2 + 0.5) * cellSize
+            );
+            rotation.setFromAxisAngle(up, Math.atan2(-dz, dx));
+            // Arrows on main flow lines are drawn larger
+            const size = cellSize * (0.45 + 0.4 * (Math.log(flow.accumulation[i]) / maxLog));
+            scale.set(size, 1, size);
+            mesh.setMatrixAt(instance, matrix.compose(position, rotation, scale));
+        });
+        mesh.count = cells.length;
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.computeBoundingSphere();
+    }, [cells, flow, heightData, cellSize]);
+
+    return (
+        <instancedMesh
+            // Capacity is fixed at creation, so a larger grid needs a new mesh
+            key={flow.width * flow.height}
+            ref={meshRef}
+            args={[geometry, material, Math.max(1, flow.width * flow.height)]}
+            name="water-flow-arrows"
+            raycast={() => null} // Never intercept terrain clicks
+        />
+    );
+};
@@ -0,0 +1,115 @@
+// src/WaterSurface.jsx
+import React, { useMemo, useEffect } from "react";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+
+const TEXTURE_PX = 128;
+const TEXTURE_WORLD_SIZE = 2; // Meters covered by one texture repeat
+const FLOW_SPEED = 0.03; // Texture repeats per second
+
+// Soft bright ripple streaks on a transparent background, tiling seamlessly
+function createRippleTexture() {
+    const canvas = document.createElement("canvas");
+    canvas.width = TEXTURE_PX;
+    canvas.height = TEXTURE_PX;
+    const ctx = canvas.getContext("2d");
+    ctx.strokeStyle = "rgba(255,255,255,0.5)";
+    ctx.lineWidth = 2;
+    for (let row = 0; row < 8; row++) {
+        const y = (row + 0.5) * (TEXTURE_PX / 8);
+        const shift = (row % 2) * (TEXTURE_PX / 4);
+        ctx.beginPath();
+        for (let x = -TEXTURE_PX / 2; x <= TEXTURE_PX * 1.5; x += 4) {
+            const wave = y + Math.sin(((x + shift) / TEXTURE_PX) * Math.PI * 4) * 3;
+            if (x === -TEXTURE_PX / 2) ctx.moveTo(x, wave);
+            else ctx.lineTo(x, wave);
+        }
+        ctx.stroke();
+    }
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+// One flat quad per flooded cell at the water level, UVs in world units so ripples line up
+function createSurfaceGeometry(cells, level, gridWidth, gridHeight, cellSize) {
+    const positions = new Float32Array(cells.length * 12);
+    const uvs = new Float32Array(cells.length * 8);
+    const indices = new Uint32Array(cells.length * 6);
+    cells.forEach(([x, z], i) => {
+        const x0 = (x - gridWidth / 2) * cellSize;
+        const x1 = x0 + cellSize;
+        const z0 = (z - gridHeight / 2) * cellSize;
+        const z1 = z0 + cellSize;
+        positions.set([x0, level, z0, x0, level, z1, x1, level, z1, x1, level, z0], i * 12);
+        uvs.set([x0, z0, x0, z1, x1, z1, x1, z0].map((v) => v / TEXTURE_WORLD_SIZE), i * 8);
+        const base = i * 4;
+        indices.set([base, base + 1, base + 2, base, base + 2, base + 3], i * 6);
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("uv", new THREE.BufferAttribute(uvs, 2));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// --- Transparent, slowly rippling surfaces of all ponds ---
+export const WaterSurfaces = ({ waterBodies, gridWidth, gridHeight, cellSize }) => {
+    const texture = useMemo(createRippleTexture, []);
+    const material = useMemo(
+        () => new THREE.MeshStandardMaterial({
+            color: "#3f8fc4",
+            map: texture,
+            transparent: true,
+            opacity: 0.65,
+            roughness: 0.15,
+            metalness: 0.1,
+            depthWrite: false,
+        }),
+        [texture]
+    );
+    useEffect(() => () => {
+        material.dispose();
+        texture.dispose();
+    }, [material, texture]);
+
+    useFrame((state) => {
+        const t = state.clock.getElapsedTime() * FLOW_SPEED;
+        texture.offset.set(t, Math.sin(t * 5) * 0.05);
+    });
+
+    return (
+        <group name="water-surfaces">
+            {waterBodies.filter((body) => body.cells.length > 0).map((body) => (
+                <WaterSurface
+                    key={body.id}
+                    body={body}
+                    gridWidth={gridWidth}
+                    gridHeight={gridHeight}
+                    cellSize={cellSize}
+                    material={material}
+                />
+            ))}
+        </group>
+    );
+};
+
+const WaterSurface = ({ body, gridWidth, gridHeight, cellSize, material }) => {
+    const geometry = useMemo(
+        () => createSurfaceGeometry(body.cells, body.level, gridWidth, gridHeight, cellSize),
+        [body.cells, body.level, gridWidth, gridHeight, cellSize]
+    );
+    useEffect(() => () => geometry.dispose(), [geometry]);
+    return (
+        <mesh
+            geometry={geometry}
+            material={material}
+            name={`pond-${body.id}`}
+            receiveShadow
+            raycast={() => null} // Clicks go through to the terrain below
+        />
+    );
+};
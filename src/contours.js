@@ -0,0 +1,152 @@
+// src/contours.js
+// Elevation contour lines from heightData by marching squares over the cell centers.
+// Shared by the 3D overlay (ContourLines) and the SVG plan export.
+
+export const DEFAULT_CONTOUR_SETTINGS = {
+    interval: 0.1, // Meters between contour lines
+    majorEvery: 5, // Every n-th line is a labeled major contour
+};
+const MAX_CONTOUR_LEVELS = 200; // Guards against tiny intervals on tall terrain
+const LEVEL_EPSILON = 1e-6; // Cells exactly on a level count as below it, avoiding lines along flats
+
+// Square edges: 0 top (a-b), 1 right (b-c), 2 bottom (c-d), 3 left (d-a)
+// Segments per case, corner bits a=1 b=2 c=4 d=8 set where the corner is above the level.
+// Saddles (5, 10) are resolved by the square's center value below.
+const CASE_SEGMENTS = {
+    1: [[3, 0]], 2: [[0, 1]], 3: [[3, 1]], 4: [[1, 2]], 6: [[0, 2]], 7: [[3, 2]],
+    8: [[2, 3]], 9: [[0, 2]], 11: [[1, 2]], 12: [[1, 3]], 13: [[0, 1]], 14: [[3, 0]],
+};
+
+// Precision of printed contour levels
+export const formatContourLevel = (level, interval) =>
+    level.toFixed(Math.max(0, Math.min(3, Math.ceil(-Math.log10(interval)))));
+
+// Returns [{ level, major, closed, points: [[worldX, worldZ, y], ...] }].
+// y is the contour level: the terrain surface runs straight between cell centers, so it
+// passes through the level exactly where the line crosses, for drawing it on the 3D surface.
+export function computeContours(heightData, cellSize, { interval, majorEvery } = DEFAULT_CONTOUR_SETTINGS) {
+    const height = heightData.length;
+    const width = heightData[0]?.length ?? 0;
+    if (width < 2 || height < 2 || !(interval > 0)) return [];
+
+    let min = Infinity;
+    let max = -Infinity;
+    heightData.forEach((row) => row.forEach((h) => {
+        min = Math.min(min, h);
+        max = Math.max(max, h);
+    }));
+    const firstStep = Math.ceil(min / interval);
+    const lastStep = Math.min(Math.floor(max / interval), firstStep + MAX_CONTOUR_LEVELS - 1);
+
+    const toWorldX = (x) => (x - width / 2 + 0.5) * cellSize;
+    const toWorldZ = (z) => (z - height / 2 + 0.5) * cellSize;
+    const contours = [];
+
+    for (let step = firstStep; step <= lastStep; step++) {
+        const level = step * interval;
+        const threshold = level + LEVEL_EPSILON;
+        // Point where the level crosses a square edge, keyed by the grid edge it lies on
+        const crossing = (x, z, edge) => {
+            const [x1, z1, x2, z2] =
+                edge === 0 ? [x, z, x + 1, z]
+                    : edge === 1 ? [x + 1, z, x + 1, z + 1]
+                        : edge === 2 ? [x, z + 1, x + 1, z + 1]
+                            : [x, z, x, z + 1];
+            const h1 = heightData[z1][x1];
+            const h2 = heightData[z2][x2];
+            const t = Math.min(1, Math.max(0, (threshold - h1) / (h2 - h1)));
+            return {
+                key: z1 === z2 ? `h${x1},${z1}` : `v${x1},${z1}`,
+                point: [
+                    toWorldX(x1 + (x2 - x1) * t),
+                    toWorldZ(z1 + (z2 - z1) * t),
+                    threshold,
+                ],
+            };
+        };
+
+        // Collect segments, indexed by the edges they touch so they can be chained
+        const segments = [];
+        const byKey = new Map();
+        const addSegment = (start, end) => {
+            const segment = { start, end, used: false };
+            segments.push(segment);
+            [start.key, end.key].forEach((key) => {
+                if (!byKey.has(key)) byKey.set(key, []);
+                byKey.get(key).push(segment);
+            });
+        };
+        for (let z = 0; z < height - 1; z++) {
+            for (let x = 0; x < width - 1; x++) {
+                const a = heightData[z][x];
+                const b = heightData[z][x + 1];
+                const c = heightData[z + 1][x + 1];
+                const d = heightData[z + 1][x];
+                const index = (a > threshold ? 1 : 0) | (b > threshold ? 2 : 0) |
+                    (c > threshold ? 4 : 0) | (d > threshold ? 8 : 0);
+                let pairs = CASE_SEGMENTS[index];
+                if (index === 5 || index === 10) {
+                    const centerAbove = (a + b + c + d) / 4 > threshold;
+                    // Keep the higher corners connected through the center when it is above
+                    pairs = (index === 5) === centerAbove ? [[0, 1], [2, 3]] : [[3, 0], [1, 2]];
+                }
+                pairs?.forEach(([e1, e2]) => addSegment(crossing(x, z, e1), crossing(x, z, e2)));
+            }
+        }
+
+        // Chain segments into polylines through shared edges
+        const major = majorEvery > 0 && step % majorEvery === 0;
+        const nextSegment = (key) => byKey.get(key)?.find((s) => !s.used);
+        segments.forEach((first) => {
+            if (first.used) return;
+            first.used = true;
+            const points = [first.start.point, first.end.point];
+            const startKey = first.start.key;
+            let key = first.end.key;
+            // Forwards from the end, then backwards from the start
+            for (let s = nextSegment(key); s; s = nextSegment(key)) {
+                s.used = true;
+                const forward = s.start.key === key;
+                points.push(forward ? s.end.point : s.start.point);
+                key = forward ? s.end.key : s.start.key;
+            }
+            const closed = key === startKey;
+            if (!closed) {
+                key = startKey;
+                for (let s = nextSegment(key); s; s = nextSegment(key)) {
+                    s.used = true;
+                    const forward = s.start.key === key;
+                    points.unshift(forward ? s.end.point : s.start.point);
+                    key = forward ? s.end.key : s.start.key;
+                }
+            }
+            contours.push({ level, major, closed, points });
+        });
+    }
+    return contours;
+}
+
+// Position and angle (radians, in the XZ plane, kept readable left-to-right) for a label
+// halfway along a polyline, or null if the line is too short to label
+export function getContourLabelPlacement(points, minLength) {
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+        lengths.push(lengths[i - 1] +
+            Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+    }
+    const total = lengths[lengths.length - 1];
+    if (total < minLength) return null;
+    const half = total / 2;
+    let i = 1;
+    while (i < points.length - 1 && lengths[i] < half) i++;
+    const [x1, z1, y1] = points[i - 1];
+    const [x2, z2, y2] = points[i];
+    const t = (half - lengths[i - 1]) / (lengths[i] - lengths[i - 1] || 1);
+    let angle = Math.atan2(z2 - z1, x2 - x1);
+    if (angle > Math.PI / 2) angle -= Math.PI;
+    else if (angle < -Math.PI / 2) angle += Math.PI;
+    return {
+        position: [x1 + (x2 - x1) * t, z1 + (z2 - z1) * t, Math.max(y1, y2)],
+        angle,
+    };
+}
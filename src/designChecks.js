@@ -0,0 +1,67 @@
+// src/designChecks.js
+// Overlap and clearance warnings between objects, based on their footprints (see objectBounds.js).
+// Clearance rules are saved with the project as settings.clearanceRules = [{ typeA, typeB, distance }];
+// distance is the minimum gap in meters between the two footprints (canopy edge for trees).
+import { getObjectFootprint, getFootprintGap } from "./objectBounds";
+
+export const DEFAULT_CLEARANCE_RULES = [
+    { typeA: "tree", typeB: "house", distance: 3 },
+    { typeA: "deciduous_tree", typeB: "house", distance: 3 },
+    { typeA: "swing_set", typeB: "house", distance: 2 },
+    { typeA: "swing_set", typeB: "fence_panel", distance: 1.5 },
+];
+
+// Flat surfaces and low planting may sit under or between anything
+const OVERLAP_EXEMPT_TYPES = new Set([
+    "gravel_patch", "paver", "stepping_stone", "rect_stepping_stone",
+    "grass", "ground_fruit", "ground_flower", "small_flower",
+]);
+
+// Pairs that are meant to overlap: furniture under a pergola, plants in a bed or greenhouse,
+// fence panels meeting at corners and at their posts, paths joining each other
+const ALLOWED_OVERLAPS = [
+    ["pergola", "bench"], ["pergola", "pot"], ["pergola", "garden_light"],
+    ["greenhouse", "pot"], ["raised_bed", "shrub"], ["raised_bed", "small_fruit_bush"],
+    ["fence_panel", "fence_panel"], ["fence_panel", "fence_post"], ["garden_path", "garden_path"],
+];
+
+const isPair = (typeA, typeB, [a, b]) => (typeA === a && typeB === b) || (typeA === b && typeB === a);
+
+export const getClearanceRules = (settings) => settings?.clearanceRules ?? DEFAULT_CLEARANCE_RULES;
+
+// Largest clearance any rule requires between two types, 0 when none applies
+const getRequiredClearance = (rules, typeA, typeB) =>
+    rules.reduce((max, rule) =>
+        (isPair(typeA, typeB, [rule.typeA, rule.typeB]) ? Math.max(max, Number(rule.distance) || 0) : max), 0);
+
+// Problems between object pairs, overlaps first, each closest first:
+// [{ key, kind: 'overlap' | 'clearance', ids: [idA, idB], names: [nameA, nameB], gap, required }]
+// Plants are checked at full size (globalAge 1), since that is where they end up.
+export function computeDesignChecks(objects, rules = DEFAULT_CLEARANCE_RULES) {
+    const entries = (objects ?? [])
+        .filter(Boolean)
+        .map((obj) => ({ obj, footprint: getObjectFootprint(obj, 1) }));
+    const issues = [];
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            const a = entries[i].obj;
+            const b = entries[j].obj;
+            const required = getRequiredClearance(rules, a.type, b.type);
+            const overlapChecked = !OVERLAP_EXEMPT_TYPES.has(a.type) && !OVERLAP_EXEMPT_TYPES.has(b.type) &&
+                !ALLOWED_OVERLAPS.some((pair) => isPair(a.type, b.type, pair));
+            if (!overlapChecked && required <= 0) continue;
+            const gap = getFootprintGap(entries[i].footprint, entries[j].footprint);
+            const kind = overlapChecked && gap < 0 ? "overlap" : gap < required ? "clearance" : null;
+            if (!kind) continue;
+            issues.push({
+                key: `${kind}-${a.id}-${b.id}`,
+                kind,
+                ids: [a.id, b.id],
+                names: [a.name || a.type, b.name || b.type],
+                gap,
+                required,
+            });
+        }
+    }
+    return issues.sort((x, y) => (x.kind === y.kind ? x.gap - y.gap : x.kind === "overlap" ? -1 : 1));
+}
@@ -0,0 +1,62 @@
+// src/earthwork.js
+// Cut and fill volumes between a baseline snapshot of the terrain and the current heights.
+// The baseline is stored with the project (settings.earthworkBaseline).
+import * as THREE from "three";
+
+const CHANGE_TOLERANCE = 0.005; // Height differences below this (m) count as unchanged
+const OVERLAY_FULL_DEPTH = 0.5; // Cut/fill depth (m) shown at full overlay color
+const CUT_COLOR = new THREE.Color("#e53935");
+const FILL_COLOR = new THREE.Color("#1e88e5");
+const NEUTRAL_COLOR = new THREE.Color("#9e9e9e");
+
+export const createEarthworkBaseline = (heightData, cellSize) => ({
+    heightData: heightData.map((row) => [...row]),
+    cellSize,
+    createdAt: new Date().toISOString(),
+});
+
+// A baseline only compares against a grid of the same size and cell size
+export const isBaselineCompatible = (baseline, heightData, cellSize) =>
+    !!baseline &&
+    baseline.cellSize === cellSize &&
+    baseline.heightData.length === heightData.length &&
+    (baseline.heightData[0]?.length ?? 0) === (heightData[0]?.length ?? 0);
+
+// Returns null without a baseline. Volumes in m³, areas in m²; net > 0 means soil has to be brought in.
+export function computeEarthwork(baseline, heightData, cellSize) {
+    if (!baseline) return null;
+    if (!isBaselineCompatible(baseline, heightData, cellSize))
+        return { compatible: false, createdAt: baseline.createdAt };
+    const cellArea = cellSize * cellSize;
+    let cut = 0;
+    let fill = 0;
+    let cutArea = 0;
+    let fillArea = 0;
+    heightData.forEach((row, z) =>
+        row.forEach((h, x) => {
+            const delta = h - baseline.heightData[z][x];
+            if (delta > CHANGE_TOLERANCE) {
+                fill += delta * cellArea;
+                fillArea += cellArea;
+            } else if (delta < -CHANGE_TOLERANCE) {
+                cut -= delta * cellArea;
+                cutArea += cellArea;
+            }
+        })
+    );
+    return { compatible: true, createdAt: baseline.createdAt, cut, fill, net: fill - cut, cutArea, fillArea };
+}
+
+// Overlay colors: red where soil was removed, blue where it was added, gray elsewhere
+export function getCutFillColors(baseline, heightData) {
+    const color = new THREE.Color();
+    return heightData.map((row, z) =>
+        row.map((h, x) => {
+            const delta = h - baseline.heightData[z][x];
+            if (Math.abs(delta) <= CHANGE_TOLERANCE) return `#${NEUTRAL_COLOR.getHexString()}`;
+            const t = 0.35 + 0.65 * Math.min(1, Math.abs(delta) / OVERLAY_FULL_DEPTH);
+            color.copy(NEUTRAL_COLOR).lerp(delta > 0 ? FILL_COLOR : CUT_COLOR, t);
+            return `#${color.getHexString()}`;
+        })
+    );
+}
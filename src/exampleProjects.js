@@ -6,7 +6,7 @@ export const getOrchardExample = () => {
     const w = 20;
     const h = 20;
     const heightData = Array(h).fill(0).map(() => Array(w).fill(0));
-    const colorData = Array(h).fill(0).map(() => Array(w).fill("#557a2b")); // Green grass color
+    const materialData = Array(h).fill(0).map(() => Array(w).fill("lawn"));
     
     // Add some height variations in the center/sides
     for (let r = 0; r < h; r++) {
@@ -17,7 +17,7 @@ export const getOrchardExample = () => {
             
             // Paint path in the middle
             if (c === 10) {
-                colorData[r][c] = "#8B7355"; // Brown gravel path
+                materialData[r][c] = "gravel"; // Gravel path
             }
         }
     }
@@ -123,9 +123,9 @@ export const getOrchardExample = () => {
     });
     
     return {
-        version: 5,
+        version: 6,
         heightData,
-        colorData,
+        materialData,
         objects
     };
 };
@@ -135,14 +135,14 @@ export const getCourtyardExample = () => {
     const w = 16;
     const h = 16;
     const heightData = Array(h).fill(0).map(() => Array(w).fill(0));
-    const colorData = Array(h).fill(0).map(() => Array(w).fill("#4E6E35"));
+    const materialData = Array(h).fill(0).map(() => Array(w).fill("lawn"));
     
     // Make a flat courtyard with a stone border
     for (let r = 0; r < h; r++) {
         for (let c = 0; c < w; c++) {
             // center square is paved
             if (r >= 4 && r <= 11 && c >= 4 && c <= 11) {
-                colorData[r][c] = "#808080"; // Stone grey paver color
+                materialData[r][c] = "paving"; // Stone paving
             }
         }
     }
@@ -256,9 +256,9 @@ export const getCourtyardExample = () => {
     });
     
     return {
-        version: 5,
+        version: 6,
         heightData,
-        colorData,
+        materialData,
         objects
     };
 };
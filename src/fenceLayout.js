@@ -0,0 +1,72 @@
+// src/fenceLayout.js
+// Fence runs: a polyline of world [x, z] points split into fence_panel objects no wider than
+// the chosen panel width, with fence_post objects at every joint. On slopes panels either
+// step (stay level, raised so the uphill end clears the ground) or rack (sheared to follow it).
+
+export const FENCE_SLOPE_MODES = [
+    { value: "step", label: "Step (level panels)" },
+    { value: "rack", label: "Rack (follow slope)" },
+];
+
+const POST_EXTRA_HEIGHT = 0.1; // Posts stand this much above the panels next to them
+
+const round = (v) => Math.round(v * 1000) / 1000; // Millimeters are plenty for object props
+
+// groundAt(worldX, worldZ) -> terrain height. Returns
+// { panels: [{ worldX, worldZ, width, rotationY, rackHeight, baseOffset }], posts: [{ worldX, worldZ, height, rotationY }], length }
+// rotationY is in degrees; rackHeight is how much higher the panel's +X end is than its -X end.
+export function getFenceRunLayout(points, { panelWidth, panelHeight, slopeMode = "step", groundAt }) {
+    const panels = [];
+    const joints = []; // { worldX, worldZ, rotationY, tops: [] } with the heights of the panel tops meeting there
+    let length = 0;
+    const addJoint = (x, z, rotationY) => {
+        const last = joints[joints.length - 1];
+        if (last && Math.hypot(last.worldX - x, last.worldZ - z) < 1e-6) return last;
+        const joint = { worldX: x, worldZ: z, rotationY, tops: [] };
+        joints.push(joint);
+        return joint;
+    };
+    for (let i = 0; i + 1 < points.length; i++) {
+        const [x0, z0] = points[i];
+        const [x1, z1] = points[i + 1];
+        const segmentLength = Math.hypot(x1 - x0, z1 - z0);
+        if (segmentLength < 1e-6) continue;
+        length += segmentLength;
+        const count = Math.ceil(segmentLength / Math.max(0.1, panelWidth) - 1e-6);
+        const rotationY = round(((Math.atan2(-(z1 - z0), x1 - x0) * 180) / Math.PI + 360) % 360);
+        for (let j = 0; j < count; j++) {
+            const ax = x0 + ((x1 - x0) * j) / count;
+            const az = z0 + ((z1 - z0) * j) / count;
+            const bx = x0 + ((x1 - x0) * (j + 1)) / count;
+            const bz = z0 + ((z1 - z0) * (j + 1)) / count;
+            const worldX = (ax + bx) / 2;
+            const worldZ = (az + bz) / 2;
+            const groundA = groundAt(ax, az);
+            const groundB = groundAt(bx, bz);
+            const groundCenter = groundAt(worldX, worldZ);
+            // The panel sits on the ground at its center; both ends are measured from there
+            const rackHeight = slopeMode === "rack" ? groundB - groundA : 0;
+            const baseOffset = slopeMode === "rack"
+                ? (groundA + groundB) / 2 - groundCenter
+                : Math.max(groundA, groundB) - groundCenter;
+            const bottom = groundCenter + baseOffset;
+            panels.push({
+                worldX,
+                worldZ,
+                width: round(Math.hypot(bx - ax, bz - az)),
+                rotationY,
+                rackHeight: round(rackHeight),
+                baseOffset: round(baseOffset),
+            });
+            addJoint(ax, az, rotationY).tops.push(bottom - rackHeight / 2 + panelHeight);
+            addJoint(bx, bz, rotationY).tops.push(bottom + rackHeight / 2 + panelHeight);
+        }
+    }
+    const posts = joints.map(({ worldX, worldZ, rotationY, tops }) => ({
+        worldX,
+        worldZ,
+        rotationY,
+        height: round(Math.max(...tops) - groundAt(worldX, worldZ) + POST_EXTRA_HEIGHT),
+    }));
+    return { panels, posts, length };
+}
@@ -0,0 +1,151 @@
+// src/gridResize.js
+// Grid resizing around an anchor: the old terrain keeps its place relative to the
+// anchor (e.g. "top-left" grows to the right and down), new cells are filled
+// according to a fill mode and objects move along with the terrain.
+// Also resamples the terrain when the project's cell size changes.
+import { CELL_SIZE } from "./PlanEditor";
+import { getInitialMaterialData } from "./groundMaterials";
+import { generateTerrain } from "./terrainGenerator";
+import { sampleGroundHeight } from "./terrainSampling";
+
+// Anchor = where the old grid sits in the new one, as fractions along X and Z
+export const RESIZE_ANCHORS = {
+    "top-left": [0, 0], "top": [0.5, 0], "top-right": [1, 0],
+    "left": [0, 0.5], "center": [0.5, 0.5], "right": [1, 0.5],
+    "bottom-left": [0, 1], "bottom": [0.5, 1], "bottom-right": [1, 1],
+};
+
+export const RESIZE_FILL_MODES = [
+    { value: "edge", label: "Copy edge" },
+    { value: "flat", label: "Flat height" },
+    { value: "generator", label: "Generator" },
+];
+
+// Position of the old grid's first cell inside the new grid
+export function getAnchorOffset(oldWidth, oldHeight, newWidth, newHeight, anchor = "center") {
+    const [ax, az] = RESIZE_ANCHORS[anchor] ?? RESIZE_ANCHORS.center;
+    return {
+        offsetX: Math.round((newWidth - oldWidth) * ax),
+        offsetZ: Math.round((newHeight - oldHeight) * az),
+    };
+}
+
+// World-space shift that keeps objects on the same terrain after the resize
+export function getObjectShift(oldWidth, oldHeight, newWidth, newHeight, anchor = "center", cellSize = CELL_SIZE) {
+    const { offsetX, offsetZ } = getAnchorOffset(oldWidth, oldHeight, newWidth, newHeight, anchor);
+    return {
+        dx: (offsetX - (newWidth - oldWidth) / 2) * cellSize,
+        dz: (offsetZ - (newHeight - oldHeight) / 2) * cellSize,
+    };
+}
+
+export const isObjectInsideGrid = (obj, gridWidth, gridHeight, cellSize = CELL_SIZE) =>
+    obj.worldX >= (-gridWidth / 2) * cellSize &&
+    obj.worldX < (gridWidth / 2) * cellSize &&
+    obj.worldZ >= (-gridHeight / 2) * cellSize &&
+    obj.worldZ < (gridHeight / 2) * cellSize;
+
+// Objects moved with the anchor, split into the ones that still fit and the ones that don't
+export function shiftObjectsForResize(objects, oldWidth, oldHeight, newWidth, newHeight, anchor, cellSize = CELL_SIZE) {
+    const { dx, dz } = getObjectShift(oldWidth, oldHeight, newWidth, newHeight, anchor, cellSize);
+    const kept = [];
+    const removed = [];
+    objects.forEach((obj) => {
+        const moved = dx === 0 && dz === 0
+            ? obj
+            : { ...obj, worldX: obj.worldX + dx, worldZ: obj.worldZ + dz };
+        (isObjectInsideGrid(moved, newWidth, newHeight, cellSize) ? kept : removed).push(moved);
+    });
+    return { kept, removed };
+}
+
+// Resized height/material data.
+// options: { anchor, fillMode: 'edge' | 'flat' | 'generator', flatHeight, generatorSettings }
+export function resizeTerrainData(heightData, materialData, newWidth, newHeight, options = {}) {
+    const { anchor = "center", fillMode = "edge", flatHeight = 0.5, generatorSettings = {} } = options;
+    const oldHeight = heightData.length;
+    const oldWidth = heightData[0]?.length ?? 0;
+    const { offsetX, offsetZ } = getAnchorOffset(oldWidth, oldHeight, newWidth, newHeight, anchor);
+    const generated = fillMode === "generator"
+        ? generateTerrain(generatorSettings, newWidth, newHeight)
+        : null;
+
+    const newHData = [];
+    const newMData = [];
+    for (let z = 0; z < newHeight; z++) {
+        newHData[z] = [];
+        newMData[z] = [];
+        for (let x = 0; x < newWidth; x++) {
+            const oldX = x - offsetX;
+            const oldZ = z - offsetZ;
+            if (oldX >= 0 && oldX < oldWidth && oldZ >= 0 && oldZ < oldHeight) {
+                newHData[z][x] = heightData[oldZ][oldX];
+                newMData[z][x] = materialData[oldZ][oldX];
+            } else if (fillMode === "generator") {
+                newHData[z][x] = generated.heightData[z][x];
+                newMData[z][x] = generated.materialData[z][x];
+            } else if (fillMode === "flat" || oldWidth === 0 || oldHeight === 0) {
+                newHData[z][x] = flatHeight;
+                newMData[z][x] = getInitialMaterialData([[flatHeight]])[0][0];
+            } else {
+                // Continue the nearest edge cell outwards
+                const edgeX = Math.min(oldWidth - 1, Math.max(0, oldX));
+                const edgeZ = Math.min(oldHeight - 1, Math.max(0, oldZ));
+                newHData[z][x] = heightData[edgeZ][edgeX];
+                newMData[z][x] = materialData[edgeZ][edgeX];
+            }
+        }
+    }
+    return { heightData: newHData, materialData: newMData };
+}
+
+// Grid dimensions covering about the same area with a different cell size
+export function getGridSizeForCellSize(gridWidth, gridHeight, oldCellSize, newCellSize, minDim, maxDim) {
+    const fit = (cells) =>
+        Math.min(maxDim, Math.max(minDim, Math.round((cells * oldCellSize) / newCellSize)));
+    return { width: fit(gridWidth), height: fit(gridHeight) };
+}
+
+// Terrain resampled onto a grid with another cell size, centered on the same world origin.
+// Heights are averaged over the area of each new cell, materials come from the old cell
+// under the new cell's center.
+export function resampleTerrainData(heightData, materialData, oldCellSize, newCellSize, newWidth, newHeight) {
+    const oldHeight = heightData.length;
+    const oldWidth = heightData[0]?.length ?? 0;
+    // Keep samples inside the old grid so cells beyond it continue the edge
+    const maxX = (oldWidth / 2) * oldCellSize - 1e-6;
+    const maxZ = (oldHeight / 2) * oldCellSize - 1e-6;
+    const clampX = (worldX) => Math.min(maxX, Math.max(-maxX, worldX));
+    const clampZ = (worldZ) => Math.min(maxZ, Math.max(-maxZ, worldZ));
+    const samples = Math.max(1, Math.ceil(newCellSize / oldCellSize)); // Per axis when coarsening
+
+    const newHData = [];
+    const newMData = [];
+    for (let z = 0; z < newHeight; z++) {
+        newHData[z] = [];
+        newMData[z] = [];
+        for (let x = 0; x < newWidth; x++) {
+            const worldX0 = (x - newWidth / 2) * newCellSize;
+            const worldZ0 = (z - newHeight / 2) * newCellSize;
+            let sum = 0;
+            for (let sz = 0; sz < samples; sz++) {
+                for (let sx = 0; sx < samples; sx++) {
+                    sum += sampleGroundHeight(
+                        heightData,
+                        clampX(worldX0 + ((sx + 0.5) / samples) * newCellSize),
+                        clampZ(worldZ0 + ((sz + 0.5) / samples) * newCellSize),
+                        oldCellSize
+                    );
+                }
+            }
+            newHData[z][x] = sum / (samples * samples);
+
+            const centerX = clampX(worldX0 + newCellSize / 2);
+            const centerZ = clampZ(worldZ0 + newCellSize / 2);
+            const oldX = Math.min(oldWidth - 1, Math.max(0, Math.floor(centerX / oldCellSize + oldWidth / 2)));
+            const oldZ = Math.min(oldHeight - 1, Math.max(0, Math.floor(centerZ / oldCellSize + oldHeight / 2)));
+            newMData[z][x] = materialData[oldZ]?.[oldX] ?? getInitialMaterialData([[newHData[z][x]]])[0][0];
+        }
+    }
+    return { heightData: newHData, materialData: newMData };
+}
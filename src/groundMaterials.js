@@ -0,0 +1,212 @@
+// src/groundMaterials.js
+// Named ground materials painted onto terrain cells (materialData holds their ids).
+// Each material has a base color, a procedural texture pattern and planning metadata.
+import * as THREE from "three";
+import { createRandom } from "./utils";
+import { MIN_TERRAIN_HEIGHT, INITIAL_MAX_HEIGHT } from "./PlanEditor";
+
+// permeability: share of rainfall soaking in (0-1); costPerM2: supply and lay, per m²
+export const GROUND_MATERIALS = [
+    { id: "lawn", name: "Lawn", color: "#6b9a3a", pattern: "grass", permeability: 0.7, costPerM2: 8 },
+    { id: "soil", name: "Bare soil", color: "#6d4c33", pattern: "soil", permeability: 0.6, costPerM2: 2 },
+    { id: "mulch", name: "Mulch", color: "#5a3a22", pattern: "chips", permeability: 0.8, costPerM2: 6 },
+    { id: "gravel", name: "Gravel", color: "#a39e93", pattern: "pebbles", permeability: 0.9, costPerM2: 15 },
+    { id: "paving", name: "Paving", color: "#b0aba3", pattern: "slabs", permeability: 0.1, costPerM2: 60 },
+    { id: "water", name: "Water", color: "#3f8fc4", pattern: "ripples", permeability: 0, costPerM2: 120 },
+    { id: "sand", name: "Sand", color: "#e3cf9a", pattern: "grains", permeability: 0.95, costPerM2: 10 },
+];
+export const DEFAULT_GROUND_MATERIAL = "lawn";
+
+const MATERIALS_BY_ID = Object.fromEntries(GROUND_MATERIALS.map((m) => [m.id, m]));
+
+// Unknown ids fall back to the default material
+export const getGroundMaterial = (id) => MATERIALS_BY_ID[id] ?? MATERIALS_BY_ID[DEFAULT_GROUND_MATERIAL];
+
+// Closest material to a hex color, used to convert color-only projects. Compared in HSL
+// with hue weighted by saturation, so dark greens stay lawn and grays match stone.
+const tempColor = new THREE.Color();
+const toHSL = (hex) => tempColor.set(hex).getHSL({}, THREE.SRGBColorSpace);
+const colorDistance = (a, b) => {
+    const hueDiff = Math.min(Math.abs(a.h - b.h), 1 - Math.abs(a.h - b.h)) * 2; // 0-1
+    const saturation = Math.min(a.s, b.s);
+    return (hueDiff * saturation * 2) ** 2 + (a.s - b.s) ** 2 + (a.l - b.l) ** 2;
+};
+const MATERIAL_HSL = GROUND_MATERIALS.map((m) => ({ id: m.id, hsl: toHSL(m.color) }));
+export function findNearestGroundMaterial(hex) {
+    if (typeof hex !== "string") return DEFAULT_GROUND_MATERIAL;
+    const hsl = toHSL(hex);
+    let best = DEFAULT_GROUND_MATERIAL;
+    let bestDistance = Infinity;
+    MATERIAL_HSL.forEach((material) => {
+        const distance = colorDistance(material.hsl, hsl);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = material.id;
+        }
+    });
+    return best;
+}
+
+// Height bands for new terrain as [upper limit as a share of maxHeight, material], checked in order
+const HEIGHT_BANDS = [
+    [1 / 6, "gravel"],
+    [1, DEFAULT_GROUND_MATERIAL],
+    [Infinity, "soil"],
+];
+
+// Starting materials for new terrain banded by height: water in the lowest cells, gravel just above,
+// lawn up to maxHeight and soil from there on
+export const getInitialMaterialData = (heightData, maxHeight = INITIAL_MAX_HEIGHT) =>
+    heightData.map((row) => row.map((h) => {
+        if (h <= MIN_TERRAIN_HEIGHT) return "water";
+        const share = h / maxHeight;
+        return HEIGHT_BANDS.find(([limit]) => share < limit)[1];
+    }));
+
+// previous ({ materialData, colorData }) lets rows whose materials are unchanged keep their colors
+// row, so TerrainMesh can skip them
+export const getMaterialColorData = (materialData, previous = null) =>
+    materialData.map((row, z) => (previous?.materialData[z] === row
+        ? previous.colorData[z]
+        : row.map((id) => getGroundMaterial(id).color)));
+
+// Area, cost and average permeability per material, largest area first
+export function computeMaterialAreas(materialData, cellSize) {
+    const cellArea = cellSize * cellSize;
+    const counts = {};
+    materialData.forEach((row) => row.forEach((id) => {
+        const material = getGroundMaterial(id);
+        counts[material.id] = (counts[material.id] ?? 0) + 1;
+    }));
+    return Object.entries(counts)
+        .map(([id, cells]) => {
+            const material = getGroundMaterial(id);
+            return {
+                id,
+                name: material.name,
+                cells,
+                area: cells * cellArea,
+                cost: cells * cellArea * material.costPerM2,
+                permeability: material.permeability,
+            };
+        })
+        .sort((a, b) => b.area - a.area);
+}
+
+// --- Procedural Textures ---
+// All patterns are drawn as light gray detail on one atlas row and multiplied with the
+// cell color. Tile 0 stays plain white for untextured overlays.
+const TILE_PX = 64;
+const TILE_INSET = 2 / TILE_PX; // UV margin against bleeding between tiles
+
+const PATTERNS = {
+    grass: (ctx, random) => {
+        for (let i = 0; i < 260; i++) {
+            const x = random() * TILE_PX;
+            const y = random() * TILE_PX;
+            ctx.strokeStyle = `rgba(${random() < 0.5 ? "0,0,0" : "255,255,255"},${0.08 + random() * 0.12})`;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + (random() - 0.5) * 3, y - 3 - random() * 4);
+            ctx.stroke();
+        }
+    },
+    soil: (ctx, random) => {
+        for (let i = 0; i < 140; i++) {
+            ctx.fillStyle = `rgba(${random() < 0.6 ? "0,0,0" : "255,255,255"},${0.05 + random() * 0.12})`;
+            ctx.beginPath();
+            ctx.arc(random() * TILE_PX, random() * TILE_PX, 1 + random() * 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+    chips: (ctx, random) => {
+        for (let i = 0; i < 90; i++) {
+            ctx.save();
+            ctx.translate(random() * TILE_PX, random() * TILE_PX);
+            ctx.rotate(random() * Math.PI);
+            ctx.fillStyle = `rgba(${random() < 0.5 ? "0,0,0" : "255,255,255"},${0.1 + random() * 0.15})`;
+            ctx.fillRect(-4, -1, 6 + random() * 4, 2 + random() * 1.5);
+            ctx.restore();
+        }
+    },
+    pebbles: (ctx, random) => {
+        for (let i = 0; i < 120; i++) {
+            const shade = Math.floor(170 + random() * 85);
+            ctx.fillStyle = `rgb(${shade},${shade},${shade})`;
+            ctx.strokeStyle = "rgba(0,0,0,0.25)";
+            ctx.beginPath();
+            ctx.ellipse(random() * TILE_PX, random() * TILE_PX, 2 + random() * 2.5, 1.5 + random() * 2, random() * Math.PI, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+    },
+    slabs: (ctx, random) => {
+        const slab = TILE_PX / 2;
+        for (let row = 0; row < 2; row++) {
+            for (let col = 0; col < 2; col++) {
+                const shade = Math.floor(225 + random() * 30);
+                ctx.fillStyle = `rgb(${shade},${shade},${shade})`;
+                ctx.fillRect(col * slab + 1, row * slab + 1, slab - 2, slab - 2);
+            }
+        }
+        ctx.strokeStyle = "rgba(0,0,0,0.35)";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(1, 1, TILE_PX - 2, TILE_PX - 2);
+        ctx.beginPath();
+        ctx.moveTo(slab, 0);
+        ctx.lineTo(slab, TILE_PX);
+        ctx.moveTo(0, slab);
+        ctx.lineTo(TILE_PX, slab);
+        ctx.stroke();
+    },
+    ripples: (ctx, random) => {
+        ctx.strokeStyle = "rgba(255,255,255,0.35)";
+        ctx.lineWidth = 1.5;
+        for (let i = 0; i < 10; i++) {
+            const y = random() * TILE_PX;
+            const x = random() * TILE_PX * 0.6;
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.quadraticCurveTo(x + 8, y - 3, x + 16 + random() * 12, y);
+            ctx.stroke();
+        }
+    },
+    grains: (ctx, random) => {
+        for (let i = 0; i < 500; i++) {
+            ctx.fillStyle = `rgba(${random() < 0.5 ? "0,0,0" : "255,255,255"},${0.1 + random() * 0.15})`;
+            ctx.fillRect(random() * TILE_PX, random() * TILE_PX, 1, 1);
+        }
+    },
+};
+
+// Returns { texture, tileCount, tileInset, getTileIndex(id) } where tile i spans u from
+// i / tileCount to (i + 1) / tileCount, less tileInset on each side. Browser only (draws on a canvas).
+export function createGroundTextureAtlas() {
+    const canvas = document.createElement("canvas");
+    canvas.width = TILE_PX * (GROUND_MATERIALS.length + 1);
+    canvas.height = TILE_PX;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const tiles = { null: 0 };
+    GROUND_MATERIALS.forEach((material, i) => {
+        const tile = i + 1;
+        tiles[material.id] = tile;
+        ctx.save();
+        ctx.translate(tile * TILE_PX, 0);
+        ctx.beginPath();
+        ctx.rect(0, 0, TILE_PX, TILE_PX);
+        ctx.clip();
+        ctx.fillStyle = "#f2f2f2"; // Just below white so light specks still show
+        ctx.fillRect(0, 0, TILE_PX, TILE_PX);
+        PATTERNS[material.pattern]?.(ctx, createRandom(`ground-${material.id}`));
+        ctx.restore();
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = 4;
+    const getTileIndex = (id) => (id == null ? 0 : tiles[getGroundMaterial(id).id]);
+    return { texture, tileCount: GROUND_MATERIALS.length + 1, tileInset: TILE_INSET, getTileIndex };
+}
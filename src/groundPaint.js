@@ -0,0 +1,113 @@
+// src/groundPaint.js
+// Cell selections for the ground material paint tools (brush, bucket fill, rectangle, polygon).
+// Every function returns a list of [gridX, gridZ] cells inside the grid.
+import * as THREE from "three";
+import { getGroundMaterial } from "./groundMaterials";
+
+const inGrid = (x, z, width, height) => x >= 0 && x < width && z >= 0 && z < height;
+
+// Round brush around a cell; radius in cells, same footprint as the terrain brush
+export function getBrushCells(centerX, centerZ, radius, width, height) {
+    const cells = [];
+    const reach = Math.ceil(radius);
+    const limitSq = (radius + 0.5) * (radius + 0.5);
+    for (let z = centerZ - reach; z <= centerZ + reach; z++) {
+        for (let x = centerX - reach; x <= centerX + reach; x++) {
+            const distSq = (x - centerX) ** 2 + (z - centerZ) ** 2;
+            if (distSq <= limitSq && inGrid(x, z, width, height)) cells.push([x, z]);
+        }
+    }
+    return cells;
+}
+
+// Distance between two material colors, 0 (same) to 1 (black vs white)
+const colorA = new THREE.Color();
+const colorB = new THREE.Color();
+const getMaterialColorDistance = (idA, idB) => {
+    if (getGroundMaterial(idA).id === getGroundMaterial(idB).id) return 0;
+    colorA.set(getGroundMaterial(idA).color);
+    colorB.set(getGroundMaterial(idB).color);
+    return Math.hypot(colorA.r - colorB.r, colorA.g - colorB.g, colorA.b - colorB.b) / Math.sqrt(3);
+};
+
+// Connected cells (4-neighbours) similar to the start cell.
+// colorTolerance: 0-1 material color difference; heightTolerance: meters from the start height.
+export function getFloodFillCells(materialData, heightData, startX, startZ, { colorTolerance = 0, heightTolerance = Infinity } = {}) {
+    const height = heightData.length;
+    const width = heightData[0]?.length ?? 0;
+    if (!inGrid(startX, startZ, width, height)) return [];
+    const startMaterial = materialData[startZ]?.[startX];
+    const startHeight = heightData[startZ][startX];
+    const visited = new Uint8Array(width * height);
+    const cells = [];
+    const stack = [[startX, startZ]];
+    visited[startZ * width + startX] = 1;
+    while (stack.length > 0) {
+        const [x, z] = stack.pop();
+        cells.push([x, z]);
+        [[x - 1, z], [x + 1, z], [x, z - 1], [x, z + 1]].forEach(([nx, nz]) => {
+            if (!inGrid(nx, nz, width, height) || visited[nz * width + nx]) return;
+            visited[nz * width + nx] = 1;
+            if (Math.abs(heightData[nz][nx] - startHeight) > heightTolerance) return;
+            if (getMaterialColorDistance(materialData[nz]?.[nx], startMaterial) > colorTolerance) return;
+            stack.push([nx, nz]);
+        });
+    }
+    return cells;
+}
+
+// All cells between two corner cells (inclusive)
+export function getRectangleCells(x0, z0, x1, z1, width, height) {
+    const cells = [];
+    for (let z = Math.max(0, Math.min(z0, z1)); z <= Math.min(height - 1, Math.max(z0, z1)); z++) {
+        for (let x = Math.max(0, Math.min(x0, x1)); x <= Math.min(width - 1, Math.max(x0, x1)); x++) {
+            cells.push([x, z]);
+        }
+    }
+    return cells;
+}
+
+// Cells crossed by the straight line between two cell centers
+function getLineCells(x0, z0, x1, z1) {
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(z1 - z0));
+    const cells = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = steps === 0 ? 0 : i / steps;
+        cells.push([Math.round(x0 + (x1 - x0) * t), Math.round(z0 + (z1 - z0) * t)]);
+    }
+    return cells;
+}
+
+// Cells inside a closed polygon whose vertices are cell coordinates [[gridX, gridZ], ...].
+// A cell is inside when its center is; cells under the outline are always included.
+export function getPolygonCells(vertices, width, height) {
+    if (vertices.length < 3) return [];
+    const selected = new Uint8Array(width * height);
+    const minZ = Math.max(0, Math.min(...vertices.map((v) => v[1])));
+    const maxZ = Math.min(height - 1, Math.max(...vertices.map((v) => v[1])));
+    // Even-odd scanline over the cell centers of each row
+    for (let z = minZ; z <= maxZ; z++) {
+        const crossings = [];
+        vertices.forEach(([ax, az], i) => {
+            const [bx, bz] = vertices[(i + 1) % vertices.length];
+            if ((az <= z && bz > z) || (bz <= z && az > z))
+                crossings.push(ax + ((z - az) / (bz - az)) * (bx - ax));
+        });
+        crossings.sort((a, b) => a - b);
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            for (let x = Math.max(0, Math.ceil(crossings[i])); x <= Math.min(width - 1, Math.floor(crossings[i + 1])); x++)
+                selected[z * width + x] = 1;
+        }
+    }
+    vertices.forEach(([ax, az], i) => {
+        const [bx, bz] = vertices[(i + 1) % vertices.length];
+        getLineCells(ax, az, bx, bz).forEach(([x, z]) => {
+            if (inGrid(x, z, width, height)) selected[z * width + x] = 1;
+        });
+    });
+    const cells = [];
+    for (let i = 0; i < selected.length; i++) {
+        if (selected[i]) cells.push([i % width, Math.floor(i / width)]);
+    }
+    return cells;
+}
@@ -0,0 +1,103 @@
+// src/heightmapImport.js
+// Reads grayscale heightmap images (PNG/JPEG) and maps them onto the terrain grid.
+import { MIN_TERRAIN_HEIGHT } from "./PlanEditor";
+
+// Decodes an image file into normalized luminance values (0 = black, 1 = white).
+// Note: browsers decode through an 8-bit canvas, so 16-bit PNGs lose precision.
+export function readHeightmapImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            const width = img.naturalWidth;
+            const height = img.naturalHeight;
+            if (width === 0 || height === 0) {
+                reject(new Error("Image is empty"));
+                return;
+            }
+            const canvas = document.createElement("canvas");
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext("2d");
+            ctx.drawImage(img, 0, 0);
+            const pixels = ctx.getImageData(0, 0, width, height).data;
+            const values = new Float32Array(width * height);
+            for (let i = 0; i < values.length; i++) {
+                const r = pixels[i * 4];
+                const g = pixels[i * 4 + 1];
+                const b = pixels[i * 4 + 2];
+                values[i] = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+            }
+            resolve({ width, height, values, previewUrl: canvas.toDataURL("image/png") });
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Could not read "${file.name}" as an image`));
+        };
+        img.src = url;
+    });
+}
+
+// Grid size matching the image aspect ratio, limited to [minDim, maxDim]
+export function getGridSizeForImage(image, minDim, maxDim) {
+    const factor = Math.min(1, maxDim / Math.max(image.width, image.height));
+    return {
+        width: Math.max(minDim, Math.round(image.width * factor)),
+        height: Math.max(minDim, Math.round(image.height * factor)),
+    };
+}
+
+const samplePixel = (image, px, pz) =>
+    image.values[
+        Math.min(image.height - 1, Math.max(0, pz)) * image.width +
+        Math.min(image.width - 1, Math.max(0, px))
+    ];
+
+// Bilinear lookup at fractional pixel coordinates
+function sampleBilinear(image, fx, fz) {
+    const x0 = Math.floor(fx);
+    const z0 = Math.floor(fz);
+    const tx = fx - x0;
+    const tz = fz - z0;
+    const top = samplePixel(image, x0, z0) * (1 - tx) + samplePixel(image, x0 + 1, z0) * tx;
+    const bottom = samplePixel(image, x0, z0 + 1) * (1 - tx) + samplePixel(image, x0 + 1, z0 + 1) * tx;
+    return top * (1 - tz) + bottom * tz;
+}
+
+// Resamples the image onto a gridWidth x gridHeight grid and maps luminance to
+// [minHeight, maxHeight]. Cells covering several pixels average them (so large
+// rasters don't alias), smaller cells interpolate bilinearly.
+export function heightmapToHeightData(image, { gridWidth, gridHeight, minHeight, maxHeight }) {
+    const pixelsPerCellX = image.width / gridWidth;
+    const pixelsPerCellZ = image.height / gridHeight;
+    const heightData = [];
+    for (let z = 0; z < gridHeight; z++) {
+        heightData[z] = [];
+        for (let x = 0; x < gridWidth; x++) {
+            let value;
+            if (pixelsPerCellX >= 2 && pixelsPerCellZ >= 2) {
+                const startX = Math.floor(x * pixelsPerCellX);
+                const endX = Math.floor((x + 1) * pixelsPerCellX);
+                const startZ = Math.floor(z * pixelsPerCellZ);
+                const endZ = Math.floor((z + 1) * pixelsPerCellZ);
+                let sum = 0;
+                for (let pz = startZ; pz < endZ; pz++) {
+                    for (let px = startX; px < endX; px++) {
+                        sum += image.values[pz * image.width + px];
+                    }
+                }
+                value = sum / ((endX - startX) * (endZ - startZ));
+            } else {
+                value = sampleBilinear(
+                    image,
+                    (x + 0.5) * pixelsPerCellX - 0.5,
+                    (z + 0.5) * pixelsPerCellZ - 0.5
+                );
+            }
+            const h = minHeight + value * (maxHeight - minHeight);
+            heightData[z][x] = Math.max(MIN_TERRAIN_HEIGHT, h);
+        }
+    }
+    return heightData;
+}
@@ -0,0 +1,202 @@
+// src/objectBounds.js
+// Object extents computed from their props. Every object component has a static
+// getBounds(props) returning { shape: 'circle', radius, height } or
+// { shape: 'rect', length, width, height } in its own frame: length along local X,
+// width along local Z, height above the ground. Plants pass globalAge to get their current size.
+// Objects laid along a polyline (paths, hedge rows) also have getFootprintPath(props) returning
+// { points: [[x, z], ...], width } in the same frame, so their footprint follows the line.
+import { ObjectComponents } from "./objects";
+
+const FALLBACK_BOUNDS = { shape: "circle", radius: 0.25, height: 0.5 };
+
+export function getObjectBounds(obj, globalAge = 1) {
+    const getBounds = ObjectComponents[obj?.type]?.getBounds;
+    return getBounds ? getBounds({ ...obj, globalAge }) : FALLBACK_BOUNDS;
+}
+
+// Footprint on the ground in world coordinates:
+// { shape: 'circle', x, z, radius }, { shape: 'rect', x, z, halfLength, halfWidth, angle } (radians)
+// or { shape: 'polyline', x, z, points: [[x, z], ...], halfWidth } (every point within halfWidth of the line)
+export function getObjectFootprint(obj, globalAge = 1) {
+    const x = obj.worldX ?? 0;
+    const z = obj.worldZ ?? 0;
+    const getFootprintPath = ObjectComponents[obj?.type]?.getFootprintPath;
+    if (getFootprintPath) {
+        const { points, width } = getFootprintPath({ ...obj, globalAge });
+        const frame = { x, z, angle: ((obj.rotationY ?? 0) * Math.PI) / 180 };
+        return {
+            shape: "polyline",
+            x,
+            z,
+            points: points.length > 0 ? points.map(([lx, lz]) => rectToWorld(frame, lx, lz)) : [[x, z]],
+            halfWidth: width / 2,
+        };
+    }
+    const bounds = getObjectBounds(obj, globalAge);
+    if (bounds.shape === "circle") return { shape: "circle", x, z, radius: bounds.radius };
+    return {
+        shape: "rect",
+        x,
+        z,
+        halfLength: bounds.length / 2,
+        halfWidth: bounds.width / 2,
+        angle: ((obj.rotationY ?? 0) * Math.PI) / 180,
+    };
+}
+
+// Local (x, z) of a rect footprint -> world (x, z); positive angles turn counter-clockwise seen from above
+const rectToWorld = (rect, lx, lz) => {
+    const cos = Math.cos(rect.angle);
+    const sin = Math.sin(rect.angle);
+    return [rect.x + lx * cos + lz * sin, rect.z - lx * sin + lz * cos];
+};
+
+const worldToRect = (rect, x, z) => {
+    const cos = Math.cos(rect.angle);
+    const sin = Math.sin(rect.angle);
+    const dx = x - rect.x;
+    const dz = z - rect.z;
+    return [dx * cos - dz * sin, dx * sin + dz * cos];
+};
+
+export const getFootprintCorners = (rect) => [
+    rectToWorld(rect, -rect.halfLength, -rect.halfWidth),
+    rectToWorld(rect, rect.halfLength, -rect.halfWidth),
+    rectToWorld(rect, rect.halfLength, rect.halfWidth),
+    rectToWorld(rect, -rect.halfLength, rect.halfWidth),
+];
+
+// World-space axis-aligned box { min: [x, y, z], max: [x, y, z] }; y is measured from the ground
+export function getObjectBoundingBox(obj, globalAge = 1) {
+    const { height } = getObjectBounds(obj, globalAge);
+    const footprint = getObjectFootprint(obj, globalAge);
+    let extentX = footprint.radius;
+    let extentZ = footprint.radius;
+    if (footprint.shape === "polyline") {
+        const xs = footprint.points.map(([px]) => px);
+        const zs = footprint.points.map(([, pz]) => pz);
+        return {
+            min: [Math.min(...xs) - footprint.halfWidth, 0, Math.min(...zs) - footprint.halfWidth],
+            max: [Math.max(...xs) + footprint.halfWidth, height, Math.max(...zs) + footprint.halfWidth],
+        };
+    }
+    if (footprint.shape === "rect") {
+        const cos = Math.abs(Math.cos(footprint.angle));
+        const sin = Math.abs(Math.sin(footprint.angle));
+        extentX = footprint.halfLength * cos + footprint.halfWidth * sin;
+        extentZ = footprint.halfLength * sin + footprint.halfWidth * cos;
+    }
+    return {
+        min: [footprint.x - extentX, 0, footprint.z - extentZ],
+        max: [footprint.x + extentX, height, footprint.z + extentZ],
+    };
+}
+
+// Signed distance from a point to a rect footprint (negative inside)
+function pointToRectDistance(rect, x, z) {
+    const [lx, lz] = worldToRect(rect, x, z);
+    const qx = Math.abs(lx) - rect.halfLength;
+    const qz = Math.abs(lz) - rect.halfWidth;
+    return Math.hypot(Math.max(qx, 0), Math.max(qz, 0)) + Math.min(Math.max(qx, qz), 0);
+}
+
+function pointToSegmentDistance([px, pz], [ax, az], [bx, bz]) {
+    const dx = bx - ax;
+    const dz = bz - az;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (pz - az) * dz) / lengthSq)) : 0;
+    return Math.hypot(px - (ax + t * dx), pz - (az + t * dz));
+}
+
+function rectToRectGap(a, b) {
+    const cornersA = getFootprintCorners(a);
+    const cornersB = getFootprintCorners(b);
+    // Separating axis test over both rects' edge directions; when every axis overlaps
+    // the smallest overlap is the penetration depth
+    const axes = [a.angle, b.angle].flatMap((angle) => [
+        [Math.cos(angle), -Math.sin(angle)],
+        [Math.sin(angle), Math.cos(angle)],
+    ]);
+    const overlaps = axes.map(([ax, az]) => {
+        const projA = cornersA.map(([x, z]) => x * ax + z * az);
+        const projB = cornersB.map(([x, z]) => x * ax + z * az);
+        return Math.min(Math.max(...projA), Math.max(...projB)) - Math.max(Math.min(...projA), Math.min(...projB));
+    });
+    if (overlaps.every((overlap) => overlap > 0)) return -Math.min(...overlaps);
+    // Apart: closest corner-to-edge distance in either direction
+    let gap = Infinity;
+    [[cornersA, cornersB], [cornersB, cornersA]].forEach(([points, polygon]) => {
+        points.forEach((point) => {
+            polygon.forEach((start, i) => {
+                gap = Math.min(gap, pointToSegmentDistance(point, start, polygon[(i + 1) % polygon.length]));
+            });
+        });
+    });
+    return gap;
+}
+
+// Segments of a polyline footprint as [start, end]; a single point is a segment of length 0
+const getSegments = ({ points }) =>
+    points.length === 1 ? [[points[0], points[0]]] : points.slice(1).map((end, i) => [points[i], end]);
+
+// Separating axis test of a segment against a rect; when every axis overlaps, the smallest
+// push needed to separate them is the penetration depth
+function segmentToRectGap(start, end, rect) {
+    const corners = getFootprintCorners(rect);
+    const dx = end[0] - start[0];
+    const dz = end[1] - start[1];
+    const length = Math.hypot(dx, dz);
+    const axes = [
+        [Math.cos(rect.angle), -Math.sin(rect.angle)],
+        [Math.sin(rect.angle), Math.cos(rect.angle)],
+        ...(length > 0 ? [[-dz / length, dx / length]] : []),
+    ];
+    const depths = axes.map(([ax, az]) => {
+        const projS = [start, end].map(([x, z]) => x * ax + z * az);
+        const projR = corners.map(([x, z]) => x * ax + z * az);
+        return Math.min(Math.max(...projS) - Math.min(...projR), Math.max(...projR) - Math.min(...projS));
+    });
+    if (depths.every((depth) => depth > 0)) return -Math.min(...depths);
+    return Math.min(
+        pointToRectDistance(rect, ...start),
+        pointToRectDistance(rect, ...end),
+        ...corners.map((corner) => pointToSegmentDistance(corner, start, end))
+    );
+}
+
+const cross = ([ox, oz], [ax, az], [bx, bz]) => (ax - ox) * (bz - oz) - (az - oz) * (bx - ox);
+
+// Closest distance between two segments, 0 when they cross
+function segmentToSegmentDistance([a, b], [c, d]) {
+    const crosses = cross(a, b, c) * cross(a, b, d) < 0 && cross(c, d, a) * cross(c, d, b) < 0;
+    if (crosses) return 0;
+    return Math.min(
+        pointToSegmentDistance(a, c, d), pointToSegmentDistance(b, c, d),
+        pointToSegmentDistance(c, a, b), pointToSegmentDistance(d, a, b)
+    );
+}
+
+// Polyline footprints are capsules around each segment: the segment's distance less the half width
+function polylineGap(line, other) {
+    const segmentGap = (start, end) => {
+        if (other.shape === "circle") return pointToSegmentDistance([other.x, other.z], start, end) - other.radius;
+        if (other.shape === "rect") return segmentToRectGap(start, end, other);
+        return Math.min(...getSegments(other).map((segment) =>
+            segmentToSegmentDistance([start, end], segment) - other.halfWidth));
+    };
+    return Math.min(...getSegments(line).map(([start, end]) => segmentGap(start, end))) - line.halfWidth;
+}
+
+// Distance between the edges of two footprints in meters, negative when they overlap
+export function getFootprintGap(a, b) {
+    if (a.shape === "polyline") return polylineGap(a, b);
+    if (b.shape === "polyline") return polylineGap(b, a);
+    if (a.shape === "circle" && b.shape === "circle") return Math.hypot(a.x - b.x, a.z - b.z) - a.radius - b.radius;
+    if (a.shape === "circle") return pointToRectDistance(b, a.x, a.z) - a.radius;
+    if (b.shape === "circle") return pointToRectDistance(a, b.x, b.z) - b.radius;
+    return rectToRectGap(a, b);
+}
+
+// True when two objects come closer than `clearance` meters (touching counts as clear at 0)
+export const objectsOverlap = (objA, objB, clearance = 0, globalAge = 1) =>
+    getFootprintGap(getObjectFootprint(objA, globalAge), getObjectFootprint(objB, globalAge)) < clearance;
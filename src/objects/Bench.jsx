@@ -18,7 +18,7 @@ const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
 
 // Bench (Simple)
-export const Bench = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge=1,
+export const Bench = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge=1,
     length = 1.2, width = 0.4, height = 0.4, backHeight = 0.4, color = "#D2B48C", // Tan wood
     rotationY = 0,
 }) => {
@@ -30,7 +30,7 @@ export const Bench = React.memo(({ position, isSelected, onSelect, onPointerDown
     const legZ = width * 0.4;
 
     return (
-        <ObjectBase position={position} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} rotationY={rotationY} objectId={objectId} type="bench">
+        <ObjectBase position={position} onSelect={onSelect} onPointerDown={onPointerDown} rotationY={rotationY} objectId={objectId} type="bench">
             {/* Seat */}
             <mesh position={[0, seatY, 0]} scale={[length, legThickness * 1.5, width]} castShadow receiveShadow>
                 <boxGeometry args={[1,1,1]}/> <meshStandardMaterial color={color}/>
@@ -58,3 +58,7 @@ Bench.editorSchema = [
     { name: 'color', label: 'Color', type: 'color', defaultValue: "#D2B48C" },
     { name: 'rotationY', label: 'Rotation', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+Bench.getBounds = ({ length = 1.2, width = 0.4, height = 0.4, backHeight = 0.4 }) => ({
+    shape: 'rect', length, width, height: height + backHeight,
+});
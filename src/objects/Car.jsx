@@ -16,7 +16,7 @@ const tempQuaternion = new THREE.Quaternion();
 const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
 // Car (Simplified Box Model)
-export const Car = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge=1, // Age doesn't affect car
+export const Car = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge=1, // Age doesn't affect car
     bodyLength = 5, bodyWidth = 2, bodyHeight = 1.5,
     roofHeight = 0.5, roofOffset = 0.1,
     wheelRadius = 0.4, wheelWidth = 0.3,
@@ -30,7 +30,7 @@ export const Car = React.memo(({ position, isSelected, onSelect, onPointerDown,
     const wheelOffsetZ = (bodyWidth / 2);
 
     return (
-        <ObjectBase position={position} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} rotationY={rotationY} objectId={objectId} type="car">
+        <ObjectBase position={position} onSelect={onSelect} onPointerDown={onPointerDown} rotationY={rotationY} objectId={objectId} type="car">
             {/* Body */}
             <mesh position={[0, bodyY, 0]} castShadow receiveShadow>
                 <boxGeometry args={[bodyLength, bodyHeight, bodyWidth]} />
@@ -61,3 +61,7 @@ Car.editorSchema = [
     { name: 'bodyHeight', label: 'Body Height', type: 'number', step: 0.05, min: 0.3, max: 1.0, defaultValue: 0.6 },
     { name: 'rotationY', label: 'Rotation', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+Car.getBounds = ({ bodyLength = 5, bodyWidth = 2, bodyHeight = 1.5, roofHeight = 0.5, wheelRadius = 0.4 }) => ({
+    shape: 'rect', length: bodyLength, width: bodyWidth, height: wheelRadius + bodyHeight + roofHeight,
+});
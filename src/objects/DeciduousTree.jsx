@@ -39,7 +39,7 @@ function getRandomPointInCone(baseDir, angleDeg, random) {
 
 
 export const DeciduousTree = React.memo(({
-    position, isSelected, onSelect, onPointerDown, objectId, globalAge = 1, currentMonth = 6,
+    position, onSelect, onPointerDown, objectId, globalAge = 1, currentMonth = 6,
     // Trunk Properties
     trunkHeight = 1.0,
     trunkDiameter = 0.25,
@@ -381,7 +381,7 @@ export const DeciduousTree = React.memo(({
     ]);
 
     return (
-        <ObjectBase position={position} rotationY={rotationY} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="deciduous_tree">
+        <ObjectBase position={position} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="deciduous_tree">
             {/* Trunk */}
             <mesh
                 geometry={trunkGeo}
@@ -458,3 +458,10 @@ DeciduousTree.editorSchema = [
     { section: 'Other', type: 'section' },
     { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+DeciduousTree.getBounds = ({ globalAge = 1, trunkHeight = 1.0, branchiness = 0.5, foliageDiameter = 1.8, foliageScaleXZ = 1.0, foliageScaleY = 1.0 }) => {
+    const radiusXZ = lerp(0.15, (foliageDiameter / 2) * foliageScaleXZ, globalAge);
+    const radiusY = lerp(0.15, (foliageDiameter / 2) * foliageScaleY, globalAge);
+    const foliageCenterY = trunkHeight * lerp(0.2, 1.0, globalAge) * (1 - branchiness * 0.4) + radiusY * 0.5;
+    return { shape: 'circle', radius: radiusXZ, height: foliageCenterY + radiusY };
+};
@@ -16,7 +16,7 @@ const tempVec = new THREE.Vector3();
 const tempQuaternion = new THREE.Quaternion();
 const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
-export const FencePanel = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge=1,
+export const FencePanel = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge=1,
     width = 1.8, height = 1.2, // Use these for geometry size directly
     // Pattern Properties
     pattern = 'vertical_stripes', // 'vertical_stripes', 'horizontal_stripes', 'wire_mesh'
@@ -27,6 +27,8 @@ export const FencePanel = React.memo(({ position, isSelected, onSelect, onPointe
     color2 = "#A0522D",    // Second stripe color / Background for stripes (ignored for wire)
     backgroundColor = null, // Optional background plane color (null for transparent)
     rotationY = 0,
+    rackHeight = 0, // How much higher the +X end is than the -X end; the panel is sheared to follow a slope
+    baseOffset = 0, // Raise above the ground at the panel center (stepped fences on a slope)
 }) => {
     const meshRef = useRef();
     const backgroundRef = useRef();
@@ -44,7 +46,18 @@ export const FencePanel = React.memo(({ position, isSelected, onSelect, onPointe
     });
 
     // Use PlaneGeometry for simpler UV mapping
-    const planeGeometry = useMemo(() => new THREE.PlaneGeometry(width, height), [width, height]);
+    // Racked panels keep vertical edges and slope top and bottom, so the pattern follows the shear
+    const planeGeometry = useMemo(() => {
+        const geometry = new THREE.PlaneGeometry(width, height);
+        if (rackHeight !== 0) {
+            const positions = geometry.attributes.position;
+            for (let i = 0; i < positions.count; i++) {
+                positions.setY(i, positions.getY(i) + (positions.getX(i) / width) * rackHeight);
+            }
+            geometry.computeBoundingSphere();
+        }
+        return geometry;
+    }, [width, height, rackHeight]);
 
     // Vertex Shader (Passes UVs and Position)
     const vertexShader = `
@@ -154,7 +167,7 @@ export const FencePanel = React.memo(({ position, isSelected, onSelect, onPointe
 
     return (
         // Position base of fence panel correctly
-        <ObjectBase position={[position[0], position[1] + height / 2, position[2]]} rotationY={rotationY} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="fence_panel">
+        <ObjectBase position={[position[0], position[1] + baseOffset + height / 2, position[2]]} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="fence_panel">
             {/* Optional solid background plane */}
             {backgroundColor && (
                  <mesh ref={backgroundRef} geometry={planeGeometry} position={[0,0,-0.005]} receiveShadow> {/* Slightly behind pattern */}
@@ -184,5 +197,12 @@ FencePanel.editorSchema = [
     { name: 'color1', label: 'Color 1 / Wire', type: 'color', defaultValue: "#BC8F8F" },
     { name: 'color2', label: 'Color 2 / BG', type: 'color', defaultValue: "#A0522D" }, // Used for stripes background
     { name: 'backgroundColor', label: 'Solid BG Color', type: 'color', defaultValue: null }, // Optional background plane
+    { name: 'rackHeight', label: 'Rack (End Rise)', type: 'number', step: 0.05, min: -2, max: 2, defaultValue: 0 },
+    { name: 'baseOffset', label: 'Raise Above Ground', type: 'number', step: 0.05, min: -1, max: 2, defaultValue: 0 },
     { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+FencePanel.getBounds = ({ width = 1.8, height = 1.2, rackHeight = 0, baseOffset = 0 }) => ({
+    shape: 'rect', length: width, width: 0.05, // The panel is a plane along X
+    height: height + Math.max(0, baseOffset) + Math.abs(rackHeight) / 2,
+});
@@ -0,0 +1,36 @@
+// src/objects/FencePost.jsx
+
+import React from 'react';
+import { ObjectBase } from './ObjectBase'; // Import base component
+
+// Square post with a small sloped cap; placed at the joints of a fence run (see fenceLayout.js)
+export const FencePost = React.memo(({ position, onSelect, onPointerDown, objectId,
+    size = 0.1, height = 1.3, color = "#8B6F47", capColor = "#6B5335",
+    rotationY = 0,
+}) => {
+    const capHeight = size * 0.4;
+    return (
+        <ObjectBase position={position} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="fence_post">
+            <mesh position={[0, height / 2, 0]} scale={[size, height, size]} castShadow receiveShadow>
+                <boxGeometry args={[1, 1, 1]} />
+                <meshStandardMaterial color={color} roughness={0.9} />
+            </mesh>
+            <mesh position={[0, height + capHeight / 2, 0]} rotation={[0, Math.PI / 4, 0]} castShadow>
+                <coneGeometry args={[size * 0.75, capHeight, 4]} />
+                <meshStandardMaterial color={capColor} roughness={0.9} />
+            </mesh>
+        </ObjectBase>
+    );
+});
+
+FencePost.editorSchema = [
+    { name: 'size', label: 'Size', type: 'number', step: 0.01, min: 0.05, max: 0.3, defaultValue: 0.1 },
+    { name: 'height', label: 'Height', type: 'number', step: 0.05, min: 0.3, max: 3.5, defaultValue: 1.3 },
+    { name: 'color', label: 'Color', type: 'color', defaultValue: "#8B6F47" },
+    { name: 'capColor', label: 'Cap Color', type: 'color', defaultValue: "#6B5335" },
+    { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
+];
+
+FencePost.getBounds = ({ size = 0.1, height = 1.3 }) => ({
+    shape: 'rect', length: size, width: size, height: height + size * 0.4,
+});
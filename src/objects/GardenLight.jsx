@@ -17,7 +17,7 @@ const tempQuaternion = new THREE.Quaternion();
 const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
 // Garden Light
-export const GardenLight = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge=1, // Age unlikely to affect light
+export const GardenLight = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge=1, // Age unlikely to affect light
     postHeight = 0.6, postDiameter = 0.04, fixtureRadius = 0.06,
     lightColor = "#FFFFE0", // Light Yellow
     lightIntensity = 1.5, // PointLight intensity
@@ -28,7 +28,7 @@ export const GardenLight = React.memo(({ position, isSelected, onSelect, onPoint
     const pointLightY = postHeight + fixtureRadius * 0.2; // Position light source slightly below visual fixture top
 
     return (
-        <ObjectBase position={position} rotationY={rotationY} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="garden_light">
+        <ObjectBase position={position} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="garden_light">
             {/* Post */}
             <mesh position={[0, postHeight / 2, 0]} castShadow>
                  <cylinderGeometry args={[postDiameter / 2, postDiameter / 2, postHeight, 8]} />
@@ -60,3 +60,7 @@ GardenLight.editorSchema = [
     { name: 'lightRange', label: 'Range', type: 'number', step: 0.1, min: 0, max: 10, defaultValue: 3.0 },
     { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+GardenLight.getBounds = ({ postHeight = 0.6, postDiameter = 0.04, fixtureRadius = 0.06 }) => ({
+    shape: 'circle', radius: Math.max(postDiameter / 2, fixtureRadius), height: postHeight + fixtureRadius,
+});
@@ -0,0 +1,143 @@
+// src/objects/GardenPath.jsx
+import React, { memo, useMemo, useEffect } from 'react';
+import * as THREE from 'three';
+import { ObjectBase } from './ObjectBase';
+import './GravelPatch'; // Registers <gravelMaterial />
+import { createRandom } from '../utils';
+import { getSteppingStoneLayout, getPaverLayout, getPathStrip } from '../pathLayout';
+
+const DEFAULT_POINTS = [[-1, 0], [1, 0]];
+const JOINT_GAP = 0.01; // Gap between pavers (m)
+const GRAVEL_LIFT = 0.015; // Above the ground to avoid z-fighting
+
+const unitCylinder = new THREE.CylinderGeometry(0.5, 0.5, 1, 12);
+const unitBox = new THREE.BoxGeometry(1, 1, 1);
+
+// Strip mesh draped over the terrain; uv in meters so the gravel pattern keeps its scale
+function createStripGeometry(strip, groundAt) {
+    const positions = new Float32Array(strip.length * 6);
+    const uvs = new Float32Array(strip.length * 4);
+    const indices = [];
+    strip.forEach(({ left, right, along }, i) => {
+        positions.set([left[0], groundAt(left[0], left[1]) + GRAVEL_LIFT, left[1]], i * 6);
+        positions.set([right[0], groundAt(right[0], right[1]) + GRAVEL_LIFT, right[1]], i * 6 + 3);
+        uvs.set([along, 0, along, 1], i * 4);
+        if (i > 0) {
+            const a = (i - 1) * 2;
+            indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+        }
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Garden Path: a polyline (points relative to the object's position) filled with stepping stones,
+// pavers or gravel. Each stone sits on the terrain under it, sampled with getGroundY(worldX, worldZ).
+export const GardenPath = memo(({ position, onSelect, onPointerDown, objectId,
+    points = DEFAULT_POINTS, fill = 'stepping_stones', width = 0.8, spacing = 0.6, stoneSize = 0.45,
+    thickness = 0.05, color = "#8C8C8C", color2 = "#6E6E6E", noiseScale = 10, rotationY = 0, getGroundY = null,
+}) => {
+    const [baseX, baseY, baseZ] = position;
+    // Terrain height in object-local coordinates (local x, z turned by rotationY into world offsets)
+    const groundAt = useMemo(() => {
+        const cos = Math.cos(THREE.MathUtils.degToRad(rotationY));
+        const sin = Math.sin(THREE.MathUtils.degToRad(rotationY));
+        return (x, z) => (getGroundY ? getGroundY(baseX + x * cos + z * sin, baseZ - x * sin + z * cos) - baseY : 0);
+    }, [getGroundY, baseX, baseY, baseZ, rotationY]);
+
+    const pieces = useMemo(() => {
+        const random = createRandom(`path-${objectId}`);
+        if (fill === 'stepping_stones') {
+            return getSteppingStoneLayout(points, spacing).map(({ x, z, angle }) => ({
+                geometry: unitCylinder,
+                position: [x, groundAt(x, z) + thickness / 2, z],
+                rotationY: angle + random() * Math.PI,
+                scale: [stoneSize * (0.9 + random() * 0.2), thickness, stoneSize * (0.9 + random() * 0.2)],
+            }));
+        }
+        if (fill === 'pavers') {
+            const { slabs, joints } = getPaverLayout(points, width, stoneSize);
+            return [
+                ...slabs.map(({ x, z, angle, length, width: slabWidth }) => ({
+                    geometry: unitBox,
+                    position: [x, groundAt(x, z) + thickness / 2, z],
+                    rotationY: angle,
+                    scale: [length - JOINT_GAP, thickness, slabWidth - JOINT_GAP],
+                })),
+                ...joints.map(({ x, z }) => ({
+                    geometry: unitCylinder,
+                    position: [x, groundAt(x, z) + thickness / 2 - 0.002, z], // Just under the slabs
+                    rotationY: 0,
+                    scale: [width, thickness, width],
+                })),
+            ];
+        }
+        return [];
+    }, [fill, points, spacing, stoneSize, width, thickness, groundAt, objectId]);
+
+    const gravelGeometry = useMemo(
+        () => (fill === 'gravel' ? createStripGeometry(getPathStrip(points, width), groundAt) : null),
+        [fill, points, width, groundAt]
+    );
+    useEffect(() => () => gravelGeometry?.dispose(), [gravelGeometry]);
+
+    const stoneMaterial = useMemo(
+        () => new THREE.MeshStandardMaterial({ color, roughness: 0.85, metalness: 0.1 }),
+        [color]
+    );
+    useEffect(() => () => stoneMaterial.dispose(), [stoneMaterial]);
+
+    return (
+        <ObjectBase position={position} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="garden_path" rotationY={rotationY}>
+            {pieces.map((piece, i) => (
+                <mesh
+                    key={i}
+                    geometry={piece.geometry}
+                    material={stoneMaterial}
+                    position={piece.position}
+                    rotation={[0, piece.rotationY, 0]}
+                    scale={piece.scale}
+                    receiveShadow
+                />
+            ))}
+            {gravelGeometry && (
+                <mesh geometry={gravelGeometry} receiveShadow>
+                    <gravelMaterial
+                        key={color + color2 + noiseScale} // Recreate material on prop change
+                        uColor1={new THREE.Color(color)}
+                        uColor2={new THREE.Color(color2)}
+                        uScale={noiseScale}
+                    />
+                </mesh>
+            )}
+        </ObjectBase>
+    );
+});
+
+GardenPath.editorSchema = [
+    { name: 'fill', label: 'Fill', type: 'select', options: ['stepping_stones', 'pavers', 'gravel'], defaultValue: 'stepping_stones' },
+    { name: 'width', label: 'Width', type: 'number', step: 0.05, min: 0.3, max: 3, defaultValue: 0.8 },
+    { name: 'spacing', label: 'Stone Spacing', type: 'number', step: 0.05, min: 0.3, max: 1.5, defaultValue: 0.6 },
+    { name: 'stoneSize', label: 'Stone/Paver Size', type: 'number', step: 0.05, min: 0.2, max: 1, defaultValue: 0.45 },
+    { name: 'thickness', label: 'Thickness', type: 'number', step: 0.01, min: 0.02, max: 0.15, defaultValue: 0.05 },
+    { name: 'color', label: 'Color', type: 'color', defaultValue: "#8C8C8C" },
+    { name: 'color2', label: 'Gravel Color 2', type: 'color', defaultValue: "#6E6E6E" },
+    { name: 'noiseScale', label: 'Gravel Scale', type: 'number', step: 1, min: 1, max: 30, defaultValue: 10 },
+    { name: 'rotationY', label: 'Rotation', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
+];
+
+// Bounding box of the polyline plus the path width; the origin is the box center (see centerPathPoints)
+GardenPath.getBounds = ({ points = DEFAULT_POINTS, width = 0.8, thickness = 0.05 }) => {
+    const xs = points.map(([x]) => Math.abs(x));
+    const zs = points.map(([, z]) => Math.abs(z));
+    return { shape: 'rect', length: Math.max(...xs) * 2 + width, width: Math.max(...zs) * 2 + width, height: thickness };
+};
+
+// Stepping stones only cover their own size along the line
+GardenPath.getFootprintPath = ({ points = DEFAULT_POINTS, fill = 'stepping_stones', width = 0.8, stoneSize = 0.45 }) => ({
+    points, width: fill === 'stepping_stones' ? stoneSize : width,
+});
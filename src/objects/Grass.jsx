@@ -20,7 +20,7 @@ const Y_AXIS = new THREE.Vector3(0, 1, 0);
 // --- NEW Grass Component using InstancedMesh ---
 const MAX_GRASS_BLADES = 500; // Performance limit
 
-export const Grass = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge = 1,
+export const Grass = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge = 1,
     // Parameters with defaults
     baseDiameter = 0.5,
     length = 0.3,
@@ -169,7 +169,7 @@ export const Grass = React.memo(({ position, isSelected, onSelect, onPointerDown
 
 
     return (
-         <ObjectBase position={position} rotationY={rotationY} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="grass">
+         <ObjectBase position={position} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="grass">
             <instancedMesh
                 ref={instancedMeshRef}
                 args={[geometry, material, count]}
@@ -191,3 +191,9 @@ Grass.editorSchema = [
     { name: 'colorRatio', label: 'Color Ratio', type: 'number', step: 0.05, min: 0.05, max: 1, defaultValue: 0.5 },
     { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+Grass.getBounds = ({ globalAge = 1, baseDiameter = 0.5, length = 0.3 }) => ({
+    shape: 'circle',
+    radius: baseDiameter / 2,
+    height: lerp(0.01, length, globalAge),
+});
@@ -59,7 +59,7 @@ const GravelMaterial = shaderMaterial(
 );
 extend({ GravelMaterial }); // Make it available as <gravelMaterial />
 
-export const GravelPatch = memo(({ position, isSelected, onSelect, onPointerDown, objectId, rotationY = 0,
+export const GravelPatch = memo(({ position, onSelect, onPointerDown, objectId, rotationY = 0, groundNormal = null,
     width = 1.0, length = 1.5,
     color1 = "#AAAAAA", // Base gravel color
     color2 = "#888888", // Variation color
@@ -75,7 +75,7 @@ export const GravelPatch = memo(({ position, isSelected, onSelect, onPointerDown
 
     return (
         // Position base Y slightly above ground to avoid z-fighting
-        <ObjectBase position={[position[0], position[1] + height/2 + 0.005, position[2]]} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="gravel_patch" rotationY={rotationY}>
+        <ObjectBase position={[position[0], position[1] + height/2 + 0.005, position[2]]} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="gravel_patch" rotationY={rotationY} groundNormal={groundNormal}>
             <mesh rotation={[-Math.PI / 2, 0, 0]} receiveShadow> {/* Plane needs rotation */}
                  <planeGeometry args={[length, width]} />
                  {/* Use custom shader material */}
@@ -97,5 +97,8 @@ GravelPatch.editorSchema = [
     { name: 'noiseScale', label: 'Texture Scale', type: 'number', step: 1, min: 1, max: 50, defaultValue: 15 },
     { name: 'color1', label: 'Color 1', type: 'color', defaultValue: "#AAAAAA" },
     { name: 'color2', label: 'Color 2', type: 'color', defaultValue: "#888888" },
+    { name: 'alignToSlope', label: 'Align to Slope', type: 'boolean', defaultValue: false },
     { name: 'rotationY', label: 'Rotation', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+GravelPatch.getBounds = ({ width = 1.0, length = 1.5 }) => ({ shape: 'rect', length, width, height: 0.025 });
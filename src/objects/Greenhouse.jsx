@@ -21,7 +21,7 @@ function createSaddleRoofGeometry(width, length, height, roofHeight) {
     return geometry;
 }
 
-export const Greenhouse = memo(({ position, isSelected, onSelect, onPointerDown, objectId, rotationY = 0,
+export const Greenhouse = memo(({ position, onSelect, onPointerDown, objectId, rotationY = 0,
     width = 2.0, length = 3.0, height = 1.8, roofHeight = 0.7,
     frameColor = "#2E5A27", // Dark Green Metal
     glassColor = "#E0F7FA", // Light Cyan Glass
@@ -105,7 +105,7 @@ export const Greenhouse = memo(({ position, isSelected, onSelect, onPointerDown,
     }, [showInterior, length, width]);
 
     return (
-        <ObjectBase position={[position[0], position[1] + basePosY, position[2]]} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="greenhouse" rotationY={rotationY}>
+        <ObjectBase position={[position[0], position[1] + basePosY, position[2]]} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="greenhouse" rotationY={rotationY}>
             
             {/* --- Glass Panes --- */}
             {/* Wall Glass */}
@@ -265,3 +265,7 @@ Greenhouse.editorSchema = [
     { name: 'showInterior', label: 'Show Interior', type: 'select', options: [true, false], defaultValue: true },
     { name: 'rotationY', label: 'Rotation', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+Greenhouse.getBounds = ({ width = 2.0, length = 3.0, height = 1.8, roofHeight = 0.7 }) => ({
+    shape: 'rect', length, width, height: height + roofHeight,
+});
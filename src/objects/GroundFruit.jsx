@@ -11,7 +11,7 @@ const tempObject = new THREE.Object3D();
 
 const MAX_GROUND_FRUITS = 500;
 
-export const GroundFruit = memo(({ position, isSelected, onSelect, onPointerDown, objectId, rotationY = 0, globalAge = 1, currentMonth = 6,
+export const GroundFruit = memo(({ position, onSelect, onPointerDown, objectId, rotationY = 0, globalAge = 1, currentMonth = 6,
     patchDiameter = 0.5,
     fruitColor = "#DC143C", // Crimson red for strawberries
     fruitSize = 0.02,
@@ -106,7 +106,7 @@ export const GroundFruit = memo(({ position, isSelected, onSelect, onPointerDown
 
     return (
         // Position base at ground level
-        <ObjectBase position={position} rotationY={rotationY} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="ground_fruit">
+        <ObjectBase position={position} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="ground_fruit">
              {/* Leaves */}
              {hasLeaves && leafCount > 0 && leafGeometry && leafMaterial && (
                  <instancedMesh ref={leafMeshRef} args={[leafGeometry, leafMaterial, leafCount]} receiveShadow /> // Leaves receive shadow
@@ -129,3 +129,9 @@ GroundFruit.editorSchema = [
     // fruitPresenceMonths maybe not easily editable
     { name: 'rotationY', label: 'Rotation', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+GroundFruit.getBounds = ({ globalAge = 1, patchDiameter = 0.5 }) => ({
+    shape: 'circle',
+    radius: lerp(0.1, patchDiameter, globalAge) / 2,
+    height: 0.1, // Low leaf cover
+});
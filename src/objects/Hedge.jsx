@@ -7,7 +7,7 @@ import { ObjectBase } from './ObjectBase';
 
 const lerp = THREE.MathUtils.lerp;
 
-export const Hedge = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge=1,
+export const Hedge = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge=1,
     width = 0.5, length = 1.5, height = 0.8, color = "#3A5F0B", // Dark Hedge Green
     rotationY = 0,
 }) => {
@@ -19,7 +19,7 @@ export const Hedge = React.memo(({ position, isSelected, onSelect, onPointerDown
     const cornerRadius = Math.min(currentLength, currentHeight, currentWidth) * 0.2;
 
     return (
-        <ObjectBase position={position} rotationY={rotationY} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="hedge">
+        <ObjectBase position={position} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="hedge">
             <RoundedBox
                 args={[currentLength, currentHeight, currentWidth]}
                 position={[0, currentHeight / 2, 0]}
@@ -41,3 +41,10 @@ Hedge.editorSchema = [
     { name: 'color', label: 'Color', type: 'color', defaultValue: "#3A5F0B" },
     { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+Hedge.getBounds = ({ globalAge = 1, width = 0.5, length = 1.5, height = 0.8 }) => ({
+    shape: 'rect',
+    length: lerp(0.2, length, globalAge),
+    width: lerp(0.1, width, globalAge),
+    height: lerp(0.1, height, globalAge),
+});
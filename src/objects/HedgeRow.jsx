@@ -0,0 +1,128 @@
+// src/objects/HedgeRow.jsx
+
+import React, { memo, useMemo, useEffect } from 'react';
+import * as THREE from 'three';
+import { ObjectBase } from './ObjectBase';
+import { getPathStrip } from '../pathLayout';
+
+const lerp = THREE.MathUtils.lerp;
+
+const DEFAULT_POINTS = [[-1, 0], [1, 0]];
+const SINK = 0.05; // Below the ground so slopes don't show a gap under the hedge
+const CORNER_SEGMENTS = 3; // Per rounded top corner of the cross-section
+
+// Cross-section as [across, up] pairs from the left foot over the rounded top to the right foot;
+// across runs from -1 (left) to 1 (right) so it can be scaled by the mitered strip offsets
+function createProfile(width, height) {
+    const half = width / 2;
+    const radius = Math.min(width, height) * 0.2;
+    const profile = [[-1, -SINK]];
+    [[-half + radius, Math.PI], [half - radius, Math.PI / 2]].forEach(([cx, start]) => {
+        for (let i = 0; i <= CORNER_SEGMENTS; i++) {
+            const angle = start - (i / CORNER_SEGMENTS) * (Math.PI / 2);
+            profile.push([(cx + Math.cos(angle) * radius) / half, height - radius + Math.sin(angle) * radius]);
+        }
+    });
+    profile.push([1, -SINK]);
+    return profile;
+}
+
+// Profile swept along the strip, each cross-section standing on the ground at its center;
+// both ends closed with a fan around the middle of the profile
+function createHedgeGeometry(strip, profile, groundAt) {
+    const rings = strip.map(({ left, right }) => {
+        const cx = (left[0] + right[0]) / 2;
+        const cz = (left[1] + right[1]) / 2;
+        const ox = right[0] - cx;
+        const oz = right[1] - cz;
+        const base = groundAt(cx, cz);
+        return profile.map(([across, up]) => [cx + ox * across, base + up, cz + oz * across]);
+    });
+    const positions = [];
+    const indices = [];
+    const count = profile.length;
+    rings.forEach((ring) => ring.forEach((p) => positions.push(...p)));
+    for (let r = 0; r + 1 < rings.length; r++) {
+        for (let i = 0; i + 1 < count; i++) {
+            const a = r * count + i;
+            const b = (r + 1) * count + i;
+            indices.push(a, b, a + 1, a + 1, b, b + 1);
+        }
+    }
+    // Start cap faces backwards along the row, end cap forwards
+    [[0, true], [rings.length - 1, false]].forEach(([r, isStart]) => {
+        const ring = rings[r];
+        const center = positions.length / 3;
+        positions.push(...ring.reduce((sum, p) => sum.map((v, k) => v + p[k] / count), [0, 0, 0]));
+        for (let i = 0; i + 1 < count; i++) {
+            const a = r * count + i;
+            if (isStart) indices.push(center, a, a + 1);
+            else indices.push(center, a + 1, a);
+        }
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// Hedge Row: one continuous hedge along a polyline (points relative to the object's position, see
+// centerPathPoints). Like Hedge it grows in width and height with globalAge; the row keeps its
+// length since young plants are set out along the whole line.
+export const HedgeRow = memo(({ position, onSelect, onPointerDown, objectId, globalAge = 1,
+    points = DEFAULT_POINTS, width = 0.5, height = 0.8, color = "#3A5F0B",
+    rotationY = 0, getGroundY = null,
+}) => {
+    const currentHeight = lerp(0.1, height, globalAge);
+    const currentWidth = lerp(0.1, width, globalAge);
+    const [baseX, baseY, baseZ] = position;
+    // Terrain height in object-local coordinates (local x, z turned by rotationY into world offsets)
+    const groundAt = useMemo(() => {
+        const cos = Math.cos(THREE.MathUtils.degToRad(rotationY));
+        const sin = Math.sin(THREE.MathUtils.degToRad(rotationY));
+        return (x, z) => (getGroundY ? getGroundY(baseX + x * cos + z * sin, baseZ - x * sin + z * cos) - baseY : 0);
+    }, [getGroundY, baseX, baseY, baseZ, rotationY]);
+
+    const geometry = useMemo(() => {
+        const strip = getPathStrip(points, currentWidth, 0.5);
+        if (strip.length < 2) return null;
+        return createHedgeGeometry(strip, createProfile(currentWidth, currentHeight), groundAt);
+    }, [points, currentWidth, currentHeight, groundAt]);
+    useEffect(() => () => geometry?.dispose(), [geometry]);
+
+    return (
+        <ObjectBase position={position} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="hedge_row">
+            {geometry && (
+                <mesh geometry={geometry} castShadow receiveShadow>
+                    <meshStandardMaterial color={color} roughness={0.9} side={THREE.DoubleSide} />
+                </mesh>
+            )}
+        </ObjectBase>
+    );
+});
+
+HedgeRow.editorSchema = [
+    { name: 'width', label: 'Width', type: 'number', step: 0.1, min: 0.2, max: 5, defaultValue: 0.5 },
+    { name: 'height', label: 'Height (Y)', type: 'number', step: 0.1, min: 0.1, max: 3, defaultValue: 0.8 },
+    { name: 'color', label: 'Color', type: 'color', defaultValue: "#3A5F0B" },
+    { name: 'plantSpacing', label: 'Plant Spacing', type: 'number', step: 0.05, min: 0.1, max: 2, defaultValue: 0.4 },
+    { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
+];
+
+// Bounding box of the polyline plus the hedge width; the origin is the box center
+HedgeRow.getBounds = ({ globalAge = 1, points = DEFAULT_POINTS, width = 0.5, height = 0.8 }) => {
+    const currentWidth = lerp(0.1, width, globalAge);
+    const xs = points.map(([x]) => Math.abs(x));
+    const zs = points.map(([, z]) => Math.abs(z));
+    return {
+        shape: 'rect',
+        length: Math.max(...xs) * 2 + currentWidth,
+        width: Math.max(...zs) * 2 + currentWidth,
+        height: lerp(0.1, height, globalAge),
+    };
+};
+
+HedgeRow.getFootprintPath = ({ globalAge = 1, points = DEFAULT_POINTS, width = 0.5 }) => ({
+    points, width: lerp(0.1, width, globalAge),
+});
@@ -23,7 +23,7 @@ function createSaddleRoofGeometry(width, length, height, roofHeight) {
 }
 
 
-export const House = memo(({ position, isSelected, onSelect, onPointerDown, objectId, rotationY = 0,
+export const House = memo(({ position, onSelect, onPointerDown, objectId, rotationY = 0,
     width = 3, length = 4, height = 2.5,
     wallColor = "#F5F5DC", // Beige
     roofColor = "#8B4513", // Brown
@@ -44,7 +44,7 @@ export const House = memo(({ position, isSelected, onSelect, onPointerDown, obje
 
 
     return (
-        <ObjectBase position={[position[0], position[1] + basePosY, position[2]]} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="house" rotationY={rotationY}>
+        <ObjectBase position={[position[0], position[1] + basePosY, position[2]]} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="house" rotationY={rotationY}>
              {/* Walls */}
              <mesh position={[0, 0, 0]} castShadow receiveShadow> {/* Position relative to base center */}
                  <boxGeometry args={[length, height, width]} />
@@ -67,3 +67,7 @@ House.editorSchema = [
     { name: 'roofColor', label: 'Roof Color', type: 'color', defaultValue: "#8B4513" },
     { name: 'rotationY', label: 'Rotation', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+House.getBounds = ({ width = 3, length = 4, height = 2.5, roofType = 'saddle' }) => ({
+    shape: 'rect', length, width, height: height + (roofType === 'saddle' ? height * 0.4 : 0.05),
+});
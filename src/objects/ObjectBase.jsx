@@ -1,18 +1,20 @@
 // src/Objects.jsx
 import React, { useRef, useState, useCallback, useMemo, useLayoutEffect, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { Box } from '@react-three/drei';
 import * as THREE from 'three';
 import { createRandom } from '../utils';
 
 // --- Config ---
-const SELECTION_COLOR = '#FF00FF'; // Keep consistent or pass as prop if needed
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
-// --- ObjectBase: Wrapper with common logic (selection, animation, pointer down) ---
-export const ObjectBase = ({ children, position, isSelected, onSelect, onPointerDown, objectId, type, rotationY = 0 }) => {
+// --- ObjectBase: Wrapper with common logic (animation, pointer down, orientation) ---
+// The selection outline is drawn by the scene from each type's getBounds (see objectBounds.js)
+// groundNormal ([x, y, z], optional) tilts the object so its up axis follows the terrain
+export const ObjectBase = ({ children, position, onSelect, onPointerDown, objectId, type, rotationY = 0, groundNormal = null }) => {
     const random = createRandom(objectId || (position ? position.join(',') : 'obj'));
-    
+
     const groupRef = useRef();
+    const swayRef = useRef(); // Wind sway is kept separate so it never fights rotation/tilt
     const [animOffset] = useState(() => random() * Math.PI * 2);
     const [freqMult] = useState(() => 0.8 + random() * 0.4);
 
@@ -20,27 +22,27 @@ export const ObjectBase = ({ children, position, isSelected, onSelect, onPointer
         ['tree', 'deciduous_tree', 'shrub', 'grass', 'hedge'].includes(type),
     [type]);
 
+    const [normalX, normalY, normalZ] = groundNormal ?? [0, 1, 0];
+    const tiltQuaternion = useMemo(() =>
+        new THREE.Quaternion().setFromUnitVectors(Y_AXIS, new THREE.Vector3(normalX, normalY, normalZ).normalize()),
+    [normalX, normalY, normalZ]);
+
     useLayoutEffect(() => {
         if (groupRef.current) {
-            groupRef.current.rotation.y = THREE.MathUtils.degToRad(rotationY);
+            groupRef.current.quaternion
+                .setFromAxisAngle(Y_AXIS, THREE.MathUtils.degToRad(rotationY ?? 0))
+                .premultiply(tiltQuaternion);
         }
-    }, [rotationY]);
+    }, [rotationY, tiltQuaternion]);
 
     useFrame((state) => {
-        if (!groupRef.current) return;
+        if (!swayRef.current || !shouldAnimate) return;
 
-        const baseRotY = THREE.MathUtils.degToRad(rotationY ?? 0);
-        groupRef.current.rotation.y = baseRotY;
-        if (shouldAnimate) {
-            const time = state.clock.elapsedTime;
-            const baseFrequency = 1;
-            const baseAmplitude = 0.05;
-            groupRef.current.rotation.x = Math.sin(time * baseFrequency * freqMult + animOffset) * baseAmplitude;
-            groupRef.current.rotation.z = Math.cos(time * baseFrequency * freqMult * 0.9 + animOffset * 1.1) * baseAmplitude * 0.8;
-        } else {
-            groupRef.current.rotation.x = 0;
-            groupRef.current.rotation.z = 0;
-        }
+        const time = state.clock.elapsedTime;
+        const baseFrequency = 1;
+        const baseAmplitude = 0.05;
+        swayRef.current.rotation.x = Math.sin(time * baseFrequency * freqMult + animOffset) * baseAmplitude;
+        swayRef.current.rotation.z = Math.cos(time * baseFrequency * freqMult * 0.9 + animOffset * 1.1) * baseAmplitude * 0.8;
     });
 
     const handlePointerDown = useCallback((e) => {
@@ -49,20 +51,11 @@ export const ObjectBase = ({ children, position, isSelected, onSelect, onPointer
         onSelect();
     }, [onPointerDown, objectId, type, onSelect]);
 
-    // Apply selection highlight conditionally (could be complex geometry later)
-    const selectionHighlight = isSelected ? (
-         // Simple box based on rough combined height/width for now
-         // This might need refinement per object type if bounding boxes differ significantly
-        <Box args={[0.8, 1.5, 0.8]} position={[0, 0.75, 0]} >
-            <meshStandardMaterial color={SELECTION_COLOR} transparent opacity={0.3} depthWrite={false} wireframe={false} />
-        </Box>
-    ) : null;
-
-
     return (
         <group ref={groupRef} position={position} onPointerDown={handlePointerDown}>
-             {selectionHighlight}
-            {children}
+            <group ref={swayRef} name="sway">
+                {children}
+            </group>
         </group>
     );
 };
@@ -4,7 +4,7 @@ import * as THREE from 'three';
 import { ObjectBase } from './ObjectBase';
 import { Box, Plane } from '@react-three/drei';
 
-export const Pergola = memo(({ position, isSelected, onSelect, onPointerDown, objectId, rotationY = 0,
+export const Pergola = memo(({ position, onSelect, onPointerDown, objectId, rotationY = 0,
     width = 2, length = 2, height = 2.2,
     postDiameter = 0.1,
     postColor = "#8B4513",
@@ -19,7 +19,7 @@ export const Pergola = memo(({ position, isSelected, onSelect, onPointerDown, ob
     const postRadius = postDiameter / 2;
 
     return (
-        <ObjectBase position={position} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="pergola" rotationY={rotationY}>
+        <ObjectBase position={position} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="pergola" rotationY={rotationY}>
             {/* Posts */}
             {[
                 [halfL - postRadius, halfW - postRadius], [-halfL + postRadius, halfW - postRadius],
@@ -56,3 +56,5 @@ Pergola.editorSchema = [
     { name: 'coverColor', label: 'Cover Color', type: 'color', defaultValue: "#FFFFFF" },
     { name: 'rotationY', label: 'Rotation', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+Pergola.getBounds = ({ width = 2, length = 2, height = 2.2 }) => ({ shape: 'rect', length, width, height });
@@ -17,7 +17,7 @@ const tempQuaternion = new THREE.Quaternion();
 const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
 // Raised Bed
-export const RaisedBed = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge=1,
+export const RaisedBed = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge=1,
     width = 0.8, length = 1.5, height = 0.3,
     frameColor = "#8B4513", // Brown wood color
     soilColor = "#5C4033", // Dark brown soil
@@ -33,7 +33,7 @@ export const RaisedBed = React.memo(({ position, isSelected, onSelect, onPointer
 
     return (
         // Use ObjectBase for selection/interaction, position base correctly
-        <ObjectBase position={position} rotationY={rotationY} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="raised_bed">
+        <ObjectBase position={position} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="raised_bed">
             {/* Frame using Box helper for simplicity? Or manual mesh */}
              {/* We need 4 walls and potentially a bottom, Box helper isn't ideal. Let's use meshes. */}
              {/* Front/Back Walls */}
@@ -73,3 +73,5 @@ RaisedBed.editorSchema = [
     { name: 'soilColor', label: 'Soil Color', type: 'color', defaultValue: "#5C4033" },
     { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+RaisedBed.getBounds = ({ width = 0.8, length = 1.5, height = 0.3 }) => ({ shape: 'rect', length, width, height });
@@ -9,7 +9,7 @@ const lerp = THREE.MathUtils.lerp;
 const tempObject = new THREE.Object3D();
 const UP_VECTOR = new THREE.Vector3(0, 1, 0);
 
-export const Shrub = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge = 1,
+export const Shrub = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge = 1,
     color = "#556B2F", maxRadius = 0.4, currentMonth = 6, rotationY = 0,
 }) => {
     const random = createRandom(objectId || (position ? position.join(',') : 'obj'));
@@ -99,7 +99,7 @@ export const Shrub = React.memo(({ position, isSelected, onSelect, onPointerDown
     }, [currentRadius, isWinter, leafGeo, leafMat, branchGeo, branchMat]);
 
     return (
-        <ObjectBase position={position} rotationY={rotationY} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="shrub">
+        <ObjectBase position={position} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="shrub">
             <instancedMesh ref={branchMeshRef} args={[branchGeo, branchMat, numBranches]} castShadow receiveShadow />
             <instancedMesh ref={leafMeshRef} args={[leafGeo, leafMat, numLeaves]} castShadow receiveShadow />
         </ObjectBase>
@@ -112,3 +112,8 @@ Shrub.editorSchema = [
     { name: 'color', label: 'Color', type: 'color', defaultValue: "#556B2F" },
     { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+Shrub.getBounds = ({ globalAge = 1, maxRadius = 0.4 }) => {
+    const radius = lerp(0.1, maxRadius, globalAge);
+    return { shape: 'circle', radius: radius * 1.2, height: radius * 2 }; // Leaf clusters reach past the nominal radius
+};
@@ -23,7 +23,7 @@ const headGeometrySphere = new THREE.SphereGeometry(1, 4, 3); // Base radius 1,
 const headGeometryCone = new THREE.ConeGeometry(1, 1, 4); // Base radius 1, height 1, scaled later
 headGeometryCone.translate(0, 0.5, 0); // Pivot cone base
 
-export const SmallFlower = memo(({ position, isSelected, onSelect, onPointerDown, objectId, rotationY = 0, globalAge = 1, currentMonth = 6,
+export const SmallFlower = memo(({ position, onSelect, onPointerDown, objectId, rotationY = 0, globalAge = 1, currentMonth = 6,
     patchDiameter = 0.4,
     stemColor = "#556B2F", // Dark Olive Green
     flowerColor = "#FF69B4", // Hot Pink default
@@ -134,7 +134,7 @@ export const SmallFlower = memo(({ position, isSelected, onSelect, onPointerDown
 
     return (
         // Position base at ground level
-        <ObjectBase position={position} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="small_flower" rotationY={rotationY}>
+        <ObjectBase position={position} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="small_flower" rotationY={rotationY}>
              {/* Stems */}
              {hasStems && instanceCount > 0 && (
                   <instancedMesh ref={stemMeshRef} args={[stemGeometry, stemMaterial, instanceCount]} castShadow receiveShadow />
@@ -162,3 +162,9 @@ SmallFlower.editorSchema = [
     // bloomMonths maybe not easily editable
     { name: 'rotationY', label: 'Rotation', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+SmallFlower.getBounds = ({ globalAge = 1, patchDiameter = 0.4, stemHeight = 0.15, flowerSize = 0.03 }) => ({
+    shape: 'circle',
+    radius: lerp(0.1, patchDiameter, globalAge) / 2,
+    height: lerp(0.02, stemHeight, globalAge) + flowerSize,
+});
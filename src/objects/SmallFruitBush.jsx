@@ -12,7 +12,7 @@ const tempVec = new THREE.Vector3();
 
 const MAX_BERRIES = 1000; // Performance limit
 
-export const SmallFruitBush = memo(({ position, isSelected, onSelect, onPointerDown, objectId, rotationY = 0, globalAge = 1, currentMonth = 6,
+export const SmallFruitBush = memo(({ position, onSelect, onPointerDown, objectId, rotationY = 0, globalAge = 1, currentMonth = 6,
     // Foliage Shape
     bushDiameter = 0.6, // Base diameter for XZ
     bushHeight = 0.5,
@@ -99,7 +99,7 @@ export const SmallFruitBush = memo(({ position, isSelected, onSelect, onPointerD
 
 
     return (
-        <ObjectBase position={position} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="small_fruit_bush" rotationY={rotationY}>
+        <ObjectBase position={position} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="small_fruit_bush" rotationY={rotationY}>
              {/* Stems supporting the bush (visible year-round) */}
              <mesh position={[-0.03, foliageCenterY * 0.4, 0.01]} rotation={[0.1, 0, 0.15]} castShadow>
                  <cylinderGeometry args={[0.01 * globalAge, 0.018 * globalAge, foliageCenterY * 0.8, 6]} />
@@ -149,3 +149,9 @@ SmallFruitBush.editorSchema = [
     // fruitPresenceMonths is harder to edit via simple UI, keep fixed for now or use multi-select later
     { name: 'rotationY', label: 'Rotation', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+SmallFruitBush.getBounds = ({ globalAge = 1, bushDiameter = 0.6, bushHeight = 0.5 }) => ({
+    shape: 'circle',
+    radius: lerp(0.1, bushDiameter, globalAge) / 2,
+    height: lerp(0.1, bushHeight, globalAge),
+});
@@ -17,13 +17,13 @@ const tempQuaternion = new THREE.Quaternion();
 const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
 // Stepping Stone
-export const SteppingStone = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge=1, // Age unlikely to affect stone
+export const SteppingStone = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge=1, // Age unlikely to affect stone
     diameter = 0.4, height = 0.05, color = "#808080", // Grey
-    rotationY = 0,
+    rotationY = 0, groundNormal = null,
 }) => {
     // No aging applied to dimensions
     return (
-        <ObjectBase position={[position[0], position[1] + height/2, position[2]]} rotationY={rotationY} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="stepping_stone">
+        <ObjectBase position={[position[0], position[1] + height/2, position[2]]} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="stepping_stone" groundNormal={groundNormal}>
             <mesh castShadow={false} receiveShadow> {/* Stones often don't cast strong shadows */}
                  <cylinderGeometry args={[diameter / 2, diameter / 2, height, 12]} /> {/* TopRad, BotRad, H, Segs */}
                  <meshStandardMaterial color={color} roughness={0.8} metalness={0.1}/>
@@ -35,5 +35,8 @@ SteppingStone.editorSchema = [
     { name: 'diameter', label: 'Diameter', type: 'number', step: 0.05, min: 0.1, max: 1.5, defaultValue: 0.4 },
     { name: 'height', label: 'Thickness', type: 'number', step: 0.01, min: 0.02, max: 0.2, defaultValue: 0.05 },
     { name: 'color', label: 'Color', type: 'color', defaultValue: "#808080" },
+    { name: 'alignToSlope', label: 'Align to Slope', type: 'boolean', defaultValue: false },
     { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+SteppingStone.getBounds = ({ diameter = 0.4, height = 0.05 }) => ({ shape: 'circle', radius: diameter / 2, height });
@@ -11,7 +11,7 @@ const lerp = THREE.MathUtils.lerp;
 
 
 // --- NEW Swinging Set Component ---
-export const SwingingSet = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge=1, // Age unlikely to affect structure
+export const SwingingSet = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge=1, // Age unlikely to affect structure
     // Frame dimensions
     height = 2.2,        // Overall height to top bar
     width = 2.5,         // Overall width between A-frame bases
@@ -75,7 +75,7 @@ export const SwingingSet = React.memo(({ position, isSelected, onSelect, onPoint
 
     // --- Component Rendering ---
     return (
-        <ObjectBase position={position} rotationY={rotationY} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="swing_set">
+        <ObjectBase position={position} rotationY={rotationY} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="swing_set">
 
             {/* Top Bar */}
             <mesh position={[topBarLength / 2, topBarY, 0]} rotation={[0, 0, Math.PI / 2]} scale={[1, topBarLength, 1]} geometry={poleGeo} material={frameMat} castShadow receiveShadow/>
@@ -140,3 +140,5 @@ SwingingSet.editorSchema = [
     { name: 'swingChainColor', label: 'Chain Color', type: 'color', defaultValue: "#808080" },
     { name: 'rotationY', label: 'Rotation Y', type: 'number', step: 1, min: 0, max: 360, defaultValue: 0 },
 ];
+
+SwingingSet.getBounds = ({ height = 2.2, width = 2.5, depth = 1.8 }) => ({ shape: 'rect', length: width, width: depth, height });
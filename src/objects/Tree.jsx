@@ -16,7 +16,7 @@ const tempVec = new THREE.Vector3();
 const tempQuaternion = new THREE.Quaternion();
 const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
-export const Tree = React.memo(({ position, isSelected, onSelect, onPointerDown, objectId, globalAge = 1,
+export const Tree = React.memo(({ position, onSelect, onPointerDown, objectId, globalAge = 1,
     // Editable properties with defaults
     trunkColor = "#8B4513",
     foliageColor = "#2E7D32",
@@ -42,7 +42,7 @@ export const Tree = React.memo(({ position, isSelected, onSelect, onPointerDown,
     const layer3Y = currentTrunkHeight + layer1Height * 0.6 + layer2Height * 0.6 + layer3Height / 2;
 
     return (
-        <ObjectBase position={position} isSelected={isSelected} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="tree">
+        <ObjectBase position={position} onSelect={onSelect} onPointerDown={onPointerDown} objectId={objectId} type="tree">
             {/* Trunk */}
             <mesh position={[0, currentTrunkHeight / 2, 0]} castShadow>
                 <cylinderGeometry args={[0.04 * globalAge, 0.12 * globalAge, currentTrunkHeight, 8]} />
@@ -77,3 +77,9 @@ Tree.editorSchema = [
     { name: 'trunkColor', label: 'Trunk Clr', type: 'color', defaultValue: "#8B4513" },
     { name: 'foliageColor', label: 'Foliage Clr', type: 'color', defaultValue: "#2E7D32" },
 ];
+
+Tree.getBounds = ({ globalAge = 1, maxTrunkHeight = 0.8, maxFoliageHeight = 1.2, maxFoliageRadius = 0.5 }) => ({
+    shape: 'circle',
+    radius: lerp(0.05, maxFoliageRadius, globalAge),
+    height: lerp(0.1, maxTrunkHeight, globalAge) + lerp(0.1, maxFoliageHeight, globalAge),
+});
@@ -54,6 +54,7 @@ export const objectConfigurations = [
     { name: "Wood Panel (Horiz)", type: "fence_panel", props: { pattern: 'horizontal_stripes', color1: "#BC8F8F", color2: "#A0522D", thickness: 0.1, spacing: 0.02 } },
     { name: "Wire Mesh Fence", type: "fence_panel", props: { pattern: 'wire_mesh', color1: "#555555", thickness: 0.015, spacing: 0.08, backgroundColor: '#AAAAAA44' } }, // Semi-transparent BG
     { name: "Diagonal Slats", type: "fence_panel", props: { pattern: 'vertical_stripes', rotation: 45, color1: "#D2B48C", color2: "#CD853F", thickness: 0.06, spacing: 0.06 } },
+    { name: "Wood Post", type: "fence_post", props: { size: 0.1, height: 1.3, color: "#8B6F47" } },
 
     // Raised Beds
     { name: "Wooden Bed", type: "raised_bed", props: { length: 2.0, width: 0.6, height: 0.25, frameColor: "#A0522D", soilColor: "#6B4423" } },
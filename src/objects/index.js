@@ -6,6 +6,7 @@ import { Shrub } from './Shrub';
 import { Grass } from './Grass';
 import { DeciduousTree } from './DeciduousTree';
 import { Hedge } from './Hedge';
+import { HedgeRow } from './HedgeRow';
 import { SmallFruitBush } from './SmallFruitBush';
 import { GroundFruit } from './GroundFruit';
 import { SmallFlower } from './SmallFlower';
@@ -19,11 +20,13 @@ import { GravelPatch } from './GravelPatch';
 import { House } from './House';
 import { Paver } from './Paver';
 import { FencePanel } from './FencePanel';
+import { FencePost } from './FencePost';
 import { Bench } from './Bench';
 import { Pot } from './Pot';
 import { Boulder } from './Boulder';
 import { SwingingSet } from './SwingingSet';
 import { Greenhouse } from './Greenhouse';
+import { GardenPath } from './GardenPath';
 
 // Create the component map
 export const ObjectComponents = {
@@ -32,6 +35,7 @@ export const ObjectComponents = {
     shrub: Shrub,
     grass: Grass,
     hedge: Hedge,
+    hedge_row: HedgeRow,
     small_fruit_bush: SmallFruitBush,
     ground_fruit: GroundFruit,
     ground_flower: SmallFlower,
@@ -45,11 +49,13 @@ export const ObjectComponents = {
     house: House,
     paver: Paver,
     fence_panel: FencePanel,
+    fence_post: FencePost,
     bench: Bench,
     pot: Pot,
     boulder: Boulder,
     swing_set: SwingingSet,
     greenhouse: Greenhouse,
+    garden_path: GardenPath,
 };
 
 // Re-export configurations
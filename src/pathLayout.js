@@ -0,0 +1,139 @@
+// src/pathLayout.js
+// Garden paths: a polyline of [x, z] points in meters, relative to the path object's origin,
+// filled with stepping stones, a paver surface or a gravel strip. Everything here is derived
+// from the path's props, so the stones regenerate whenever the path changes.
+// Angles follow the object rotationY convention (radians, counter-clockwise seen from above).
+
+export const PATH_FILLS = [
+    { value: "stepping_stones", label: "Stepping stones" },
+    { value: "pavers", label: "Pavers" },
+    { value: "gravel", label: "Gravel strip" },
+];
+
+const getSegments = (points) => {
+    const segments = [];
+    for (let i = 0; i + 1 < points.length; i++) {
+        const [x0, z0] = points[i];
+        const [x1, z1] = points[i + 1];
+        const length = Math.hypot(x1 - x0, z1 - z0);
+        if (length > 1e-6) segments.push({ x0, z0, x1, z1, length, angle: Math.atan2(-(z1 - z0), x1 - x0) });
+    }
+    return segments;
+};
+
+export const getPathLength = (points) => getSegments(points ?? []).reduce((sum, s) => sum + s.length, 0);
+
+// Plants needed for a row along the path, one at each end and every `spacing` meters between
+export const getRowPlantCount = (points, spacing) => {
+    const length = getPathLength(points);
+    return length > 0 ? Math.ceil(length / Math.max(0.05, spacing) - 1e-6) + 1 : 0;
+};
+
+// Stone centers every `spacing` meters along the path, the first half a spacing in: [{ x, z, angle }]
+export function getSteppingStoneLayout(points, spacing) {
+    const step = Math.max(0.1, spacing);
+    const stones = [];
+    let next = step / 2; // Distance along the path of the next stone
+    let walked = 0;
+    getSegments(points ?? []).forEach((segment) => {
+        while (next <= walked + segment.length) {
+            const t = (next - walked) / segment.length;
+            stones.push({
+                x: segment.x0 + (segment.x1 - segment.x0) * t,
+                z: segment.z0 + (segment.z1 - segment.z0) * t,
+                angle: segment.angle,
+            });
+            next += step;
+        }
+        walked += segment.length;
+    });
+    return stones;
+}
+
+// Slabs covering each segment in rows across the width, close to paverSize square:
+// { slabs: [{ x, z, angle, length, width }], joints: [{ x, z }] }.
+// Joints are the inner corners, where a round slab fills the gap between two segments.
+export function getPaverLayout(points, width, paverSize) {
+    const size = Math.max(0.1, paverSize);
+    const rows = Math.max(1, Math.round(width / size));
+    const slabWidth = width / rows;
+    const segments = getSegments(points ?? []);
+    const slabs = [];
+    segments.forEach((segment) => {
+        const count = Math.max(1, Math.round(segment.length / size));
+        const slabLength = segment.length / count;
+        const dirX = (segment.x1 - segment.x0) / segment.length;
+        const dirZ = (segment.z1 - segment.z0) / segment.length;
+        for (let i = 0; i < count; i++) {
+            const along = (i + 0.5) * slabLength;
+            for (let row = 0; row < rows; row++) {
+                const across = (row + 0.5) * slabWidth - width / 2;
+                slabs.push({
+                    x: segment.x0 + dirX * along - dirZ * across,
+                    z: segment.z0 + dirZ * along + dirX * across,
+                    angle: segment.angle,
+                    length: slabLength,
+                    width: slabWidth,
+                });
+            }
+        }
+    });
+    const joints = segments.slice(1).map((segment) => ({ x: segment.x0, z: segment.z0 }));
+    return { slabs, joints };
+}
+
+// Left/right edge points of a strip along the path, at most maxStep meters apart, with
+// mitered corners: [{ left: [x, z], right: [x, z], along }] where along is the distance from the start
+export function getPathStrip(points, width, maxStep = 0.25) {
+    const segments = getSegments(points ?? []);
+    if (segments.length === 0) return [];
+    const half = width / 2;
+    const normalOf = (s) => [-(s.z1 - s.z0) / s.length, (s.x1 - s.x0) / s.length];
+    // Corner offset between two segments, limited so sharp turns don't spike out
+    const miter = (a, b) => {
+        const [ax, az] = normalOf(a);
+        const [bx, bz] = normalOf(b);
+        const mx = ax + bx;
+        const mz = az + bz;
+        const lengthSq = mx * mx + mz * mz;
+        if (lengthSq < 1e-6) return [ax * half, az * half];
+        const scale = Math.min((2 * half) / lengthSq, half * 3 / Math.sqrt(lengthSq));
+        return [mx * scale, mz * scale];
+    };
+    const strip = [];
+    let walked = 0;
+    segments.forEach((segment, i) => {
+        const [nx, nz] = normalOf(segment);
+        const startOffset = i === 0 ? [nx * half, nz * half] : miter(segments[i - 1], segment);
+        const endOffset = i === segments.length - 1 ? [nx * half, nz * half] : miter(segment, segments[i + 1]);
+        const steps = Math.max(1, Math.ceil(segment.length / maxStep));
+        for (let step = i === 0 ? 0 : 1; step <= steps; step++) {
+            const t = step / steps;
+            const cx = segment.x0 + (segment.x1 - segment.x0) * t;
+            const cz = segment.z0 + (segment.z1 - segment.z0) * t;
+            // Only the corner points use the miter, the rest keeps the segment's own width
+            const [ox, oz] = step === 0 ? startOffset : step === steps ? endOffset : [nx * half, nz * half];
+            strip.push({ left: [cx + ox, cz + oz], right: [cx - ox, cz - oz], along: walked + segment.length * t });
+        }
+        walked += segment.length;
+    });
+    return strip;
+}
+
+// Path object placement for points drawn in world coordinates: the origin is the center of
+// their bounding box and the points become relative to it. Returns { worldX, worldZ, points }.
+export function centerPathPoints(worldPoints) {
+    const xs = worldPoints.map(([x]) => x);
+    const zs = worldPoints.map(([, z]) => z);
+    const worldX = (Math.min(...xs) + Math.max(...xs)) / 2;
+    const worldZ = (Math.min(...zs) + Math.max(...zs)) / 2;
+    const round = (v) => Math.round(v * 1000) / 1000;
+    return { worldX, worldZ, points: worldPoints.map(([x, z]) => [round(x - worldX), round(z - worldZ)]) };
+}
+
+// Number of stones, slabs or square meters of gravel a path needs
+export function getPathMaterialCount({ points, fill, width, spacing, stoneSize }) {
+    if (fill === "stepping_stones") return { count: getSteppingStoneLayout(points, spacing).length, unit: "stones" };
+    if (fill === "pavers") return { count: getPaverLayout(points, width, stoneSize).slabs.length, unit: "pavers" };
+    return { count: Math.round(getPathLength(points) * width * 10) / 10, unit: "m² gravel" };
+}
@@ -0,0 +1,348 @@
+// src/planExport.js
+// Top-down 2D plan of a garden as a standalone SVG document (for printing).
+// Plan orientation: +X to the right, +Z down the page, north (-Z) at the top.
+import { getCellSize } from "./PlanEditor";
+import { computeContours, getContourLabelPlacement, formatContourLevel } from "./contours";
+import { getGroundMaterial, computeMaterialAreas } from "./groundMaterials";
+import { computeWaterBodies } from "./waterBodies";
+import { getObjectFootprint } from "./objectBounds";
+
+const PLAN_MAX_SIZE_PX = 800; // Longest side of the drawn plan
+const MARGIN_PX = 50;
+const LEGEND_WIDTH_PX = 240;
+const LEGEND_ROW_PX = 22;
+const FONT = "Helvetica, Arial, sans-serif";
+
+const escapeXml = (text) =>
+    String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+const fmt = (n) => Number(n.toFixed(3)); // Keep the SVG compact
+
+// --- Plan Symbols ---
+// Symbols are in meters, in object-local coordinates (before rotation):
+//   { shape: "circle", radius } | { shape: "rect", length, width } | { shape: "line", length }
+//   | { shape: "path", points: [[x, z], ...], width } (a polyline drawn as a wide stroke)
+// Their size is the object's footprint at full size (see objectBounds.js), so the plan shows
+// what the scene outlines and the design checks measure. Each type only adds its styling here;
+// asLine draws a rect footprint as a line along its length.
+const PLAN_STYLES = {
+    tree: (o) => ({ canopy: true, fill: o.foliageColor }),
+    deciduous_tree: (o) => ({ canopy: true, fill: o.foliageColor }),
+    shrub: (o) => ({ canopy: true, fill: o.color }),
+    grass: (o) => ({ fill: o.topColor }),
+    small_fruit_bush: (o) => ({ canopy: true, fill: o.foliageColor }),
+    ground_fruit: (o) => ({ fill: o.leafColor }),
+    ground_flower: (o) => ({ fill: o.flowerColor }),
+    stepping_stone: (o) => ({ fill: o.color }),
+    boulder: (o) => ({ fill: o.color }),
+    pot: (o) => ({ fill: o.color }),
+    garden_light: (o) => ({ fill: o.lightColor }),
+    hedge: (o) => ({ fill: o.color }),
+    hedge_row: (o) => ({ fill: o.color }),
+    raised_bed: (o) => ({ fill: o.soilColor, stroke: o.frameColor }),
+    gravel_patch: (o) => ({ fill: o.color1 }),
+    house: (o) => ({ fill: o.roofColor, hatch: true }),
+    paver: (o) => ({ fill: o.color }),
+    rect_stepping_stone: (o) => ({ fill: o.color }),
+    pergola: (o) => ({ fill: "none", stroke: o.postColor, dashed: true }),
+    greenhouse: (o) => ({ fill: o.glassColor, stroke: o.frameColor }),
+    bench: (o) => ({ fill: o.color }),
+    car: (o) => ({ fill: o.color }),
+    swing_set: (o) => ({ fill: "none", stroke: o.materialColor, dashed: true }),
+    fence_panel: (o) => ({ asLine: true, stroke: o.color1 }),
+    fence_post: (o) => ({ fill: o.color }),
+    garden_path: (o) => ({ fill: o.color, dashed: (o.fill ?? "stepping_stones") === "stepping_stones" }), // Same default as GardenPath
+};
+
+export function getPlanSymbol(obj) {
+    const { asLine = false, ...style } = PLAN_STYLES[obj.type]?.(obj) ?? {};
+    // Footprint in the object's own frame: placed at the origin without rotation
+    const footprint = getObjectFootprint({ ...obj, worldX: 0, worldZ: 0, rotationY: 0 }, 1);
+    const shape =
+        footprint.shape === "circle"
+            ? { shape: "circle", radius: footprint.radius }
+            : footprint.shape === "polyline"
+                ? { shape: "path", points: footprint.points, width: footprint.halfWidth * 2 }
+                : asLine
+                    ? { shape: "line", length: footprint.halfLength * 2 }
+                    : { shape: "rect", length: footprint.halfLength * 2, width: footprint.halfWidth * 2 };
+    return { fill: "#999999", stroke: "#333333", ...shape, ...style };
+}
+
+// Draws a symbol centered at the origin, sized with `scale` px per meter
+function renderSymbol(symbol, scale) {
+    const fill = escapeXml(symbol.fill || "#999999");
+    const stroke = escapeXml(symbol.stroke || "#333333");
+    const dash = symbol.dashed ? ' stroke-dasharray="4 3"' : "";
+    switch (symbol.shape) {
+        case "circle": {
+            const r = fmt(symbol.radius * scale);
+            const opacity = symbol.canopy ? ' fill-opacity="0.6"' : "";
+            // Canopies get a trunk dot in the middle, like on a planting plan
+            const trunk = symbol.canopy ? `<circle r="${fmt(Math.max(1, r * 0.08))}" fill="#5D4037"/>` : "";
+            return `<circle r="${r}" fill="${fill}"${opacity} stroke="${stroke}" stroke-width="1"${dash}/>${trunk}`;
+        }
+        case "rect": {
+            const w = fmt(symbol.length * scale);
+            const h = fmt(symbol.width * scale);
+            const hatch = symbol.hatch
+                ? `<line x1="${-w / 2}" y1="${-h / 2}" x2="${w / 2}" y2="${h / 2}" stroke="${stroke}" stroke-width="0.75"/>` +
+                  `<line x1="${-w / 2}" y1="${h / 2}" x2="${w / 2}" y2="${-h / 2}" stroke="${stroke}" stroke-width="0.75"/>`
+                : "";
+            return `<rect x="${-w / 2}" y="${-h / 2}" width="${w}" height="${h}" fill="${fill}" stroke="${stroke}" stroke-width="1"${dash}/>${hatch}`;
+        }
+        case "line": {
+            const half = fmt((symbol.length * scale) / 2);
+            return `<line x1="${-half}" y1="0" x2="${half}" y2="0" stroke="${stroke}" stroke-width="3" stroke-linecap="square"/>`;
+        }
+        case "path": {
+            const points = symbol.points.map(([x, z]) => `${fmt(x * scale)},${fmt(z * scale)}`).join(" ");
+            const width = fmt(symbol.width * scale);
+            // Stepping stones as a dotted trail of stone-sized dashes, other fills as a solid band
+            const pathDash = symbol.dashed ? ` stroke-dasharray="${width} ${width / 2}"` : "";
+            return `<polyline points="${points}" fill="none" stroke="${stroke}" stroke-width="${fmt(width + 2)}" stroke-linejoin="round"${pathDash}/>` +
+                `<polyline points="${points}" fill="none" stroke="${fill}" stroke-width="${width}" stroke-linejoin="round"${pathDash}/>`;
+        }
+        default:
+            return "";
+    }
+}
+
+// Largest 1/2/5 x 10^n length not longer than maxLength
+function niceLength(maxLength) {
+    const power = Math.pow(10, Math.floor(Math.log10(maxLength)));
+    for (const step of [5, 2, 1]) {
+        if (step * power <= maxLength) return step * power;
+    }
+    return power;
+}
+
+// Returns the SVG document as a string.
+// contours: optional { interval, majorEvery } to draw elevation contours over the ground
+export function createPlanSVG({ heightData, materialData, objects, settings, contours = null, title = "Garden Plan" }) {
+    const cellSize = getCellSize(settings);
+    const gridHeight = heightData.length;
+    const gridWidth = heightData[0]?.length ?? 0;
+    const worldWidth = gridWidth * cellSize;
+    const worldDepth = gridHeight * cellSize;
+    const scale = PLAN_MAX_SIZE_PX / Math.max(worldWidth, worldDepth, 1); // px per meter
+    const planW = worldWidth * scale;
+    const planH = worldDepth * scale;
+    const planX = MARGIN_PX;
+    const planY = MARGIN_PX + 20; // Room for the title
+
+    // World (x, z) -> page (x, y)
+    const toPageX = (worldX) => fmt(planX + (worldX + worldWidth / 2) * scale);
+    const toPageY = (worldZ) => fmt(planY + (worldZ + worldDepth / 2) * scale);
+
+    const validObjects = (objects ?? []).filter(Boolean);
+    const parts = [];
+
+    // Ground materials
+    const cellPx = cellSize * scale;
+    parts.push('<g id="ground" shape-rendering="crispEdges">');
+    for (let z = 0; z < gridHeight; z++) {
+        for (let x = 0; x < gridWidth; x++) {
+            const color = escapeXml(getGroundMaterial(materialData[z]?.[x]).color);
+            parts.push(
+                `<rect x="${fmt(planX + x * cellPx)}" y="${fmt(planY + z * cellPx)}" width="${fmt(cellPx)}" height="${fmt(cellPx)}" fill="${color}"/>`
+            );
+        }
+    }
+    parts.push("</g>");
+
+    // Ponds: flooded cells in translucent blue, labeled with their level
+    const ponds = computeWaterBodies(heightData, cellSize, settings?.waterBodies).filter((pond) => pond.cells.length > 0);
+    if (ponds.length > 0) {
+        parts.push('<g id="ponds" shape-rendering="crispEdges">');
+        ponds.forEach((pond) => {
+            parts.push(`<g fill="#3f8fc4" fill-opacity="0.75"><title>${escapeXml(pond.name)}</title>`);
+            pond.cells.forEach(([x, z]) => {
+                parts.push(
+                    `<rect x="${fmt(planX + x * cellPx)}" y="${fmt(planY + z * cellPx)}" width="${fmt(cellPx)}" height="${fmt(cellPx)}"/>`
+                );
+            });
+            parts.push("</g>");
+        });
+        parts.push("</g>");
+        parts.push(`<g id="pond-labels" font-family="${FONT}" font-size="10" fill="#0d47a1" text-anchor="middle">`);
+        ponds.forEach((pond) => {
+            parts.push(
+                `<text x="${toPageX(pond.worldX)}" y="${toPageY(pond.worldZ)}" stroke="#ffffff" stroke-width="2.5" paint-order="stroke">` +
+                `${escapeXml(pond.name)} ${fmt(pond.level)} m</text>`
+            );
+        });
+        parts.push("</g>");
+    }
+
+    // Grid lines and extents
+    parts.push('<g id="grid" stroke="#000000" stroke-opacity="0.15" stroke-width="0.5">');
+    for (let x = 1; x < gridWidth; x++) {
+        const px = fmt(planX + x * cellPx);
+        parts.push(`<line x1="${px}" y1="${planY}" x2="${px}" y2="${fmt(planY + planH)}"/>`);
+    }
+    for (let z = 1; z < gridHeight; z++) {
+        const py = fmt(planY + z * cellPx);
+        parts.push(`<line x1="${planX}" y1="${py}" x2="${fmt(planX + planW)}" y2="${py}"/>`);
+    }
+    parts.push("</g>");
+    parts.push(
+        `<rect x="${planX}" y="${planY}" width="${fmt(planW)}" height="${fmt(planH)}" fill="none" stroke="#000000" stroke-width="1.5"/>`
+    );
+
+    // Elevation contours, major lines labeled with their height
+    if (contours) {
+        const lines = computeContours(heightData, cellSize, contours);
+        parts.push('<g id="contours" fill="none" stroke="#4e342e" stroke-linejoin="round">');
+        lines.forEach(({ points, major }) => {
+            const d = points
+                .map(([x, z], i) => `${i === 0 ? "M" : "L"} ${toPageX(x)} ${toPageY(z)}`)
+                .join(" ");
+            parts.push(`<path d="${d}" stroke-width="${major ? 1.4 : 0.6}" stroke-opacity="${major ? 1 : 0.7}"/>`);
+        });
+        parts.push("</g>");
+        parts.push(`<g id="contour-labels" font-family="${FONT}" font-size="9" fill="#3e2723" text-anchor="middle">`);
+        lines.forEach(({ points, major, level }) => {
+            if (!major) return;
+            const placement = getContourLabelPlacement(points, 60 / scale); // Label lines longer than ~60 px
+            if (!placement) return;
+            const px = toPageX(placement.position[0]);
+            const py = toPageY(placement.position[1]);
+            parts.push(
+                `<text x="${px}" y="${fmt(py + 3)}" transform="rotate(${fmt((placement.angle * 180) / Math.PI)} ${px} ${py})" ` +
+                `stroke="#ffffff" stroke-width="2.5" paint-order="stroke">${formatContourLevel(level, contours.interval)}</text>`
+            );
+        });
+        parts.push("</g>");
+    }
+
+    // Overall dimensions along the top and left edges
+    parts.push(`<g id="dimensions" font-family="${FONT}" font-size="11" fill="#000000" stroke="#000000" stroke-width="0.75">`);
+    const dimY = planY - 8;
+    parts.push(`<line x1="${planX}" y1="${dimY}" x2="${fmt(planX + planW)}" y2="${dimY}"/>`);
+    parts.push(`<line x1="${planX}" y1="${dimY - 4}" x2="${planX}" y2="${dimY + 4}"/>`);
+    parts.push(`<line x1="${fmt(planX + planW)}" y1="${dimY - 4}" x2="${fmt(planX + planW)}" y2="${dimY + 4}"/>`);
+    parts.push(
+        `<text x="${fmt(planX + planW / 2)}" y="${dimY - 4}" text-anchor="middle" stroke="none">${fmt(worldWidth)} m</text>`
+    );
+    const dimX = planX - 8;
+    parts.push(`<line x1="${dimX}" y1="${planY}" x2="${dimX}" y2="${fmt(planY + planH)}"/>`);
+    parts.push(`<line x1="${dimX - 4}" y1="${planY}" x2="${dimX + 4}" y2="${planY}"/>`);
+    parts.push(`<line x1="${dimX - 4}" y1="${fmt(planY + planH)}" x2="${dimX + 4}" y2="${fmt(planY + planH)}"/>`);
+    parts.push(
+        `<text x="${dimX - 4}" y="${fmt(planY + planH / 2)}" text-anchor="middle" stroke="none" transform="rotate(-90 ${dimX - 4} ${fmt(planY + planH / 2)})">${fmt(worldDepth)} m</text>`
+    );
+    parts.push("</g>");
+
+    // Objects: flat items first so canopies are drawn on top of paving and beds
+    const symbols = new Map(validObjects.map((obj) => [obj, getPlanSymbol(obj)]));
+    const drawOrder = [...validObjects].sort(
+        (a, b) => Number(symbols.get(a).canopy ?? false) - Number(symbols.get(b).canopy ?? false)
+    );
+    parts.push('<g id="objects">');
+    drawOrder.forEach((obj) => {
+        const symbol = symbols.get(obj);
+        parts.push(
+            `<g transform="translate(${toPageX(obj.worldX)} ${toPageY(obj.worldZ)}) rotate(${fmt(-(obj.rotationY ?? 0))})">` +
+            `<title>${escapeXml(obj.name || obj.type)}</title>${renderSymbol(symbol, scale)}</g>`
+        );
+    });
+    parts.push("</g>");
+
+    // North arrow (top right corner of the plan)
+    const arrowX = fmt(planX + planW - 25);
+    const arrowY = planY + 20;
+    parts.push(
+        `<g id="north-arrow" transform="translate(${arrowX} ${arrowY})" font-family="${FONT}">` +
+        '<circle r="16" fill="#ffffff" fill-opacity="0.85" stroke="#000000" stroke-width="1"/>' +
+        '<path d="M 0 -13 L 6 8 L 0 4 L -6 8 Z" fill="#000000"/>' +
+        '<text y="-19" text-anchor="middle" font-size="12" font-weight="bold">N</text>' +
+        "</g>"
+    );
+
+    // Scale bar (below the plan), split into 4 alternating segments
+    const barLength = niceLength(Math.max(worldWidth, worldDepth) / 4);
+    const barPx = barLength * scale;
+    const barX = planX;
+    const barY = fmt(planY + planH + 24);
+    parts.push(`<g id="scale-bar" font-family="${FONT}" font-size="11">`);
+    for (let i = 0; i < 4; i++) {
+        parts.push(
+            `<rect x="${fmt(barX + (i * barPx) / 4)}" y="${barY}" width="${fmt(barPx / 4)}" height="6" fill="${i % 2 === 0 ? "#000000" : "#ffffff"}" stroke="#000000" stroke-width="0.75"/>`
+        );
+    }
+    parts.push(`<text x="${barX}" y="${barY + 20}" text-anchor="middle">0</text>`);
+    parts.push(`<text x="${fmt(barX + barPx)}" y="${barY + 20}" text-anchor="middle">${fmt(barLength)} m</text>`);
+    parts.push(
+        `<text x="${fmt(barX + barPx + 30)}" y="${barY + 7}">Grid: ${fmt(cellSize)} m cells` +
+        (contours ? `, contours every ${fmt(contours.interval)} m` : "") + "</text>"
+    );
+    parts.push("</g>");
+
+    // Legend grouped by object name (same grouping as the object list export)
+    const legendEntries = [];
+    const byName = new Map();
+    validObjects.forEach((obj) => {
+        const name = obj.name || obj.type;
+        if (!byName.has(name)) {
+            const entry = { name, count: 0, sample: obj };
+            byName.set(name, entry);
+            legendEntries.push(entry);
+        }
+        byName.get(name).count++;
+    });
+    legendEntries.sort((a, b) => a.name.localeCompare(b.name));
+
+    const legendX = fmt(planX + planW + 40);
+    parts.push(`<g id="legend" font-family="${FONT}" font-size="12">`);
+    parts.push(`<text x="${legendX}" y="${planY + 4}" font-weight="bold" font-size="14">Legend</text>`);
+    legendEntries.forEach((entry, i) => {
+        const rowY = planY + 24 + i * LEGEND_ROW_PX;
+        const symbol = getPlanSymbol(entry.sample);
+        // Legend symbols are drawn at a fixed size, only the shape matters here
+        const legendSymbol =
+            symbol.shape === "circle"
+                ? { ...symbol, radius: 7 }
+                : symbol.shape === "rect"
+                    ? { ...symbol, length: 16, width: 10 }
+                    : symbol.shape === "path"
+                        ? { ...symbol, points: [[-8, 4], [-2, -3], [8, 2]], width: 4 }
+                        : { ...symbol, length: 16 };
+        parts.push(
+            `<g transform="translate(${fmt(legendX + 8)} ${rowY})">${renderSymbol(legendSymbol, 1)}</g>` +
+            `<text x="${fmt(legendX + 26)}" y="${rowY + 4}">${escapeXml(entry.name)} × ${entry.count}</text>`
+        );
+    });
+    if (legendEntries.length === 0)
+        parts.push(`<text x="${legendX}" y="${planY + 28}" fill="#777777">No objects</text>`);
+
+    // Ground materials with their areas, below the object entries
+    const materialAreas = computeMaterialAreas(materialData, cellSize);
+    const groundY = planY + 24 + Math.max(1, legendEntries.length) * LEGEND_ROW_PX + 16;
+    parts.push(`<text x="${legendX}" y="${groundY}" font-weight="bold" font-size="14">Ground</text>`);
+    materialAreas.forEach((entry, i) => {
+        const rowY = groundY + 20 + i * LEGEND_ROW_PX;
+        parts.push(
+            `<rect x="${legendX}" y="${rowY - 6}" width="16" height="12" fill="${escapeXml(getGroundMaterial(entry.id).color)}" stroke="#333333" stroke-width="1"/>` +
+            `<text x="${fmt(legendX + 26)}" y="${rowY + 4}">${escapeXml(entry.name)} ${entry.area.toFixed(1)} m²</text>`
+        );
+    });
+    parts.push("</g>");
+
+    const legendHeight = groundY - planY + 20 + materialAreas.length * LEGEND_ROW_PX;
+    const svgWidth = fmt(planX + planW + 40 + LEGEND_WIDTH_PX);
+    const svgHeight = fmt(Math.max(planY + planH + 60, planY + legendHeight) + MARGIN_PX / 2);
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">`,
+        `<rect width="100%" height="100%" fill="#ffffff"/>`,
+        `<text x="${planX}" y="${MARGIN_PX - 20}" font-family="${FONT}" font-size="18" font-weight="bold">${escapeXml(title)}</text>`,
+        ...parts,
+        "</svg>",
+    ].join("\n");
+}
@@ -0,0 +1,182 @@
+// src/projectStore.js
+// IndexedDB-backed storage for multiple named garden projects.
+// Metadata (name, dates, thumbnail) and the heavy project data live in separate
+// object stores so the project browser can list gardens without loading grids.
+import { getCellSize } from "./PlanEditor";
+import { getGroundMaterial } from "./groundMaterials";
+
+const DB_NAME = "gardenPlanner";
+const DB_VERSION = 1;
+const META_STORE = "projects"; // { id, name, createdAt, modifiedAt, thumbnail }
+const DATA_STORE = "projectData"; // { id, data }
+const THUMBNAIL_SIZE = 96; // px
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(META_STORE))
+                    db.createObjectStore(META_STORE, { keyPath: "id" });
+                if (!db.objectStoreNames.contains(DATA_STORE))
+                    db.createObjectStore(DATA_STORE, { keyPath: "id" });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null; // Allow a retry on the next call
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+const requestToPromise = (request) =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+// Runs fn(stores) in one transaction and resolves once it has committed
+async function withStores(mode, fn) {
+    const db = await openDatabase();
+    const tx = db.transaction([META_STORE, DATA_STORE], mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn({
+        meta: tx.objectStore(META_STORE),
+        data: tx.objectStore(DATA_STORE),
+    });
+    await done;
+    return result;
+}
+
+const generateProjectId = () =>
+    globalThis.crypto?.randomUUID?.() ??
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Renders a small top-down preview (ground material colors shaded by height, objects as dots)
+export function createThumbnail(data) {
+    const heightData = data?.heightData ?? [];
+    const materialData = data?.materialData ?? [];
+    const gridHeight = heightData.length;
+    const gridWidth = heightData[0]?.length ?? 0;
+    if (gridWidth === 0 || gridHeight === 0) return null;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = THUMBNAIL_SIZE;
+    canvas.height = THUMBNAIL_SIZE;
+    const ctx = canvas.getContext("2d");
+    const scale = THUMBNAIL_SIZE / Math.max(gridWidth, gridHeight);
+    const offsetX = (THUMBNAIL_SIZE - gridWidth * scale) / 2;
+    const offsetY = (THUMBNAIL_SIZE - gridHeight * scale) / 2;
+
+    let maxHeight = 0;
+    heightData.forEach((row) => row.forEach((h) => (maxHeight = Math.max(maxHeight, h))));
+
+    ctx.fillStyle = "#282c34";
+    ctx.fillRect(0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+    for (let z = 0; z < gridHeight; z++) {
+        for (let x = 0; x < gridWidth; x++) {
+            ctx.fillStyle = getGroundMaterial(materialData[z]?.[x]).color;
+            ctx.fillRect(offsetX + x * scale, offsetY + z * scale, Math.ceil(scale), Math.ceil(scale));
+            // Darken lower cells a bit so relief is visible
+            const shade = maxHeight > 0 ? 1 - heightData[z][x] / maxHeight : 0;
+            ctx.fillStyle = `rgba(0, 0, 0, ${(shade * 0.35).toFixed(2)})`;
+            ctx.fillRect(offsetX + x * scale, offsetY + z * scale, Math.ceil(scale), Math.ceil(scale));
+        }
+    }
+
+    ctx.fillStyle = "#1B5E20";
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 0.5;
+    const cellSize = getCellSize(data.settings);
+    (data.objects ?? []).forEach((obj) => {
+        if (!obj) return;
+        const px = offsetX + (obj.worldX / cellSize + gridWidth / 2) * scale;
+        const py = offsetY + (obj.worldZ / cellSize + gridHeight / 2) * scale;
+        ctx.beginPath();
+        ctx.arc(px, py, Math.max(1.5, scale * 0.3), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    });
+
+    return canvas.toDataURL("image/png");
+}
+
+// Project metadata, most recently modified first
+export async function listProjects() {
+    const projects = await withStores("readonly", ({ meta }) =>
+        requestToPromise(meta.getAll())
+    );
+    return projects.sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
+
+export async function getProject(id) {
+    return withStores("readonly", ({ meta }) => requestToPromise(meta.get(id)));
+}
+
+// Save data of a project, or null if nothing was saved yet
+export async function loadProjectData(id) {
+    const record = await withStores("readonly", ({ data }) =>
+        requestToPromise(data.get(id))
+    );
+    return record?.data ?? null;
+}
+
+export async function createProject(name, data = null) {
+    const now = Date.now();
+    const project = {
+        id: generateProjectId(),
+        name,
+        createdAt: now,
+        modifiedAt: now,
+        thumbnail: data ? createThumbnail(data) : null,
+    };
+    await withStores("readwrite", ({ meta, data: dataStore }) => {
+        meta.put(project);
+        if (data) dataStore.put({ id: project.id, data });
+    });
+    return project;
+}
+
+export async function saveProjectData(id, data) {
+    const thumbnail = createThumbnail(data);
+    return withStores("readwrite", async ({ meta, data: dataStore }) => {
+        const project = await requestToPromise(meta.get(id));
+        if (!project) throw new Error(`Project ${id} does not exist`);
+        const updated = { ...project, modifiedAt: Date.now(), thumbnail };
+        meta.put(updated);
+        dataStore.put({ id, data });
+        return updated;
+    });
+}
+
+export async function renameProject(id, name) {
+    return withStores("readwrite", async ({ meta }) => {
+        const project = await requestToPromise(meta.get(id));
+        if (!project) throw new Error(`Project ${id} does not exist`);
+        const updated = { ...project, name, modifiedAt: Date.now() };
+        meta.put(updated);
+        return updated;
+    });
+}
+
+export async function duplicateProject(id) {
+    const [project, data] = await Promise.all([getProject(id), loadProjectData(id)]);
+    if (!project) throw new Error(`Project ${id} does not exist`);
+    return createProject(`${project.name} (copy)`, data);
+}
+
+export async function deleteProject(id) {
+    await withStores("readwrite", ({ meta, data }) => {
+        meta.delete(id);
+        data.delete(id);
+    });
+}
@@ -0,0 +1,111 @@
+// src/saveMigrations.js
+import { gridToWorldCenter, getInitialColorData, COLORS } from "./PlanEditor";
+import { findNearestGroundMaterial, getInitialMaterialData } from "./groundMaterials";
+
+export const CURRENT_SAVE_VERSION = 6;
+
+// Materials for the old height-banded default palette (COLORS), whose yellow and orange
+// bands were tints of grass rather than sand
+const LEGACY_PALETTE_MATERIALS_V6 = ["water", "gravel", "lawn", "lawn", "lawn", "lawn", "lawn", "soil"];
+
+const getGridSize = (data) => ({
+    width: data.heightData?.[0]?.length ?? 0,
+    height: data.heightData?.length ?? 0,
+});
+
+// --- Migration Steps ---
+// MIGRATIONS[n] upgrades a save from version n to n + 1. Each step mutates the
+// (already copied) data in place and returns a list of human-readable changes.
+// Versions that did not change the format have no step.
+const MIGRATIONS = {
+    // v1: objects were anchored to grid cells (gridX/gridZ) instead of world coordinates
+    1: (data) => {
+        const changes = [];
+        const { width, height } = getGridSize(data);
+        let converted = 0;
+        data.objects = (data.objects ?? []).map((obj) => {
+            if (!obj || obj.gridX === undefined || obj.gridZ === undefined) return obj;
+            const { gridX, gridZ, ...rest } = obj;
+            const [worldX, , worldZ] = gridToWorldCenter(gridX, gridZ, 0, width, height);
+            converted++;
+            return { worldX, worldZ, ...rest };
+        });
+        if (converted > 0)
+            changes.push(`Converted ${converted} object(s) from grid cells to world positions`);
+        return changes;
+    },
+
+    // v2: ground colors were not stored, they were derived from height on the fly
+    2: (data) => {
+        if (Array.isArray(data.colorData) && data.colorData.length > 0) return [];
+        data.colorData = getInitialColorData(data.heightData ?? []);
+        return ["Generated ground colors from terrain height"];
+    },
+
+    // v4: objects had no name/rotation and null entries could be left behind
+    4: (data) => {
+        const changes = [];
+        const objects = data.objects ?? [];
+        const validObjects = objects.filter((obj) => obj && typeof obj === "object");
+        if (validObjects.length !== objects.length)
+            changes.push(`Removed ${objects.length - validObjects.length} empty object entries`);
+        let named = 0;
+        data.objects = validObjects.map((obj) => {
+            const newObj = { ...obj };
+            if (newObj.name === undefined) {
+                newObj.name = newObj.type;
+                named++;
+            }
+            newObj.rotationY = newObj.rotationY ?? 0;
+            return newObj;
+        });
+        if (named > 0) changes.push(`Named ${named} object(s) after their type`);
+        return changes;
+    },
+
+    // v5: the ground was painted with raw hex colors instead of named materials
+    5: (data) => {
+        const heightData = data.heightData ?? [];
+        if (!Array.isArray(data.colorData) || data.colorData.length === 0) {
+            data.materialData = getInitialMaterialData(heightData);
+            delete data.colorData;
+            return ["Generated ground materials from terrain height"];
+        }
+        const legacyPalette = Object.fromEntries(
+            COLORS.map((color, i) => [color.toLowerCase(), LEGACY_PALETTE_MATERIALS_V6[i]])
+        );
+        const counts = {};
+        data.materialData = heightData.map((row, z) => row.map((_, x) => {
+            const color = data.colorData[z]?.[x];
+            const id = legacyPalette[String(color).toLowerCase()] ?? findNearestGroundMaterial(color);
+            counts[id] = (counts[id] ?? 0) + 1;
+            return id;
+        }));
+        delete data.colorData;
+        const summary = Object.entries(counts).map(([id, n]) => `${n} ${id}`).join(", ");
+        return [`Converted ground colors to the nearest materials (${summary})`];
+    },
+};
+
+// Upgrades saved project data to CURRENT_SAVE_VERSION, step by step.
+// Returns { data, fromVersion, changes } where changes lists what was modified.
+export function migrateSaveData(rawData) {
+    if (!rawData || typeof rawData !== "object") throw new Error("Invalid data");
+    const fromVersion = rawData.version ?? 1;
+    if (fromVersion > CURRENT_SAVE_VERSION)
+        throw new Error(
+            `Save version ${fromVersion} is newer than supported version ${CURRENT_SAVE_VERSION}`
+        );
+
+    const data = JSON.parse(JSON.stringify(rawData)); // Never modify the caller's object
+    const changes = [];
+    for (let version = fromVersion; version < CURRENT_SAVE_VERSION; version++) {
+        const migrate = MIGRATIONS[version];
+        migrate?.(data).forEach((change) =>
+            changes.push(`v${version} → v${version + 1}: ${change}`)
+        );
+        data.version = version + 1;
+    }
+    data.version = CURRENT_SAVE_VERSION;
+    return { data, fromVersion, changes };
+}
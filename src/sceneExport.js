@@ -0,0 +1,113 @@
+// src/sceneExport.js
+// Exports the live garden scene (terrain + objects) as a binary glTF (.glb) file.
+// Works on clones so the rendered scene is never touched.
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+
+// Helper meshes that only make sense inside the editor
+const EXCLUDED_NODE_NAMES = ["selection-outline"];
+
+const tempMatrix = new THREE.Matrix4();
+const tempColor = new THREE.Color();
+
+// GLTFExporter cannot write ShaderMaterials (fence panels, gravel), so they are
+// replaced by a standard material using the shader's main color when there is one
+function convertMaterial(material) {
+    if (Array.isArray(material)) return material.map(convertMaterial);
+    if (material?.userData?.exportMaterial) return material.userData.exportMaterial; // Terrain, see TerrainMesh.jsx
+    if (!material?.isShaderMaterial) return material;
+    const baseColor = material.uniforms?.uColor1?.value ?? material.uniforms?.uColor?.value;
+    return new THREE.MeshStandardMaterial({
+        name: material.name,
+        color: baseColor?.isColor ? baseColor.clone() : new THREE.Color("#999999"),
+        roughness: 0.9,
+        side: material.side,
+    });
+}
+
+// Not every glTF viewer supports instancing, so each InstancedMesh (grass blades,
+// leaves, flowers) is baked into one regular mesh with per-vertex instance colors
+function bakeInstancedMesh(instancedMesh) {
+    const source = instancedMesh.geometry;
+    if (!source?.attributes.position || instancedMesh.count === 0) return null;
+
+    const parts = [];
+    for (let i = 0; i < instancedMesh.count; i++) {
+        instancedMesh.getMatrixAt(i, tempMatrix);
+        const part = source.clone().applyMatrix4(tempMatrix);
+        if (instancedMesh.instanceColor) {
+            instancedMesh.getColorAt(i, tempColor);
+            const vertexCount = part.attributes.position.count;
+            const existing = part.attributes.color;
+            const colors = new Float32Array(vertexCount * 3);
+            for (let v = 0; v < vertexCount; v++) {
+                colors[v * 3] = tempColor.r * (existing ? existing.getX(v) : 1);
+                colors[v * 3 + 1] = tempColor.g * (existing ? existing.getY(v) : 1);
+                colors[v * 3 + 2] = tempColor.b * (existing ? existing.getZ(v) : 1);
+            }
+            part.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+        }
+        parts.push(part);
+    }
+    const merged = mergeGeometries(parts);
+    parts.forEach((part) => part.dispose());
+    if (!merged) {
+        console.warn(`Could not bake instanced mesh '${instancedMesh.name}' for export`);
+        return null;
+    }
+
+    let material = instancedMesh.material;
+    if (instancedMesh.instanceColor && !Array.isArray(material)) {
+        material = material.clone();
+        material.vertexColors = true;
+    }
+    const mesh = new THREE.Mesh(merged, material);
+    mesh.name = instancedMesh.name;
+    mesh.position.copy(instancedMesh.position);
+    mesh.quaternion.copy(instancedMesh.quaternion);
+    mesh.scale.copy(instancedMesh.scale);
+    return mesh;
+}
+
+function prepareForExport(source, name) {
+    const copy = source.clone();
+    copy.name = name;
+    const excluded = [];
+    const instanced = [];
+    copy.traverse((node) => {
+        if (EXCLUDED_NODE_NAMES.includes(node.name)) excluded.push(node);
+        else if (node.isInstancedMesh) instanced.push(node);
+        else if (node.isMesh) node.material = convertMaterial(node.material);
+    });
+    excluded.forEach((node) => node.removeFromParent());
+    instanced.forEach((node) => {
+        const parent = node.parent;
+        node.removeFromParent();
+        if (!parent || !node.visible) return;
+        const baked = bakeInstancedMesh(node);
+        if (baked) {
+            baked.material = convertMaterial(baked.material);
+            parent.add(baked);
+        }
+    });
+    return copy;
+}
+
+// terrain / objects: the Object3D groups rendered by SceneWithLogic.
+// Resolves with the .glb contents as an ArrayBuffer.
+export async function exportSceneToGLB({ terrain, objects }) {
+    if (!terrain || !objects) throw new Error("Scene is not ready for export");
+    const root = new THREE.Group();
+    root.name = "Garden";
+    const objectsCopy = prepareForExport(objects, "Objects");
+    // Straighten plants caught mid-sway by the wind animation (ObjectBase "sway" groups)
+    objectsCopy.traverse((node) => {
+        if (node.name === "sway") node.rotation.set(0, 0, 0);
+    });
+    root.add(prepareForExport(terrain, "Terrain"), objectsCopy);
+    root.updateMatrixWorld(true);
+
+    const exporter = new GLTFExporter();
+    return exporter.parseAsync(root, { binary: true, onlyVisible: true });
+}
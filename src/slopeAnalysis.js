@@ -0,0 +1,76 @@
+// src/slopeAnalysis.js
+// Per-cell slope (percent) and aspect (compass direction the slope faces) from heightData,
+// with the color classes used by the slope/aspect overlays and their legends.
+
+const FLAT_SLOPE_PERCENT = 0.5; // Below this a cell has no meaningful aspect
+
+// Upper bounds in percent; the last class is open-ended
+export const SLOPE_CLASSES = [
+    { max: 2, color: "#2e7d32", label: "0–2% flat" },
+    { max: 5, color: "#9ccc65", label: "2–5% gentle" },
+    { max: 10, color: "#fff176", label: "5–10% moderate" },
+    { max: 15, color: "#ffb74d", label: "10–15% steep lawn limit" },
+    { max: 25, color: "#e53935", label: "15–25% regrade for lawn" },
+    { max: Infinity, color: "#7b1fa2", label: "over 25% very steep" },
+];
+
+// Eight 45° sectors clockwise from north (-Z); warm colors for sunny southern slopes
+export const ASPECT_CLASSES = [
+    { label: "N", color: "#1e88e5" },
+    { label: "NE", color: "#26c6da" },
+    { label: "E", color: "#9ccc65" },
+    { label: "SE", color: "#ffca28" },
+    { label: "S", color: "#ef6c00" },
+    { label: "SW", color: "#e53935" },
+    { label: "W", color: "#ab47bc" },
+    { label: "NW", color: "#5c6bc0" },
+];
+export const FLAT_ASPECT = { label: "Flat", color: "#9e9e9e" };
+
+// Returns { width, height, slope, aspect } as per-cell Float32Arrays (index = z * width + x).
+// aspect is in degrees clockwise from north, -1 for flat cells.
+export function computeSlopeAspect(heightData, cellSize) {
+    const height = heightData.length;
+    const width = heightData[0]?.length ?? 0;
+    const slope = new Float32Array(width * height);
+    const aspect = new Float32Array(width * height);
+    const at = (x, z) =>
+        heightData[Math.min(height - 1, Math.max(0, z))][Math.min(width - 1, Math.max(0, x))];
+    for (let z = 0; z < height; z++) {
+        for (let x = 0; x < width; x++) {
+            // Central differences, one-sided on the grid border
+            const spanX = (Math.min(width - 1, x + 1) - Math.max(0, x - 1)) * cellSize;
+            const spanZ = (Math.min(height - 1, z + 1) - Math.max(0, z - 1)) * cellSize;
+            const dhdx = spanX > 0 ? (at(x + 1, z) - at(x - 1, z)) / spanX : 0;
+            const dhdz = spanZ > 0 ? (at(x, z + 1) - at(x, z - 1)) / spanZ : 0;
+            const i = z * width + x;
+            slope[i] = Math.hypot(dhdx, dhdz) * 100;
+            // Downhill direction (-dhdx, -dhdz); north is -Z, east is +X
+            aspect[i] = slope[i] < FLAT_SLOPE_PERCENT
+                ? -1
+                : ((Math.atan2(-dhdx, dhdz) * 180) / Math.PI + 360) % 360;
+        }
+    }
+    return { width, height, slope, aspect };
+}
+
+export const getSlopeClass = (slopePercent) =>
+    SLOPE_CLASSES.find((c) => slopePercent < c.max) ?? SLOPE_CLASSES[SLOPE_CLASSES.length - 1];
+
+export const getAspectClass = (aspectDegrees) =>
+    aspectDegrees < 0 ? FLAT_ASPECT : ASPECT_CLASSES[Math.round(aspectDegrees / 45) % 8];
+
+const toColorRows = ({ width, height }, colorAt) => {
+    const colors = [];
+    for (let z = 0; z < height; z++) {
+        colors[z] = [];
+        for (let x = 0; x < width; x++) colors[z][x] = colorAt(z * width + x);
+    }
+    return colors;
+};
+
+export const getSlopeColors = (analysis) =>
+    toColorRows(analysis, (i) => getSlopeClass(analysis.slope[i]).color);
+
+export const getAspectColors = (analysis) =>
+    toColorRows(analysis, (i) => getAspectClass(analysis.aspect[i]).color);
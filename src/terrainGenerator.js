@@ -0,0 +1,114 @@
+// src/terrainGenerator.js
+// Seeded procedural terrain: fractal value noise shaped by presets, optional
+// terraces and a water level. The same settings always give the same terrain.
+import { createRandom } from "./utils";
+import { MIN_TERRAIN_HEIGHT } from "./PlanEditor";
+import { getInitialMaterialData } from "./groundMaterials";
+
+export const GENERATOR_PRESETS = [
+    { value: "noise", label: "Fractal noise" },
+    { value: "valley", label: "Valley" },
+    { value: "ridge", label: "Ridge" },
+];
+
+export const DEFAULT_GENERATOR_SETTINGS = {
+    seed: "garden",
+    preset: "noise",
+    scale: 12, // Cells per largest feature
+    octaves: 4,
+    persistence: 0.5, // Amplitude kept per octave
+    minHeight: 0.1, // MIN_TERRAIN_HEIGHT, not imported here: PlanEditor imports this module before it is initialized
+    maxHeight: 2.0,
+    terraceSteps: 0, // 0 = smooth
+    waterLevel: null, // Height in meters, null = no water
+};
+
+export const createRandomSeed = () => Math.random().toString(36).slice(2, 8);
+
+const LATTICE_SIZE = 256; // Noise repeats after this many lattice cells
+
+// 2D value noise over a seeded lattice, smoothly interpolated, in [0, 1]
+function createValueNoise(seed) {
+    const random = createRandom(seed);
+    const lattice = new Float32Array(LATTICE_SIZE * LATTICE_SIZE);
+    for (let i = 0; i < lattice.length; i++) lattice[i] = random();
+    const at = (ix, iz) =>
+        lattice[(((iz % LATTICE_SIZE) + LATTICE_SIZE) % LATTICE_SIZE) * LATTICE_SIZE +
+            (((ix % LATTICE_SIZE) + LATTICE_SIZE) % LATTICE_SIZE)];
+    const fade = (t) => t * t * (3 - 2 * t);
+    return (x, z) => {
+        const ix = Math.floor(x);
+        const iz = Math.floor(z);
+        const tx = fade(x - ix);
+        const tz = fade(z - iz);
+        const top = at(ix, iz) * (1 - tx) + at(ix + 1, iz) * tx;
+        const bottom = at(ix, iz + 1) * (1 - tx) + at(ix + 1, iz + 1) * tx;
+        return top * (1 - tz) + bottom * tz;
+    };
+}
+
+// Returns { heightData, materialData } for a width x height grid
+export function generateTerrain(settings, width, height) {
+    const {
+        seed, preset, scale, octaves, persistence,
+        minHeight, maxHeight, terraceSteps, waterLevel,
+    } = { ...DEFAULT_GENERATOR_SETTINGS, ...settings };
+    const noise = createValueNoise(String(seed));
+    const random = createRandom(`${seed}-offset`);
+    // Random offset so small grids don't all start at the same lattice corner
+    const offsetX = random() * LATTICE_SIZE;
+    const offsetZ = random() * LATTICE_SIZE;
+
+    // Fractal sum of octaves, normalized to [0, 1]
+    const raw = [];
+    let lowest = Infinity;
+    let highest = -Infinity;
+    for (let z = 0; z < height; z++) {
+        raw[z] = [];
+        for (let x = 0; x < width; x++) {
+            let amplitude = 1;
+            let frequency = 1 / Math.max(1, scale);
+            let sum = 0;
+            let norm = 0;
+            for (let o = 0; o < Math.max(1, octaves); o++) {
+                sum += noise(x * frequency + offsetX, z * frequency + offsetZ) * amplitude;
+                norm += amplitude;
+                amplitude *= persistence;
+                frequency *= 2;
+            }
+            let value = sum / norm;
+
+            // Presets bend the noise across the grid (along X, valley/ridge line runs along Z)
+            const across = width > 1 ? Math.abs(x / (width - 1) - 0.5) * 2 : 0; // 0 at center line, 1 at edges
+            if (preset === "valley") value = value * 0.4 + across * 0.6;
+            else if (preset === "ridge") value = value * 0.4 + (1 - across) * 0.6;
+
+            raw[z][x] = value;
+            lowest = Math.min(lowest, value);
+            highest = Math.max(highest, value);
+        }
+    }
+
+    const range = highest - lowest || 1;
+    const heightData = raw.map((row) =>
+        row.map((value) => {
+            let t = (value - lowest) / range;
+            if (terraceSteps > 0) t = Math.round(t * terraceSteps) / terraceSteps;
+            return Math.max(MIN_TERRAIN_HEIGHT, minHeight + t * (maxHeight - minHeight));
+        })
+    );
+    const materialData = getInitialMaterialData(heightData, maxHeight);
+
+    // Water fills everything below the level with a flat water surface
+    if (waterLevel !== null && waterLevel !== undefined) {
+        for (let z = 0; z < height; z++) {
+            for (let x = 0; x < width; x++) {
+                if (heightData[z][x] <= waterLevel) {
+                    heightData[z][x] = Math.max(MIN_TERRAIN_HEIGHT, waterLevel);
+                    materialData[z][x] = "water";
+                }
+            }
+        }
+    }
+    return { heightData, materialData };
+}
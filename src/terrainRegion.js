@@ -0,0 +1,209 @@
+// src/terrainRegion.js
+// Rectangular terrain regions for copy/paste and reusable terrain stamps.
+// A region is { width, height, heights[z][x], materials[z][x], objects } where objects
+// carry cellX/cellZ offsets (in cells, from the region's top-left corner) instead of world positions.
+
+const STAMPS_STORAGE_KEY = "planEditorTerrainStamps_v1";
+
+// Copies the cells between two corner cells (inclusive) and, optionally, the objects on them
+export function copyTerrainRegion({ heightData, materialData, objects, cellSize }, x0, z0, x1, z1, { includeObjects = false } = {}) {
+    const gridHeight = heightData.length;
+    const gridWidth = heightData[0]?.length ?? 0;
+    const minX = Math.max(0, Math.min(x0, x1));
+    const maxX = Math.min(gridWidth - 1, Math.max(x0, x1));
+    const minZ = Math.max(0, Math.min(z0, z1));
+    const maxZ = Math.min(gridHeight - 1, Math.max(z0, z1));
+    if (maxX < minX || maxZ < minZ) return null;
+
+    const heights = [];
+    const materials = [];
+    for (let z = minZ; z <= maxZ; z++) {
+        heights.push(heightData[z].slice(minX, maxX + 1));
+        materials.push(materialData[z].slice(minX, maxX + 1));
+    }
+    const width = maxX - minX + 1;
+    const height = maxZ - minZ + 1;
+    const regionObjects = [];
+    if (includeObjects) {
+        (objects ?? []).forEach((obj) => {
+            if (!obj) return;
+            const cellX = obj.worldX / cellSize + gridWidth / 2 - minX;
+            const cellZ = obj.worldZ / cellSize + gridHeight / 2 - minZ;
+            if (cellX < 0 || cellX >= width || cellZ < 0 || cellZ >= height) return;
+            const { id, worldX, worldZ, ...rest } = obj;
+            regionObjects.push({ ...rest, cellX, cellZ });
+        });
+    }
+    return { width, height, heights, materials, objects: regionObjects };
+}
+
+// Region turned by quarterTurns x 90° clockwise (seen from above), mirrored left-right first
+export function transformTerrainRegion(region, quarterTurns = 0, mirror = false) {
+    let result = region;
+    if (mirror) {
+        result = {
+            ...result,
+            heights: result.heights.map((row) => [...row].reverse()),
+            materials: result.materials.map((row) => [...row].reverse()),
+            objects: result.objects.map((obj) => ({
+                ...obj,
+                cellX: result.width - obj.cellX,
+                rotationY: (360 - (obj.rotationY ?? 0)) % 360,
+                ...(obj.points && { points: obj.points.map(([x, z]) => [-x, z]) }), // Garden paths
+            })),
+        };
+    }
+    for (let turn = 0; turn < (((quarterTurns % 4) + 4) % 4); turn++) {
+        const { width, height } = result;
+        // Clockwise on the plan (+X right, +Z down): new (x, z) = (height - 1 - z, x)
+        const rotate = (rows) => {
+            const rotated = [];
+            for (let z = 0; z < width; z++) {
+                rotated[z] = [];
+                for (let x = 0; x < height; x++) rotated[z][x] = rows[height - 1 - x][z];
+            }
+            return rotated;
+        };
+        result = {
+            ...result,
+            width: height,
+            height: width,
+            heights: rotate(result.heights),
+            materials: rotate(result.materials),
+            // Positive rotationY turns counter-clockwise on the plan
+            objects: result.objects.map((obj) => ({
+                ...obj,
+                cellX: height - obj.cellZ,
+                cellZ: obj.cellX,
+                rotationY: ((obj.rotationY ?? 0) - 90 + 360) % 360,
+            })),
+        };
+    }
+    return result;
+}
+
+// Mean height of the region's border cells, the level 'relative' pastes are measured from
+export function getRegionBaseHeight(region) {
+    const { width, height, heights } = region;
+    let sum = 0;
+    let count = 0;
+    for (let z = 0; z < height; z++) {
+        for (let x = 0; x < width; x++) {
+            if (x > 0 && x < width - 1 && z > 0 && z < height - 1) continue;
+            sum += heights[z][x];
+            count++;
+        }
+    }
+    return count > 0 ? sum / count : 0;
+}
+
+// Top-left grid cell of a region pasted centered on (centerX, centerZ)
+export const getRegionOrigin = (region, centerX, centerZ) => ({
+    originX: centerX - Math.floor(region.width / 2),
+    originZ: centerZ - Math.floor(region.height / 2),
+});
+
+// New height/material data with the region pasted centered on a cell; cells outside the grid are skipped.
+// options: { heightMode: 'replace' | 'relative', minHeight, includeMaterials }
+// 'relative' adds the region's relief (heights above its border level) to the existing terrain.
+// Returns { heightData, materialData, objects } with the region's objects at world positions (no ids).
+export function pasteTerrainRegion({ heightData, materialData, cellSize }, region, centerX, centerZ, options = {}) {
+    const { heightMode = "replace", minHeight = 0, includeMaterials = true } = options;
+    const gridHeight = heightData.length;
+    const gridWidth = heightData[0]?.length ?? 0;
+    const { originX, originZ } = getRegionOrigin(region, centerX, centerZ);
+    const baseHeight = getRegionBaseHeight(region);
+    // Rows the region doesn't reach keep their identity, so TerrainMesh skips them
+    const inRegion = (gz) => gz >= originZ && gz < originZ + region.height;
+    const newHeightData = heightData.map((row, gz) => (inRegion(gz) ? [...row] : row));
+    const newMaterialData = includeMaterials
+        ? materialData.map((row, gz) => (inRegion(gz) ? [...row] : row))
+        : materialData;
+    for (let z = 0; z < region.height; z++) {
+        for (let x = 0; x < region.width; x++) {
+            const gx = originX + x;
+            const gz = originZ + z;
+            if (gx < 0 || gx >= gridWidth || gz < 0 || gz >= gridHeight) continue;
+            const h = heightMode === "relative"
+                ? heightData[gz][gx] + region.heights[z][x] - baseHeight
+                : region.heights[z][x];
+            newHeightData[gz][gx] = Math.max(minHeight, h);
+            if (includeMaterials) newMaterialData[gz][gx] = region.materials[z][x];
+        }
+    }
+    const objects = region.objects
+        .map(({ cellX, cellZ, ...rest }) => ({
+            ...rest,
+            worldX: (originX + cellX - gridWidth / 2) * cellSize,
+            worldZ: (originZ + cellZ - gridHeight / 2) * cellSize,
+        }))
+        .filter((obj) =>
+            Math.abs(obj.worldX) < (gridWidth / 2) * cellSize &&
+            Math.abs(obj.worldZ) < (gridHeight / 2) * cellSize);
+    return { heightData: newHeightData, materialData: newMaterialData, objects };
+}
+
+// --- Terrain Stamps ---
+// Built-in stamps are generated shapes, meant for 'relative' pasting (relief around a 0 border)
+const createStampRegion = (size, heightAt, materialAt) => {
+    const heights = [];
+    const materials = [];
+    const center = (size - 1) / 2;
+    for (let z = 0; z < size; z++) {
+        heights[z] = [];
+        materials[z] = [];
+        for (let x = 0; x < size; x++) {
+            const distance = Math.hypot(x - center, z - center) / center; // 0 center, 1 at the edge middle
+            heights[z][x] = heightAt(distance, x, z);
+            materials[z][x] = materialAt(distance, x, z);
+        }
+    }
+    return { width: size, height: size, heights, materials, objects: [] };
+};
+
+export const BUILT_IN_STAMPS = [
+    {
+        id: "builtin-mound",
+        name: "Raised mound",
+        builtIn: true,
+        region: createStampRegion(7,
+            (d) => (d < 1 ? 0.6 * Math.cos((d * Math.PI) / 2) ** 2 : 0),
+            () => "lawn"),
+    },
+    {
+        id: "builtin-sunken-patio",
+        name: "Sunken patio",
+        builtIn: true,
+        region: createStampRegion(8,
+            (d, x, z) => (x > 0 && x < 7 && z > 0 && z < 7 ? -0.3 : 0),
+            (d, x, z) => (x > 0 && x < 7 && z > 0 && z < 7 ? "paving" : "gravel")),
+    },
+    {
+        id: "builtin-pond-basin",
+        name: "Pond basin",
+        builtIn: true,
+        region: createStampRegion(7,
+            (d) => (d < 1 ? -0.5 * (1 - d * d) : 0),
+            (d) => (d < 0.75 ? "water" : d < 1 ? "sand" : "lawn")),
+    },
+];
+
+// User stamps are kept in localStorage so they can be reused in every project
+export function loadUserStamps() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STAMPS_STORAGE_KEY) ?? "[]");
+        return Array.isArray(stored) ? stored.filter((stamp) => stamp?.region?.heights) : [];
+    } catch (error) {
+        console.error("Failed to read terrain stamps:", error);
+        return [];
+    }
+}
+
+export function saveUserStamps(stamps) {
+    try {
+        localStorage.setItem(STAMPS_STORAGE_KEY, JSON.stringify(stamps));
+    } catch (error) {
+        console.error("Failed to save terrain stamps:", error);
+        alert("Could not save the terrain stamp (browser storage is full or unavailable).");
+    }
+}
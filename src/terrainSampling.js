@@ -0,0 +1,65 @@
+// src/terrainSampling.js
+// Terrain queries on the surface TerrainMesh renders: vertices on the cell centers, each square
+// between four centers split into two triangles along the diagonal from (x1, z0) to (x0, z1).
+import { CELL_SIZE } from "./PlanEditor";
+
+// Square between four cell centers around a world position, or null outside the grid
+function getPatch(heightData, worldX, worldZ, cellSize) {
+    const gridHeight = heightData?.length ?? 0;
+    const gridWidth = heightData?.[0]?.length ?? 0;
+    if (gridWidth === 0 || gridHeight === 0) return null;
+    // Fractional grid coordinates with integers at cell centers
+    const fx = worldX / cellSize + gridWidth / 2 - 0.5;
+    const fz = worldZ / cellSize + gridHeight / 2 - 0.5;
+    if (fx < -0.5 || fx >= gridWidth - 0.5 || fz < -0.5 || fz >= gridHeight - 0.5) return null;
+
+    // The outer half cell has no neighbour to blend with, clamp to the edge centers
+    const cx = Math.min(gridWidth - 1, Math.max(0, fx));
+    const cz = Math.min(gridHeight - 1, Math.max(0, fz));
+    const x0 = Math.floor(cx);
+    const z0 = Math.floor(cz);
+    const x1 = Math.min(gridWidth - 1, x0 + 1);
+    const z1 = Math.min(gridHeight - 1, z0 + 1);
+    return {
+        tx: cx - x0,
+        tz: cz - z0,
+        flatX: cx !== fx, // Clamped: height is constant along this axis here
+        flatZ: cz !== fz,
+        h00: heightData[z0][x0],
+        h10: heightData[z0][x1],
+        h01: heightData[z1][x0],
+        h11: heightData[z1][x1],
+    };
+}
+
+// Height change per cell along x and z on the triangle containing (tx, tz)
+function getTriangleSlope({ tx, tz, h00, h10, h01, h11 }) {
+    return tx + tz <= 1
+        ? { dx: h10 - h00, dz: h01 - h00 }
+        : { dx: h11 - h01, dz: h11 - h10 };
+}
+
+// Ground height at a world position; 0 outside the grid
+export function sampleGroundHeight(heightData, worldX, worldZ, cellSize = CELL_SIZE) {
+    const patch = getPatch(heightData, worldX, worldZ, cellSize);
+    if (!patch) return 0;
+    const { tx, tz, h00, h11 } = patch;
+    const { dx, dz } = getTriangleSlope(patch);
+    // Plane through the triangle's right-angle corner: (0, 0) in the first, (1, 1) in the second
+    return tx + tz <= 1
+        ? h00 + dx * tx + dz * tz
+        : h11 - dx * (1 - tx) - dz * (1 - tz);
+}
+
+// Unit terrain normal [x, y, z] at a world position (straight up outside the grid)
+export function sampleGroundNormal(heightData, worldX, worldZ, cellSize = CELL_SIZE) {
+    const patch = getPatch(heightData, worldX, worldZ, cellSize);
+    if (!patch) return [0, 1, 0];
+    const { flatX, flatZ } = patch;
+    // Slope of the triangle's plane, per meter
+    const { dx, dz } = getTriangleSlope(patch);
+    const dhdx = flatX ? 0 : dx / cellSize;
+    const dhdz = flatZ ? 0 : dz / cellSize;
+    const length = Math.sqrt(dhdx * dhdx + 1 + dhdz * dhdz);
+    return [-dhdx / length, 1 / length, -dhdz / length];
+}
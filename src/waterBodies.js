@@ -0,0 +1,57 @@
+// src/waterBodies.js
+// Ponds: a water level set at a seed point floods every connected cell below that level.
+// Stored with the project as settings.waterBodies = [{ id, name, worldX, worldZ, level }];
+// the seed is kept in world coordinates so ponds survive grid resizes.
+
+export const DEFAULT_POND_DEPTH = 0.3; // Initial level above the clicked cell (m)
+
+export const worldToCell = (worldX, worldZ, gridWidth, gridHeight, cellSize) => ({
+    gridX: Math.floor(worldX / cellSize + gridWidth / 2),
+    gridZ: Math.floor(worldZ / cellSize + gridHeight / 2),
+});
+
+// Flooded cells of one water body with its surface area (m²), volume (m³) and depths (m).
+// touchesEdge is set when the water reaches the grid border (it would spill over in reality).
+export function computeWaterBody(heightData, cellSize, { worldX, worldZ, level }) {
+    const gridHeight = heightData.length;
+    const gridWidth = heightData[0]?.length ?? 0;
+    const { gridX, gridZ } = worldToCell(worldX, worldZ, gridWidth, gridHeight, cellSize);
+    const empty = { cells: [], area: 0, volume: 0, maxDepth: 0, averageDepth: 0, touchesEdge: false };
+    if (gridX < 0 || gridX >= gridWidth || gridZ < 0 || gridZ >= gridHeight) return empty;
+    if (!(heightData[gridZ][gridX] < level)) return empty;
+
+    const visited = new Uint8Array(gridWidth * gridHeight);
+    const cells = [];
+    const stack = [[gridX, gridZ]];
+    visited[gridZ * gridWidth + gridX] = 1;
+    let depthSum = 0;
+    let maxDepth = 0;
+    let touchesEdge = false;
+    while (stack.length > 0) {
+        const [x, z] = stack.pop();
+        const depth = level - heightData[z][x];
+        cells.push([x, z]);
+        depthSum += depth;
+        maxDepth = Math.max(maxDepth, depth);
+        if (x === 0 || z === 0 || x === gridWidth - 1 || z === gridHeight - 1) touchesEdge = true;
+        [[x - 1, z], [x + 1, z], [x, z - 1], [x, z + 1]].forEach(([nx, nz]) => {
+            if (nx < 0 || nx >= gridWidth || nz < 0 || nz >= gridHeight) return;
+            if (visited[nz * gridWidth + nx] || !(heightData[nz][nx] < level)) return;
+            visited[nz * gridWidth + nx] = 1;
+            stack.push([nx, nz]);
+        });
+    }
+    const cellArea = cellSize * cellSize;
+    return {
+        cells,
+        area: cells.length * cellArea,
+        volume: depthSum * cellArea,
+        maxDepth,
+        averageDepth: depthSum / cells.length,
+        touchesEdge,
+    };
+}
+
+// All water bodies of a project with their flooded cells and measurements
+export const computeWaterBodies = (heightData, cellSize, waterBodies) =>
+    (waterBodies ?? []).map((body) => ({ ...body, ...computeWaterBody(heightData, cellSize, body) }));
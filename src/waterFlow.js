@@ -0,0 +1,197 @@
+// src/waterFlow.js
+// Surface water analysis on heightData: where each cell drains to (D8 flow direction),
+// how many cells drain through it (flow accumulation) and where water ponds.
+// Water can leave the plot over any grid edge.
+import * as THREE from "three";
+
+const PONDING_TOLERANCE = 0.01; // Depressions shallower than this (m) are ignored
+// D8 neighbours: [dx, dz]
+const NEIGHBOURS = [
+    [1, 0], [1, 1], [0, 1], [-1, 1],
+    [-1, 0], [-1, -1], [0, -1], [1, -1],
+];
+
+// Minimal binary heap ordered by level, then insertion order (keeps flats draining evenly)
+function createQueue() {
+    const heap = [];
+    const less = (a, b) => a.level < b.level || (a.level === b.level && a.seq < b.seq);
+    let seq = 0;
+    return {
+        get size() {
+            return heap.length;
+        },
+        push(index, level) {
+            heap.push({ index, level, seq: seq++ });
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (!less(heap[i], heap[parent])) break;
+                [heap[i], heap[parent]] = [heap[parent], heap[i]];
+                i = parent;
+            }
+        },
+        pop() {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && less(heap[left], heap[smallest])) smallest = left;
+                    if (right < heap.length && less(heap[right], heap[smallest])) smallest = right;
+                    if (smallest === i) break;
+                    [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+                    i = smallest;
+                }
+            }
+            return top;
+        },
+    };
+}
+
+// Returns { width, height, direction, accumulation, depth, ponds } with per-cell typed arrays
+// (index = z * width + x). direction is the D8 neighbour index, -1 where water leaves the grid.
+// accumulation counts the cells draining through a cell (itself included), depth is the
+// ponding depth in meters. ponds lists connected ponding areas as { cells, volume, maxDepth }.
+export function computeWaterFlow(heightData, cellSize) {
+    const height = heightData.length;
+    const width = heightData[0]?.length ?? 0;
+    const count = width * height;
+    const level = new Float32Array(count); // Water surface once every depression has filled up
+    const direction = new Int8Array(count).fill(-1);
+    const visited = new Uint8Array(count);
+    const order = new Int32Array(count); // Cells in the order they were reached (downstream first)
+    let orderLength = 0;
+
+    // Priority flood from the edges: each cell is reached over its lowest spill path,
+    // which gives the filled surface and a drainage route out of every pit and flat
+    const queue = createQueue();
+    for (let z = 0; z < height; z++) {
+        for (let x = 0; x < width; x++) {
+            if (x === 0 || z === 0 || x === width - 1 || z === height - 1) {
+                const i = z * width + x;
+                level[i] = heightData[z][x];
+                visited[i] = 1;
+                queue.push(i, level[i]);
+            }
+        }
+    }
+    while (queue.size > 0) {
+        const { index } = queue.pop();
+        order[orderLength++] = index;
+        const x = index % width;
+        const z = Math.floor(index / width);
+        NEIGHBOURS.forEach(([dx, dz], n) => {
+            const nx = x + dx;
+            const nz = z + dz;
+            if (nx < 0 || nz < 0 || nx >= width || nz >= height) return;
+            const ni = nz * width + nx;
+            if (visited[ni]) return;
+            visited[ni] = 1;
+            level[ni] = Math.max(heightData[nz][nx], level[index]);
+            direction[ni] = (n + 4) % 8; // Back towards the cell it was reached from
+            queue.push(ni, level[ni]);
+        });
+    }
+
+    // Where the filled surface falls away, follow the steepest descent instead
+    for (let i = 0; i < count; i++) {
+        const x = i % width;
+        const z = Math.floor(i / width);
+        let steepest = 0;
+        NEIGHBOURS.forEach(([dx, dz], n) => {
+            const nx = x + dx;
+            const nz = z + dz;
+            if (nx < 0 || nz < 0 || nx >= width || nz >= height) return;
+            const drop = (level[i] - level[nz * width + nx]) / (Math.hypot(dx, dz) * cellSize);
+            if (drop > steepest) {
+                steepest = drop;
+                direction[i] = n;
+            }
+        });
+    }
+
+    // Every cell drains into one reached before it, so walking the order backwards
+    // passes each cell's total on before its downstream cell is visited
+    const accumulation = new Float32Array(count).fill(1);
+    for (let k = orderLength - 1; k >= 0; k--) {
+        const i = order[k];
+        if (direction[i] < 0) continue;
+        const [dx, dz] = NEIGHBOURS[direction[i]];
+        accumulation[(Math.floor(i / width) + dz) * width + (i % width) + dx] += accumulation[i];
+    }
+
+    const depth = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        const d = level[i] - heightData[Math.floor(i / width)][i % width];
+        depth[i] = d > PONDING_TOLERANCE ? d : 0;
+    }
+
+    // Group ponding cells into ponds (4-connected)
+    const ponds = [];
+    const seen = new Uint8Array(count);
+    for (let start = 0; start < count; start++) {
+        if (depth[start] === 0 || seen[start]) continue;
+        const pond = { cells: 0, volume: 0, maxDepth: 0 };
+        const stack = [start];
+        seen[start] = 1;
+        while (stack.length > 0) {
+            const i = stack.pop();
+            pond.cells++;
+            pond.volume += depth[i] * cellSize * cellSize;
+            pond.maxDepth = Math.max(pond.maxDepth, depth[i]);
+            const x = i % width;
+            const z = Math.floor(i / width);
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dz]) => {
+                const nx = x + dx;
+                const nz = z + dz;
+                if (nx < 0 || nz < 0 || nx >= width || nz >= height) return;
+                const ni = nz * width + nx;
+                if (depth[ni] > 0 && !seen[ni]) {
+                    seen[ni] = 1;
+                    stack.push(ni);
+                }
+            });
+        }
+        ponds.push(pond);
+    }
+
+    return { width, height, direction, accumulation, depth, ponds };
+}
+
+// Unit [dx, dz] of a D8 direction index
+export const getFlowVector = (directionIndex) => {
+    const [dx, dz] = NEIGHBOURS[directionIndex];
+    const length = Math.hypot(dx, dz);
+    return [dx / length, dz / length];
+};
+
+const DRY_COLOR = new THREE.Color("#c8bfa8");
+const STREAM_COLOR = new THREE.Color("#1565c0");
+const SHALLOW_POND_COLOR = new THREE.Color("#4dd0e1");
+const DEEP_POND_COLOR = new THREE.Color("#004d61");
+const POND_FULL_DEPTH = 0.5; // Ponding depth (m) shown at the darkest color
+
+// Heatmap: accumulation on a log scale from dry to stream blue, ponds in cyan by depth
+export function getWaterFlowColors(flow) {
+    const { width, height, accumulation, depth } = flow;
+    const maxLog = Math.log(Math.max(2, ...accumulation));
+    const color = new THREE.Color();
+    const colors = [];
+    for (let z = 0; z < height; z++) {
+        colors[z] = [];
+        for (let x = 0; x < width; x++) {
+            const i = z * width + x;
+            if (depth[i] > 0) {
+                color.copy(SHALLOW_POND_COLOR).lerp(DEEP_POND_COLOR, Math.min(1, depth[i] / POND_FULL_DEPTH));
+            } else {
+                color.copy(DRY_COLOR).lerp(STREAM_COLOR, Math.log(accumulation[i]) / maxLog);
+            }
+            colors[z][x] = `#${color.getHexString()}`;
+        }
+    }
+    return colors;
+}